@@ -0,0 +1,79 @@
+import crypto from "node:crypto";
+
+function base64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+/** Salted scrypt hash of a join code. Returns `{ salt, hash }` as hex strings. */
+export function hashJoinCode(joinCode, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(String(joinCode), salt, 32).toString("hex");
+  return { salt, hash };
+}
+
+/** Constant-time check of a join code against a stored salt + hash. */
+export function verifyJoinCode(joinCode, { salt, hash }) {
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = Buffer.from(hashJoinCode(joinCode, salt).hash, "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Signed, expiring session tokens for group access.
+ *
+ * A token is `<payload>.<signature>`: the payload is base64url JSON
+ * `{ gid, exp }` and the signature is an HMAC-SHA256 of it with `secret`.
+ * Nothing is stored server-side; rotating the secret signs everyone out.
+ */
+export function createSessionAuth({ secret, ttlHours = 720 } = {}) {
+  let key = secret;
+  if (!key) {
+    key = crypto.randomBytes(32).toString("hex");
+    console.warn("[AUTH] SESSION_SECRET not set; using a random secret, sessions end on restart");
+  }
+  const ttlMs = Number(ttlHours) * 60 * 60 * 1000;
+
+  function sign(payload) {
+    return base64url(crypto.createHmac("sha256", key).update(payload).digest());
+  }
+
+  function issue(groupId) {
+    const exp = Date.now() + ttlMs;
+    const payload = base64url(JSON.stringify({ gid: groupId, exp }));
+    return { token: `${payload}.${sign(payload)}`, expires_at: new Date(exp).toISOString() };
+  }
+
+  /** Returns `{ groupId, expiresAt }` for a valid, unexpired token, otherwise null. */
+  function verify(token) {
+    const [payload, signature] = String(token || "").split(".");
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const { gid, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+      if (!gid || !Number.isFinite(exp) || exp <= Date.now()) return null;
+      return { groupId: String(gid), expiresAt: new Date(exp).toISOString() };
+    } catch {
+      return null;
+    }
+  }
+
+  /** Express middleware: rejects the request unless it carries a valid bearer token. */
+  function requireGroup(req, res, next) {
+    const header = String(req.headers.authorization || "");
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return res.status(401).json({ error: "Missing session token" });
+
+    const session = verify(match[1].trim());
+    if (!session) return res.status(401).json({ error: "Session expired or invalid, please sign in again" });
+
+    req.groupId = session.groupId;
+    req.sessionExpiresAt = session.expiresAt;
+    next();
+  }
+
+  return { issue, verify, requireGroup };
+}
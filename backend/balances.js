@@ -0,0 +1,282 @@
+// Running member balances and the transfers that settle them. A positive
+// balance means the group owes that member (they drove more than they rode);
+// a negative one means they owe the group.
+
+import { round2 } from "../shared/pricing.js";
+
+/**
+ * The member who pays a rider's charge: the rider, or for a guest their
+ * sponsor, or the driver of their car when the guest paid them in cash.
+ */
+export function billedMember(rider, driverId) {
+  if (!rider.guest_name) return rider.member_id;
+  return rider.sponsor_id || driverId;
+}
+
+/**
+ * What each member owes of a shared expense: its amount split over
+ * `member_ids` by `weights` (equally when there are none). Rounding drift
+ * goes to the payer if they share it, otherwise to the first member.
+ * Returns `{ member_id: amount }`.
+ */
+export function sharedExpenseShares(expense) {
+  const { member_ids, weights, amount, payer_id } = expense;
+  const weightOf = (i) => (weights.length ? weights[i] : 1);
+  const totalWeight = member_ids.reduce((s, _, i) => s + weightOf(i), 0);
+
+  const shares = {};
+  if (totalWeight <= 0) return shares;
+  member_ids.forEach((id, i) => (shares[id] = round2(amount * (weightOf(i) / totalWeight))));
+  const drift = round2(amount - Object.values(shares).reduce((s, x) => s + x, 0));
+  if (Math.abs(drift) >= 0.01) {
+    const target = shares[payer_id] !== undefined ? payer_id : member_ids[0];
+    shares[target] = round2(shares[target] + drift);
+  }
+  return shares;
+}
+
+/**
+ * Credits and debits per member from rides, payments and shared expenses.
+ * Each rider is debited what they were charged (see billedMember for
+ * guests). The driver of their car is
+ * credited the ride part of it and whoever paid each of the ride's expenses
+ * is credited its amount. A payment from A to B credits A and debits B. A
+ * shared expense credits its payer and debits each member their share.
+ * Voided payments and expenses are ignored, as are planned rides nobody
+ * has confirmed yet.
+ */
+export function ledgerActivity(entries, payments, sharedExpenses = []) {
+  const totals = {};
+  const add = (memberId, key, amount) => {
+    totals[memberId] ??= { credits: 0, debits: 0 };
+    totals[memberId][key] += amount;
+  };
+
+  for (const e of entries) {
+    if (e.planned) continue;
+    for (const r of e.riders || []) {
+      const charge = Number(r.charge || 0);
+      const driverId = r.driver_id || e.driver_id;
+      add(driverId, "credits", charge - Number(r.expense_share || 0));
+      add(billedMember(r, driverId), "debits", charge);
+    }
+    for (const x of e.expenses || []) add(x.payer_id, "credits", Number(x.amount || 0));
+  }
+  for (const p of payments) {
+    if (p.voided_at) continue;
+    add(p.from_member_id, "credits", p.amount);
+    add(p.to_member_id, "debits", p.amount);
+  }
+  for (const x of sharedExpenses) {
+    if (x.voided_at) continue;
+    add(x.payer_id, "credits", x.amount);
+    for (const [memberId, share] of Object.entries(sharedExpenseShares(x))) add(memberId, "debits", share);
+  }
+  return totals;
+}
+
+/**
+ * Balance per member over the dates `from`..`to` (inclusive, YYYY-MM-DD; an
+ * omitted `from` means since the start). `opening` is the member's one-time
+ * opening balance plus everything before `from`; `credits`, `debits` and
+ * `net` cover the range; `closing` is where the member stands at `to`.
+ * `entries`, `payments` and `sharedExpenses` may include records outside the range.
+ */
+export function rangeBalances({ from = "", to, members, entries, payments, sharedExpenses = [] }) {
+  const before = (x) => x.date < from;
+  const inRange = (x) => x.date >= from && x.date <= to;
+
+  const prior = ledgerActivity(entries.filter(before), payments.filter(before), sharedExpenses.filter(before));
+  const current = ledgerActivity(entries.filter(inRange), payments.filter(inRange), sharedExpenses.filter(inRange));
+
+  const ids = new Set([...members.map((m) => m.member_id), ...Object.keys(prior), ...Object.keys(current)]);
+  const openingById = new Map(members.map((m) => [m.member_id, m.opening_balance || 0]));
+
+  return [...ids].map((member_id) => {
+    const p = prior[member_id] || { credits: 0, debits: 0 };
+    const c = current[member_id] || { credits: 0, debits: 0 };
+    const opening = round2((openingById.get(member_id) || 0) + p.credits - p.debits);
+    const net = round2(c.credits - c.debits);
+    return {
+      member_id,
+      opening,
+      credits: round2(c.credits),
+      debits: round2(c.debits),
+      net,
+      closing: round2(opening + net),
+    };
+  });
+}
+
+// Above this many members with a balance the exact search gets slow (2^n
+// subsets), so everyone is settled as one group instead.
+const MAX_EXACT_MEMBERS = 16;
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+// Lexicographic "x ranks above y" for equal-length score arrays
+function ranksAbove(x, y) {
+  for (let i = 0; i < x.length; i++) if (x[i] !== y[i]) return x[i] > y[i];
+  return false;
+}
+
+/**
+ * Settle one zero-sum group of balances (in cents). Each step pays the best
+ * allowed debtor/creditor pair: a preferred pair first, then one that clears
+ * both sides at once, then the largest amount. Every step clears at least one
+ * member, so a group of k members takes at most k - 1 transfers. Returns null
+ * if the avoided pairs leave someone unable to settle.
+ */
+function settleGroup(ids, cents, preferred, avoided) {
+  const left = new Map(ids.map((id) => [id, cents[id]]));
+  const transfers = [];
+
+  for (;;) {
+    const debtors = ids.filter((id) => left.get(id) < 0);
+    const creditors = ids.filter((id) => left.get(id) > 0);
+    if (!debtors.length) return transfers;
+
+    let best = null;
+    for (const from of debtors) {
+      for (const to of creditors) {
+        const key = pairKey(from, to);
+        if (avoided.has(key)) continue;
+        const amount = Math.min(-left.get(from), left.get(to));
+        const score = [preferred.has(key) ? 1 : 0, -left.get(from) === left.get(to) ? 1 : 0, amount];
+        if (!best || ranksAbove(score, best.score)) {
+          best = { from, to, amount, score };
+        }
+      }
+    }
+    if (!best) return null;
+
+    transfers.push({ from: best.from, to: best.to, cents: best.amount });
+    left.set(best.from, left.get(best.from) + best.amount);
+    left.set(best.to, left.get(best.to) - best.amount);
+  }
+}
+
+/**
+ * Split members into as many groups as possible that each sum to zero. A
+ * group of k settles in k - 1 transfers, so more groups means fewer transfers
+ * overall. dp[mask] is the most zero-sum prefixes any ordering of `mask` has.
+ */
+function zeroSumGroups(ids, cents) {
+  const n = ids.length;
+  const size = 1 << n;
+  const sum = new Float64Array(size);
+  const dp = new Int8Array(size);
+  const last = new Int8Array(size);
+
+  for (let mask = 1; mask < size; mask++) {
+    const low = 31 - Math.clz32(mask & -mask);
+    sum[mask] = sum[mask & (mask - 1)] + cents[ids[low]];
+
+    let best = -1;
+    for (let i = 0; i < n; i++) {
+      if (!(mask & (1 << i))) continue;
+      if (dp[mask ^ (1 << i)] > best) {
+        best = dp[mask ^ (1 << i)];
+        last[mask] = i;
+      }
+    }
+    dp[mask] = best + (sum[mask] === 0 ? 1 : 0);
+  }
+
+  const order = [];
+  for (let mask = size - 1; mask; mask ^= 1 << last[mask]) order.unshift(ids[last[mask]]);
+
+  const groups = [];
+  let current = [];
+  let running = 0;
+  for (const id of order) {
+    current.push(id);
+    running += cents[id];
+    if (running === 0) {
+      groups.push(current);
+      current = [];
+    }
+  }
+  return groups;
+}
+
+/**
+ * Transfers `{ from, to, amount }` that bring every balance in
+ * `{ member_id: balance }` to zero using as few transfers as possible.
+ *
+ * - `prefer`: `[a, b]` pairs that should settle with each other when one owes
+ *   and the other is owed.
+ * - `avoid`: `[a, b]` pairs that should never be asked to pay each other. If
+ *   the balances can't be settled without one, it is used anyway and listed in
+ *   `violations`.
+ * - `min_amount`: transfers below this are left out and returned in
+ *   `rolled_over`; that debt carries into the next period.
+ *
+ * Members only ever pay (if they owe) or receive (if owed), so no one is asked
+ * to pass money on for someone else.
+ */
+export function optimizeTransfers(balances, { prefer = [], avoid = [], min_amount = 0 } = {}) {
+  const cents = {};
+  for (const [id, bal] of Object.entries(balances)) {
+    const c = Math.round(Number(bal) * 100);
+    if (c) cents[id] = c;
+  }
+
+  let ids = Object.keys(cents);
+  // Per-member rounding can leave the total a cent or two off zero; absorb it
+  // in the largest balance so the groups can still close.
+  const drift = ids.reduce((s, id) => s + cents[id], 0);
+  if (drift && ids.length) {
+    const largest = ids.reduce((a, b) => (Math.abs(cents[b]) > Math.abs(cents[a]) ? b : a));
+    cents[largest] -= drift;
+    if (!cents[largest]) delete cents[largest];
+    ids = Object.keys(cents);
+  }
+
+  const preferred = new Set(prefer.map(([a, b]) => pairKey(a, b)));
+  const avoided = new Set(avoid.map(([a, b]) => pairKey(a, b)));
+
+  const groups = ids.length <= MAX_EXACT_MEMBERS ? zeroSumGroups(ids, cents) : [ids];
+  let found = [];
+  // A group the avoided pairs block is merged into the next one, which gives
+  // it more people to settle with. If the last group is still blocked, everyone
+  // is settled together; as a last resort the avoid rules are dropped.
+  for (let i = 0; i < groups.length; i++) {
+    const settled = settleGroup(groups[i], cents, preferred, avoided);
+    if (settled) found.push(...settled);
+    else if (i + 1 < groups.length) groups[i + 1] = [...groups[i], ...groups[i + 1]];
+    else {
+      const everyone = groups.length > 1 && settleGroup(ids, cents, preferred, avoided);
+      if (everyone) found = everyone;
+      else found.push(...settleGroup(groups[i], cents, preferred, new Set()));
+    }
+  }
+
+  const minCents = Math.round(Number(min_amount || 0) * 100);
+  const toTransfer = (t) => ({ from: t.from, to: t.to, amount: t.cents / 100 });
+  return {
+    transfers: found.filter((t) => t.cents >= minCents).map(toTransfer),
+    rolled_over: found.filter((t) => t.cents < minCents).map(toTransfer),
+    violations: found.filter((t) => avoided.has(pairKey(t.from, t.to))).map(toTransfer),
+  };
+}
+
+/**
+ * How much of the ledger mentions a member: the rides they drove, rode in,
+ * sponsored a guest on or shared an expense of, and the payments and shared
+ * expenses (voided ones included) they are part of. A member with any of
+ * these can't be deleted without rewriting history.
+ */
+export function memberHistory(memberId, { entries, payments, sharedExpenses = [] }) {
+  const inEntry = (e) =>
+    e.driver_id === memberId ||
+    (e.vehicles || []).some((v) => v.driver_id === memberId) ||
+    (e.riders || []).some((r) => r.member_id === memberId || r.driver_id === memberId || r.sponsor_id === memberId) ||
+    (e.expenses || []).some((x) => x.payer_id === memberId || x.member_ids.includes(memberId));
+
+  return {
+    rides: entries.filter(inEntry).length,
+    payments: payments.filter((p) => p.from_member_id === memberId || p.to_member_id === memberId).length,
+    shared_expenses: sharedExpenses.filter((x) => x.payer_id === memberId || x.member_ids.includes(memberId)).length,
+  };
+}
@@ -0,0 +1,23 @@
+// Canada: federal statutory holidays, with weekend ones taken on the next
+// free weekday as federally regulated employers do.
+
+import { easterOffset, fixedDate, nthWeekdayOfMonth, weekdayOnOrBefore, withSubstituteDays } from "./rules.js";
+
+const MON = 1;
+
+export function caFederal(year) {
+  const holidays = [
+    { date: fixedDate(year, 0, 1), name: "New Year's Day" },
+    { date: easterOffset(year, -2), name: "Good Friday" },
+    { date: weekdayOnOrBefore(year, 4, 24, MON), name: "Victoria Day" },
+    { date: fixedDate(year, 6, 1), name: "Canada Day" },
+    { date: nthWeekdayOfMonth(year, 8, MON, 1), name: "Labour Day" },
+    { date: nthWeekdayOfMonth(year, 9, MON, 2), name: "Thanksgiving" },
+    { date: fixedDate(year, 10, 11), name: "Remembrance Day" },
+    { date: fixedDate(year, 11, 25), name: "Christmas Day" },
+    { date: fixedDate(year, 11, 26), name: "Boxing Day" },
+  ];
+  // Federal since 2021
+  if (year >= 2021) holidays.push({ date: fixedDate(year, 8, 30), name: "National Day for Truth and Reconciliation" });
+  return withSubstituteDays(holidays);
+}
@@ -0,0 +1,34 @@
+// United Kingdom bank holidays. A bank holiday on a weekend is taken on the
+// next free weekday. One-off days (royal events, moved VE Day) aren't rules
+// and can be added as custom holidays.
+
+import { easterOffset, fixedDate, lastWeekdayOfMonth, nthWeekdayOfMonth, withSubstituteDays } from "./rules.js";
+
+const MON = 1;
+
+export function gbEnglandWales(year) {
+  return withSubstituteDays([
+    { date: fixedDate(year, 0, 1), name: "New Year's Day" },
+    { date: easterOffset(year, -2), name: "Good Friday" },
+    { date: easterOffset(year, 1), name: "Easter Monday" },
+    { date: nthWeekdayOfMonth(year, 4, MON, 1), name: "Early May bank holiday" },
+    { date: lastWeekdayOfMonth(year, 4, MON), name: "Spring bank holiday" },
+    { date: lastWeekdayOfMonth(year, 7, MON), name: "Summer bank holiday" },
+    { date: fixedDate(year, 11, 25), name: "Christmas Day" },
+    { date: fixedDate(year, 11, 26), name: "Boxing Day" },
+  ]);
+}
+
+export function gbScotland(year) {
+  return withSubstituteDays([
+    { date: fixedDate(year, 0, 1), name: "New Year's Day" },
+    { date: fixedDate(year, 0, 2), name: "2nd January" },
+    { date: easterOffset(year, -2), name: "Good Friday" },
+    { date: nthWeekdayOfMonth(year, 4, MON, 1), name: "Early May bank holiday" },
+    { date: lastWeekdayOfMonth(year, 4, MON), name: "Spring bank holiday" },
+    { date: nthWeekdayOfMonth(year, 7, MON, 1), name: "Summer bank holiday" },
+    { date: fixedDate(year, 10, 30), name: "St Andrew's Day" },
+    { date: fixedDate(year, 11, 25), name: "Christmas Day" },
+    { date: fixedDate(year, 11, 26), name: "Boxing Day" },
+  ]);
+}
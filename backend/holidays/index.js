@@ -0,0 +1,30 @@
+// Holiday calendars a group can follow (see HOLIDAY_CALENDARS in
+// shared/settings.js for their labels). Each provider maps a year to the
+// `{ date, name }` holidays observed in it.
+
+import { caFederal } from "./canada.js";
+import { gbEnglandWales, gbScotland } from "./gb.js";
+import { inNational } from "./india.js";
+import { fmtDate } from "./rules.js";
+import { usCalifornia, usFederal, usMassachusetts, usNewYork } from "./us.js";
+
+const PROVIDERS = {
+  us_federal: usFederal,
+  us_ca: usCalifornia,
+  us_ma: usMassachusetts,
+  us_ny: usNewYork,
+  gb_eaw: gbEnglandWales,
+  gb_sct: gbScotland,
+  ca_federal: caFederal,
+  in_national: inNational,
+  none: () => [],
+};
+
+/** Holidays of `calendar` in `month` (YYYY-MM) as `[{ date: "YYYY-MM-DD", name }]`, by date. */
+export function calendarHolidays(calendar, month) {
+  const provider = PROVIDERS[calendar] || PROVIDERS.none;
+  return provider(Number(month.slice(0, 4)))
+    .map((h) => ({ date: fmtDate(h.date), name: h.name }))
+    .filter((h) => h.date.startsWith(month))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -0,0 +1,13 @@
+// India: the three national holidays. Festival holidays (Holi, Eid, Diwali and
+// so on) follow lunar calendars and vary by state and employer, so groups add
+// the ones they observe as custom holidays.
+
+import { fixedDate } from "./rules.js";
+
+export function inNational(year) {
+  return [
+    { date: fixedDate(year, 0, 26), name: "Republic Day" },
+    { date: fixedDate(year, 7, 15), name: "Independence Day" },
+    { date: fixedDate(year, 9, 2), name: "Gandhi Jayanti" },
+  ];
+}
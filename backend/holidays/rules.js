@@ -0,0 +1,85 @@
+// Date arithmetic for holiday rules. Dates are UTC midnights so a rule gives
+// the same calendar day whatever zone the server runs in.
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+export function fmtDate(d) {
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+}
+
+export function fixedDate(year, monthIdx0, day) {
+  return new Date(Date.UTC(year, monthIdx0, day));
+}
+
+function addDays(d, days) {
+  return new Date(d.getTime() + days * 86400000);
+}
+
+/** The `nth` (1-based) `weekday0Sun` of a month, e.g. the third Monday of January. */
+export function nthWeekdayOfMonth(year, monthIdx0, weekday0Sun, nth) {
+  const first = fixedDate(year, monthIdx0, 1);
+  const offset = (weekday0Sun - first.getUTCDay() + 7) % 7;
+  return fixedDate(year, monthIdx0, 1 + offset + (nth - 1) * 7);
+}
+
+export function lastWeekdayOfMonth(year, monthIdx0, weekday0Sun) {
+  const last = fixedDate(year, monthIdx0 + 1, 0);
+  const offset = (last.getUTCDay() - weekday0Sun + 7) % 7;
+  return fixedDate(year, monthIdx0, last.getUTCDate() - offset);
+}
+
+/** The last `weekday0Sun` on or before a date, e.g. Canada's Victoria Day (Monday on or before May 24). */
+export function weekdayOnOrBefore(year, monthIdx0, day, weekday0Sun) {
+  const d = fixedDate(year, monthIdx0, day);
+  return addDays(d, -((d.getUTCDay() - weekday0Sun + 7) % 7));
+}
+
+/** Easter Sunday (Gregorian), by the anonymous Gregorian algorithm. */
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return fixedDate(year, month - 1, day);
+}
+
+export function easterOffset(year, days) {
+  return addDays(easterSunday(year), days);
+}
+
+/** US-style observance: a Saturday holiday is taken on Friday, a Sunday one on Monday. */
+export function observedFixedDateHoliday(year, monthIdx0, day) {
+  const d = fixedDate(year, monthIdx0, day);
+  const dow = d.getUTCDay();
+  if (dow === 6) return addDays(d, -1);
+  if (dow === 0) return addDays(d, 1);
+  return d;
+}
+
+/**
+ * UK/Canada-style substitute days for `[{ date, name }]`: holidays on a
+ * weekday stay put, and each weekend one moves to the next weekday that isn't
+ * already a holiday (so Christmas on a Saturday and Boxing Day on a Sunday
+ * are taken on Monday and Tuesday).
+ */
+export function withSubstituteDays(holidays) {
+  const isWeekend = (d) => d.getUTCDay() === 0 || d.getUTCDay() === 6;
+  const taken = new Set(holidays.filter((h) => !isWeekend(h.date)).map((h) => fmtDate(h.date)));
+  return holidays.map((h) => {
+    if (!isWeekend(h.date)) return h;
+    let d = addDays(h.date, 1);
+    while (isWeekend(d) || taken.has(fmtDate(d))) d = addDays(d, 1);
+    taken.add(fmtDate(d));
+    return { date: d, name: `${h.name} (substitute day)` };
+  });
+}
@@ -0,0 +1,52 @@
+// United States: federal holidays and a few states' own, each as observed
+// (Saturday holidays on Friday, Sunday ones on Monday).
+
+import { fixedDate, lastWeekdayOfMonth, nthWeekdayOfMonth, observedFixedDateHoliday } from "./rules.js";
+
+const MON = 1;
+const THU = 4;
+const FRI = 5;
+
+export function usFederal(year) {
+  const holidays = [
+    { date: observedFixedDateHoliday(year, 0, 1), name: "New Year's Day" },
+    { date: nthWeekdayOfMonth(year, 0, MON, 3), name: "MLK Day" },
+    { date: nthWeekdayOfMonth(year, 1, MON, 3), name: "Presidents' Day" },
+    { date: lastWeekdayOfMonth(year, 4, MON), name: "Memorial Day" },
+    { date: observedFixedDateHoliday(year, 6, 4), name: "Independence Day" },
+    { date: nthWeekdayOfMonth(year, 8, MON, 1), name: "Labor Day" },
+    { date: nthWeekdayOfMonth(year, 9, MON, 2), name: "Columbus Day" },
+    { date: observedFixedDateHoliday(year, 10, 11), name: "Veterans Day" },
+    { date: nthWeekdayOfMonth(year, 10, THU, 4), name: "Thanksgiving Day" },
+    { date: observedFixedDateHoliday(year, 11, 25), name: "Christmas Day" },
+  ];
+  // Federal since 2021
+  if (year >= 2021) holidays.push({ date: observedFixedDateHoliday(year, 5, 19), name: "Juneteenth Day" });
+  return holidays;
+}
+
+// California state holidays: no Columbus Day or Juneteenth, but Cesar Chavez
+// Day, Native American Day and the day after Thanksgiving.
+export function usCalifornia(year) {
+  const thanksgiving = nthWeekdayOfMonth(year, 10, THU, 4);
+  return [
+    ...usFederal(year).filter((h) => h.name !== "Columbus Day" && h.name !== "Juneteenth Day"),
+    { date: observedFixedDateHoliday(year, 2, 31), name: "Cesar Chavez Day" },
+    { date: nthWeekdayOfMonth(year, 8, FRI, 4), name: "Native American Day" },
+    { date: fixedDate(year, 10, thanksgiving.getUTCDate() + 1), name: "Day after Thanksgiving" },
+  ];
+}
+
+export function usMassachusetts(year) {
+  return [...usFederal(year), { date: nthWeekdayOfMonth(year, 3, MON, 3), name: "Patriots' Day" }];
+}
+
+// New York adds Lincoln's Birthday and Election Day (the Tuesday after the first Monday in November)
+export function usNewYork(year) {
+  const firstMonday = nthWeekdayOfMonth(year, 10, MON, 1);
+  return [
+    ...usFederal(year),
+    { date: observedFixedDateHoliday(year, 1, 12), name: "Lincoln's Birthday" },
+    { date: fixedDate(year, 10, firstMonday.getUTCDate() + 1), name: "Election Day" },
+  ];
+}
@@ -0,0 +1,452 @@
+// Reading events out of iCalendar (.ics) files, as exported by HR systems and
+// personal calendars. Only what the ledger needs is kept: which calendar days
+// each event (and each repeat of a recurring one) covers, and its summary.
+// Days are UTC day numbers internally so the arithmetic ignores the server's
+// zone. Recurring events repeat on their own clock (their TZID, or UTC) and
+// each occurrence is then placed on the group's calendar by `timeZone`.
+
+import { isoIn } from "../shared/dates.js";
+import { isTimeZone } from "../shared/settings.js";
+
+const DAY_MS = 86400000;
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+// RRULE parts the expander understands; any other would be silently ignored
+const RULE_PARTS = ["FREQ", "INTERVAL", "COUNT", "UNTIL", "BYDAY", "BYMONTH", "BYMONTHDAY", "BYSETPOS", "WKST"];
+
+// Periods one rule may walk through; more than any sane window needs
+const MAX_PERIODS = 5000;
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function dayNum(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+function dayStr(n) {
+  const d = new Date(n * DAY_MS);
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+}
+
+const weekdayOf = (n) => new Date(n * DAY_MS).getUTCDay();
+
+function unescapeText(value) {
+  return value.replace(/\\([\\,;nN])/g, (_, c) => (c === "n" || c === "N" ? " " : c)).trim();
+}
+
+// "DTSTART;TZID=Europe/London:20261224T090000" -> { name, params, value }
+function parseLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * A DATE or DATE-TIME value as `{ day, allDay, seconds, zone }`: the calendar
+ * day it falls on and, for timed values, seconds since that day's midnight,
+ * both on the clock of `zone`. That is "UTC" for "…Z" times and the TZID when
+ * it names an IANA zone; dates, floating times and TZIDs that only a
+ * VTIMEZONE defines have no zone and are taken as written. Returns null for
+ * anything unreadable.
+ */
+function parseDateValue(value, params) {
+  const v = String(value).trim();
+  let m = v.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (m) return { day: dayNum(`${m[1]}-${m[2]}-${m[3]}`), allDay: true, seconds: 0, zone: null };
+
+  m = v.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, utc] = m;
+  const zone = utc ? "UTC" : isTimeZone(params.TZID) ? params.TZID : null;
+  return { day: dayNum(`${y}-${mo}-${d}`), allDay: false, seconds: +h * 3600 + +mi * 60 + +s, zone };
+}
+
+// Minutes `zone` is ahead of UTC at `ms`
+function utcOffset(ms, zone) {
+  const [, sign, hh, mm] = isoIn(new Date(ms), zone).match(/([+-])(\d{2}):(\d{2})$/);
+  return (sign === "-" ? -1 : 1) * (+hh * 60 + +mm);
+}
+
+/**
+ * A parsed value (see parseDateValue) on the clock of `zone` instead of its
+ * own. Values without a zone, and any value when `zone` is unset, stay as they are.
+ */
+function inZone(v, zone) {
+  if (!v.zone || !zone || v.zone === zone) return v;
+  // The wall time read as UTC, corrected by the source zone's offset (twice, for DST changes)
+  const wall = v.day * DAY_MS + v.seconds * 1000;
+  let ms = wall - utcOffset(wall, v.zone) * 60000;
+  ms = wall - utcOffset(ms, v.zone) * 60000;
+  const local = ms + utcOffset(ms, zone) * 60000;
+  const day = Math.floor(local / DAY_MS);
+  return { ...v, day, seconds: Math.round((local - day * DAY_MS) / 1000), zone };
+}
+
+// "P1W", "P2D", "PT8H30M" -> seconds
+function parseDuration(value) {
+  const m = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [, sign, w = 0, d = 0, h = 0, mi = 0, s = 0] = m;
+  const total = ((+w * 7 + +d) * 24 + +h) * 3600 + +mi * 60 + +s;
+  return sign === "-" ? -total : total;
+}
+
+/**
+ * An RRULE as the expander needs it, with UNTIL as a day on `zone`'s clock.
+ * Returns `{ error }` for frequencies and parts it can't expand faithfully.
+ */
+function parseRule(value, zone) {
+  const parts = Object.fromEntries(
+    String(value)
+      .split(";")
+      .map((p) => p.split("="))
+      .filter(([k, v]) => k && v !== undefined)
+      .map(([k, v]) => [k.toUpperCase(), v.toUpperCase()])
+  );
+  const unsupported = Object.keys(parts).filter((k) => !RULE_PARTS.includes(k));
+  if (!FREQUENCIES.includes(parts.FREQ)) unsupported.unshift(`FREQ=${parts.FREQ || ""}`);
+  if (unsupported.length) {
+    return { error: `repeats by ${unsupported.join(", ")}, which can't be imported` };
+  }
+
+  const list = (key) => (parts[key] ? parts[key].split(",").map(Number).filter(Number.isFinite) : []);
+  const byDay = (parts.BYDAY ? parts.BYDAY.split(",") : [])
+    .map((code) => code.match(/^([+-]?\d{1,2})?([A-Z]{2})$/))
+    .filter((m) => m && WEEKDAY_CODES.includes(m[2]))
+    .map((m) => ({ nth: m[1] ? Number(m[1]) : 0, weekday: WEEKDAY_CODES.indexOf(m[2]) }));
+  const until = parts.UNTIL ? parseDateValue(parts.UNTIL, {}) : null;
+
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    count: parts.COUNT ? Number(parts.COUNT) : 0,
+    until: until ? inZone(until, zone).day : null,
+    byDay,
+    byMonth: list("BYMONTH"),
+    byMonthDay: list("BYMONTHDAY"),
+    bySetPos: list("BYSETPOS"),
+    weekStart: WEEKDAY_CODES.includes(parts.WKST) ? WEEKDAY_CODES.indexOf(parts.WKST) : 1,
+  };
+}
+
+// Candidate days in one month for MONTHLY and YEARLY rules
+function monthDays(year, monthIdx0, rule, startDay) {
+  const first = Date.UTC(year, monthIdx0, 1) / DAY_MS;
+  const length = new Date(Date.UTC(year, monthIdx0 + 1, 0)).getUTCDate();
+
+  let days = null;
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay.map((d) => (d < 0 ? length + 1 + d : d)).filter((d) => d >= 1 && d <= length);
+  }
+  if (rule.byDay.length) {
+    const matching = [];
+    for (const { nth, weekday } of rule.byDay) {
+      const all = [];
+      for (let d = 1; d <= length; d++) if (weekdayOf(first + d - 1) === weekday) all.push(d);
+      if (!nth) matching.push(...all);
+      else if (all[nth > 0 ? nth - 1 : all.length + nth]) matching.push(all[nth > 0 ? nth - 1 : all.length + nth]);
+    }
+    days = days ? days.filter((d) => matching.includes(d)) : matching;
+  }
+  if (!days) {
+    const startDate = new Date(startDay * DAY_MS).getUTCDate();
+    days = startDate <= length ? [startDate] : [];
+  }
+  return days.map((d) => first + d - 1);
+}
+
+// Candidate days for YEARLY rules with BYDAY but no BYMONTH, where "20MO"
+// counts Mondays across the whole year
+function yearWeekdays(year, rule) {
+  const first = Date.UTC(year, 0, 1) / DAY_MS;
+  const length = (Date.UTC(year + 1, 0, 1) / DAY_MS) - first;
+  const days = [];
+  for (const { nth, weekday } of rule.byDay) {
+    const all = [];
+    for (let n = first; n < first + length; n++) if (weekdayOf(n) === weekday) all.push(n);
+    if (!nth) days.push(...all);
+    else if (all[nth > 0 ? nth - 1 : all.length + nth] !== undefined) days.push(all[nth > 0 ? nth - 1 : all.length + nth]);
+  }
+  if (!rule.byMonthDay.length) return days;
+  return days.filter((n) => {
+    const d = new Date(n * DAY_MS);
+    const monthLength = new Date(Date.UTC(year, d.getUTCMonth() + 1, 0)).getUTCDate();
+    return rule.byMonthDay.some((md) => (md < 0 ? monthLength + 1 + md : md) === d.getUTCDate());
+  });
+}
+
+function applySetPos(days, bySetPos) {
+  if (!bySetPos.length) return days;
+  return bySetPos.map((p) => days[p > 0 ? p - 1 : days.length + p]).filter((d) => d !== undefined);
+}
+
+// The days in the `k`th period of the rule, sorted
+function periodDays(rule, startDay, k) {
+  const start = new Date(startDay * DAY_MS);
+  const month = (n) => new Date(n * DAY_MS).getUTCMonth() + 1;
+  const inMonths = (n) => !rule.byMonth.length || rule.byMonth.includes(month(n));
+
+  let days;
+  switch (rule.freq) {
+    case "DAILY": {
+      const day = startDay + k * rule.interval;
+      const date = new Date(day * DAY_MS).getUTCDate();
+      days = [day].filter(
+        (n) =>
+          inMonths(n) &&
+          (!rule.byDay.length || rule.byDay.some((b) => b.weekday === weekdayOf(n))) &&
+          (!rule.byMonthDay.length || rule.byMonthDay.includes(date))
+      );
+      break;
+    }
+    case "WEEKLY": {
+      const weekStart = periodStart(rule, startDay, k);
+      const weekdays = rule.byDay.length ? rule.byDay.map((b) => b.weekday) : [weekdayOf(startDay)];
+      days = weekdays.map((w) => weekStart + ((w - rule.weekStart + 7) % 7)).filter(inMonths);
+      break;
+    }
+    case "MONTHLY": {
+      const monthIdx = start.getUTCMonth() + k * rule.interval;
+      const d = new Date(Date.UTC(start.getUTCFullYear(), monthIdx, 1));
+      days = monthDays(d.getUTCFullYear(), d.getUTCMonth(), rule, startDay).filter(inMonths);
+      break;
+    }
+    case "YEARLY": {
+      const year = start.getUTCFullYear() + k * rule.interval;
+      if (!rule.byMonth.length && rule.byDay.length) {
+        days = yearWeekdays(year, rule);
+      } else {
+        // BYMONTHDAY alone repeats in every month; nothing at all, in DTSTART's
+        const months = rule.byMonth.length
+          ? rule.byMonth
+          : rule.byMonthDay.length
+            ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]
+            : [start.getUTCMonth() + 1];
+        days = months.flatMap((m) => monthDays(year, m - 1, rule, startDay));
+      }
+      break;
+    }
+    default:
+      return null;
+  }
+  return applySetPos([...new Set(days)].sort((a, b) => a - b), rule.bySetPos);
+}
+
+// The first day of the `k`th period of the rule, whether or not it has any occurrences
+function periodStart(rule, startDay, k) {
+  const start = new Date(startDay * DAY_MS);
+  switch (rule.freq) {
+    case "DAILY":
+      return startDay + k * rule.interval;
+    case "WEEKLY":
+      return startDay - ((weekdayOf(startDay) - rule.weekStart + 7) % 7) + k * 7 * rule.interval;
+    case "MONTHLY":
+      return Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + k * rule.interval, 1) / DAY_MS;
+    default:
+      return Date.UTC(start.getUTCFullYear() + k * rule.interval, 0, 1) / DAY_MS;
+  }
+}
+
+// The last period that starts on or before `day`. Rules without COUNT can
+// skip straight to it; with COUNT every earlier occurrence has to be counted.
+function firstPeriod(rule, startDay, day) {
+  if (rule.count || day <= startDay) return 0;
+  const start = new Date(startDay * DAY_MS);
+  const target = new Date(day * DAY_MS);
+  let elapsed;
+  switch (rule.freq) {
+    case "DAILY":
+      elapsed = day - startDay;
+      break;
+    case "WEEKLY":
+      elapsed = Math.floor((day - periodStart(rule, startDay, 0)) / 7);
+      break;
+    case "MONTHLY":
+      elapsed = (target.getUTCFullYear() - start.getUTCFullYear()) * 12 + target.getUTCMonth() - start.getUTCMonth();
+      break;
+    case "YEARLY":
+      elapsed = target.getUTCFullYear() - start.getUTCFullYear();
+      break;
+    default:
+      return 0;
+  }
+  return Math.floor(elapsed / rule.interval);
+}
+
+/**
+ * Start days of a recurring event, DTSTART first, from `firstDay` to
+ * `lastDay` (or the rule's own COUNT / UNTIL); days before `firstDay` may be
+ * missing. Unsupported frequencies give just DTSTART. Returns null if the
+ * rule needs more than MAX_PERIODS periods to get through the window.
+ */
+function expandRule(rule, startDay, firstDay, lastDay) {
+  const starts = [startDay];
+  let count = 1;
+  const k0 = firstPeriod(rule, startDay, firstDay);
+  for (let k = k0; k < k0 + MAX_PERIODS; k++) {
+    // Periods only move forward, so once one starts past the window (or UNTIL) we're done
+    const first = periodStart(rule, startDay, k);
+    if (first > lastDay || (rule.until !== null && first > rule.until)) return starts;
+    const days = periodDays(rule, startDay, k);
+    if (!days) return starts;
+    for (const day of days) {
+      if (day <= startDay) continue;
+      if ((rule.until !== null && day > rule.until) || (rule.count && count >= rule.count) || day > lastDay) {
+        return starts;
+      }
+      starts.push(day);
+      count += 1;
+    }
+  }
+  return null;
+}
+
+/** The raw properties of each VEVENT, skipping nested components such as VALARM. */
+function readEvents(text) {
+  const lines = String(text).replace(/\r\n?/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+  const events = [];
+  let event = null;
+  let nested = 0;
+  for (const line of lines) {
+    const prop = parseLine(line);
+    if (!prop) continue;
+    if (prop.name === "BEGIN") {
+      if (prop.value.toUpperCase() === "VEVENT" && !event) event = [];
+      else if (event) nested += 1;
+    } else if (prop.name === "END") {
+      if (nested) nested -= 1;
+      else if (event && prop.value.toUpperCase() === "VEVENT") {
+        events.push(event);
+        event = null;
+      }
+    } else if (event && !nested) {
+      event.push(prop);
+    }
+  }
+  return events;
+}
+
+/**
+ * Every occurrence of the events in an iCalendar file that touches
+ * `from`..`to` (YYYY-MM-DD, inclusive) as `[{ name, from, to }]`, with `to`
+ * the last day the event covers. All-day, multi-day and timed events are
+ * read; recurring ones are expanded (RRULE, RDATE, EXDATE, and edited
+ * instances via RECURRENCE-ID). Cancelled events are left out. Returns
+ * `{ error }` if the file has no events, or a rule repeats too often to
+ * expand across the window.
+ */
+export function icsOccurrences(text, { timeZone, from, to }) {
+  const raw = readEvents(text);
+  if (!raw.length) return { error: "No events found in the file" };
+
+  const windowStart = dayNum(from);
+  const windowEnd = dayNum(to);
+  const events = [];
+  // Days of recurring events replaced by an edited instance, per UID
+  const overridden = new Map();
+
+  for (const props of raw) {
+    const get = (name) => props.find((p) => p.name === name);
+    const all = (name) => props.filter((p) => p.name === name);
+    if (String(get("STATUS")?.value).toUpperCase() === "CANCELLED") continue;
+
+    const dtstart = get("DTSTART");
+    const start = dtstart && parseDateValue(dtstart.value, dtstart.params);
+    if (!start) continue;
+
+    // Seconds from the start to the last moment the event covers, on its own
+    // clock. Ends are exclusive, so an event ending at midnight stops the day before.
+    const dtend = get("DTEND");
+    const end = dtend && parseDateValue(dtend.value, dtend.params);
+    const duration = get("DURATION") && parseDuration(get("DURATION").value);
+    let lastOffset = start.allDay ? 86399 : 0;
+    if (end) {
+      const e = inZone(end, start.zone);
+      lastOffset = Math.max(0, (e.day - start.day) * 86400 + e.seconds - start.seconds - 1);
+    } else if (duration) {
+      lastOffset = Math.max(0, duration - 1);
+    }
+    // Days the event spans after its first
+    const extraDays = Math.floor((start.seconds + lastOffset) / 86400);
+
+    // An occurrence as the first and last day it covers on the group's calendar
+    const place = (day) => {
+      const last = start.seconds + lastOffset;
+      return {
+        first: inZone({ ...start, day }, timeZone).day,
+        last: inZone({ ...start, day: day + Math.floor(last / 86400), seconds: last % 86400 }, timeZone).day,
+      };
+    };
+    // EXDATE and RECURRENCE-ID values as days on the group's calendar
+    const groupDay = (v) => inZone(v, timeZone).day;
+
+    const uid = get("UID")?.value || "";
+    const recurrenceId = get("RECURRENCE-ID");
+    if (recurrenceId && uid) {
+      const replaced = parseDateValue(recurrenceId.value, recurrenceId.params);
+      if (replaced) {
+        if (!overridden.has(uid)) overridden.set(uid, new Set());
+        overridden.get(uid).add(groupDay(replaced));
+      }
+    }
+
+    const valueList = (name) =>
+      all(name).flatMap((p) =>
+        p.value
+          .split(",")
+          .map((v) => parseDateValue(v, p.params))
+          .filter(Boolean)
+      );
+
+    const name = unescapeText(get("SUMMARY")?.value || "");
+    const rrule = !recurrenceId && get("RRULE");
+    let starts = [start.day];
+    if (rrule) {
+      const rule = parseRule(rrule.value, start.zone);
+      if (rule.error) return { error: `“${name || "Untitled event"}” ${rule.error}` };
+      // Moving to the group's clock can shift an occurrence a day either way
+      starts = expandRule(rule, start.day, windowStart - extraDays - 1, windowEnd + 1);
+      if (!starts) return { error: `“${name || "Untitled event"}” repeats too often to import; pick a shorter range` };
+    }
+    const rdates = recurrenceId ? [] : valueList("RDATE").map((v) => inZone(v, start.zone).day);
+    events.push({
+      uid: recurrenceId ? "" : uid,
+      name,
+      occurrences: [...new Set([...starts, ...rdates])].map(place),
+      excluded: new Set(valueList("EXDATE").map(groupDay)),
+    });
+  }
+
+  const occurrences = [];
+  for (const event of events) {
+    const skip = overridden.get(event.uid);
+    for (const { first, last } of event.occurrences.sort((a, b) => a.first - b.first)) {
+      if (event.excluded.has(first) || skip?.has(first)) continue;
+      if (last < windowStart || first > windowEnd) continue;
+      occurrences.push({ name: event.name, from: dayStr(first), to: dayStr(Math.max(first, last)) });
+    }
+  }
+  return occurrences.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+}
+
+/** Each day from `from` to `to` (YYYY-MM-DD, inclusive). */
+export function daysInRange(from, to) {
+  const days = [];
+  for (let n = dayNum(from); n <= dayNum(to); n++) days.push(dayStr(n));
+  return days;
+}
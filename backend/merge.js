@@ -0,0 +1,143 @@
+// Folding a duplicate member into the one being kept. Every reference to the
+// duplicate is pointed at the keeper; where both end up in the same place
+// (riding the same car, sharing the same expense) their parts are combined so
+// the keeper's balance becomes the sum of both.
+
+import { round2 } from "../shared/pricing.js";
+
+/**
+ * The entry with `fromId` replaced by `intoId`, and the roles the duplicate
+ * had on it (driver, rider, sponsor, expense). Returns null if the entry
+ * doesn't mention the duplicate, or `{ error }` if the merged ride can't be
+ * saved because both members drove, or rode in, different cars.
+ */
+export function mergeEntry(entry, fromId, intoId) {
+  const swap = (id) => (id === fromId ? intoId : id);
+  const roles = new Set();
+  if (entry.driver_id === fromId || entry.vehicles.some((v) => v.driver_id === fromId)) roles.add("driver");
+  for (const r of entry.riders) {
+    if (r.member_id === fromId) roles.add("rider");
+    if (r.guest_name && r.sponsor_id === fromId) roles.add("sponsor");
+  }
+  if (entry.expenses.some((x) => x.payer_id === fromId || x.member_ids.includes(fromId))) roles.add("expense");
+  if (!roles.size) return null;
+
+  const vehicles = entry.vehicles.map((v) => ({ ...v, driver_id: swap(v.driver_id) }));
+  if (new Set(vehicles.map((v) => v.driver_id)).size !== vehicles.length) {
+    return { error: "Both members drove a car on this ride" };
+  }
+
+  const riders = [];
+  for (const r of entry.riders) {
+    const moved = { ...r, member_id: swap(r.member_id), driver_id: swap(r.driver_id) };
+    if (r.guest_name) moved.sponsor_id = swap(r.sponsor_id);
+
+    const same = !moved.guest_name && riders.find((x) => !x.guest_name && x.member_id === moved.member_id);
+    if (!same) {
+      riders.push(moved);
+      continue;
+    }
+    if (same.driver_id !== moved.driver_id) return { error: "Both members rode on this ride, in different cars" };
+    same.units += moved.units;
+    same.charge = round2(same.charge + moved.charge);
+    same.expense_share = round2(same.expense_share + moved.expense_share);
+    if (moved.trip_type === "two_way") same.trip_type = "two_way";
+  }
+
+  const expenses = entry.expenses.map((x) => ({
+    ...x,
+    payer_id: swap(x.payer_id),
+    member_ids: [...new Set(x.member_ids.map(swap))],
+  }));
+
+  return {
+    entry: { ...entry, driver_id: swap(entry.driver_id), vehicles, riders, expenses },
+    roles: [...roles],
+  };
+}
+
+/**
+ * The shared expense with `fromId` replaced by `intoId`, or null if it doesn't
+ * mention the duplicate. When both members shared it, the keeper takes on the
+ * duplicate's weight so each share stays the same.
+ */
+export function mergeSharedExpense(expense, fromId, intoId) {
+  const { member_ids, weights, payer_id } = expense;
+  if (payer_id !== fromId && !member_ids.includes(fromId)) return null;
+
+  const merged = { ...expense, payer_id: payer_id === fromId ? intoId : payer_id };
+  if (!member_ids.includes(fromId)) return merged;
+  if (!member_ids.includes(intoId)) {
+    return { ...merged, member_ids: member_ids.map((id) => (id === fromId ? intoId : id)) };
+  }
+
+  const weightOf = (i) => (weights.length ? weights[i] : 1);
+  const fromWeight = weightOf(member_ids.indexOf(fromId));
+  const kept = member_ids.map((id, i) => [id, weightOf(i)]).filter(([id]) => id !== fromId);
+  return {
+    ...merged,
+    member_ids: kept.map(([id]) => id),
+    weights: kept.map(([id, w]) => (id === intoId ? w + fromWeight : w)),
+  };
+}
+
+/**
+ * The whole ledger as it would be after merging: `entries`, `payments` and
+ * `sharedExpenses` with the duplicate replaced, and `members` with their
+ * opening balances combined. `rides` lists each changed entry with the
+ * duplicate's roles on it; `conflicts` the ones that can't be merged.
+ * `changed.sharedExpenses` holds just the shared expenses that need saving.
+ */
+export function planMemberMerge(fromId, intoId, { members, entries, payments, sharedExpenses }) {
+  const rides = [];
+  const conflicts = [];
+  const mergedEntries = entries.map((e) => {
+    const result = mergeEntry(e, fromId, intoId);
+    if (!result) return e;
+    if (result.error) {
+      conflicts.push({ entry_id: e.entry_id, date: e.date, leg: e.leg, error: result.error });
+      return e;
+    }
+    rides.push({ entry: result.entry, roles: result.roles });
+    return result.entry;
+  });
+
+  const movedPayments = payments.filter((p) => p.from_member_id === fromId || p.to_member_id === fromId);
+  const mergedPayments = payments.map((p) =>
+    movedPayments.includes(p)
+      ? {
+          ...p,
+          from_member_id: p.from_member_id === fromId ? intoId : p.from_member_id,
+          to_member_id: p.to_member_id === fromId ? intoId : p.to_member_id,
+        }
+      : p
+  );
+
+  const movedSharedExpenses = [];
+  const mergedSharedExpenses = sharedExpenses.map((x) => {
+    const merged = mergeSharedExpense(x, fromId, intoId);
+    if (merged) movedSharedExpenses.push(merged);
+    return merged || x;
+  });
+
+  const fromOpening = members.find((m) => m.member_id === fromId)?.opening_balance || 0;
+  const mergedMembers = members.map((m) => {
+    if (m.member_id === fromId) return { ...m, opening_balance: 0, active: false };
+    if (m.member_id === intoId) return { ...m, opening_balance: round2((m.opening_balance || 0) + fromOpening) };
+    return m;
+  });
+
+  return {
+    rides,
+    conflicts,
+    payments: movedPayments.length,
+    shared_expenses: movedSharedExpenses.length,
+    changed: { sharedExpenses: movedSharedExpenses },
+    merged: {
+      members: mergedMembers,
+      entries: mergedEntries,
+      payments: mergedPayments,
+      sharedExpenses: mergedSharedExpenses,
+    },
+  };
+}
@@ -1,15 +1,33 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import { google } from "googleapis";
 import twilio from "twilio";
 import cron from "node-cron";
+import { createStorage } from "./storage/index.js";
+import { createSessionAuth, hashJoinCode, verifyJoinCode } from "./auth.js";
+import { billedMember, memberHistory, rangeBalances, optimizeTransfers, sharedExpenseShares } from "./balances.js";
+import { planMemberMerge } from "./merge.js";
+import { calendarHolidays } from "./holidays/index.js";
+import { daysInRange, icsOccurrences } from "./ics.js";
+import {
+  EXPENSE_CATEGORIES,
+  EXPENSE_SPLITS,
+  PRICING_MODES,
+  SPLIT_STRATEGIES,
+  addExpenseShares,
+  carDayTotal,
+  carDayType,
+  round2,
+  splitCar,
+} from "../shared/pricing.js";
+import { nowIn, todayIn, weekdayOf } from "../shared/dates.js";
+import { HOLIDAY_CALENDARS, TRIP_TYPES, WEEKDAYS, isCurrencyCode, isLocale, isTimeZone } from "../shared/settings.js";
 
 dotenv.config();
 
 const app = express();
 app.use(cors()); // tighten later to your deployed frontend domain
-app.use(express.json());
+app.use(express.json({ limit: "2mb" })); // room for uploaded .ics files
 
 // Lightweight health endpoint for uptime/cron checks and warm pings
 app.get("/health", (req, res) => {
@@ -19,9 +37,6 @@ app.get("/health", (req, res) => {
 
 const {
   PORT = 4000,
-  GOOGLE_SHEET_ID,
-  GOOGLE_SERVICE_ACCOUNT_EMAIL,
-  GOOGLE_PRIVATE_KEY,
   TWILIO_ACCOUNT_SID,
   TWILIO_AUTH_TOKEN,
   TWILIO_PHONE_NUMBER,
@@ -34,129 +49,124 @@ if (TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN) {
   twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
 }
 
-if (!GOOGLE_SHEET_ID || !GOOGLE_SERVICE_ACCOUNT_EMAIL || !GOOGLE_PRIVATE_KEY) {
-  throw new Error(
-    "Missing env vars: GOOGLE_SHEET_ID / GOOGLE_SERVICE_ACCOUNT_EMAIL / GOOGLE_PRIVATE_KEY"
-  );
-}
+// Google Sheets or a local JSON file, depending on STORAGE_DRIVER (see storage/index.js)
+const storage = createStorage();
 
-const auth = new google.auth.JWT({
-  email: GOOGLE_SERVICE_ACCOUNT_EMAIL,
-  key: GOOGLE_PRIVATE_KEY.replace(/\\n/g, "\n"),
-  scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+// Every group-scoped route goes through requireGroup, which sets req.groupId
+// from a signed session token issued by POST /login.
+const { issue: issueSession, requireGroup } = createSessionAuth({
+  secret: process.env.SESSION_SECRET,
+  ttlHours: process.env.SESSION_TTL_HOURS || 720,
 });
 
-const sheets = google.sheets({ version: "v4", auth });
-
-const TAB_MEMBERS = "members";
-const TAB_DAY_ENTRIES = "day_entries";
-const TAB_DAY_RIDERS = "day_riders";
-
-async function getValues(range) {
-  const resp = await sheets.spreadsheets.values.get({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    range,
-  });
-  return resp.data.values || [];
-}
-
-async function setValues(range, values) {
-  console.log("setValues called:", range, "rows:", values.length);
-  console.log("First row:", values[0]);
-  console.log("Second row if exists:", values[1]);
-  const resp = await sheets.spreadsheets.values.update({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    range,
-    valueInputOption: "USER_ENTERED",
-    requestBody: { values },
-  });
-  console.log("setValues response updatedCells:", resp.data?.updatedCells);
-  return resp.data;
-}
-
-async function appendValues(range, values) {
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    range,
-    valueInputOption: "USER_ENTERED",
-    requestBody: { values },
-  });
-}
+/**
+ * Price one car on a ride: work out its total for the car's day type on `date`
+ * (the driver's rates, or distance and fuel, per the group `settings`) and
+ * split it over the car's riders with `strategy` (see shared/pricing.js).
+ * Returns `{ vehicle, riders }`, or `{ error }` with a client-facing message.
+ */
+function priceVehicle(car, driver, date, strategy, settings) {
+  const riders = car.riders ?? [];
+  if (!driver) return { error: "Driver not found in members" };
+
+  const day_type = car.day_type || carDayType(riders);
+  const { total, inputs } = carDayTotal({ driver, date, dayType: day_type, settings });
+  let day_total_used = total;
+
+  let computed = [];
+  if (riders.length) {
+    if (!riders.some((x) => x.member_id === car.driver_id)) {
+      return { error: "Driver must be included in riders" };
+    }
 
-function round2(x) {
-  return Math.round(Number(x) * 100) / 100;
-}
+    // Fixed fees don't depend on the driver's rates
+    if (strategy !== "fixed_fee" && (!Number.isFinite(day_total_used) || day_total_used <= 0)) {
+      if (!inputs) return { error: `Driver rates not set for ${driver.name} on ${date} (one_way_total/two_way_total)` };
+      if (!inputs.mpg) return { error: `Vehicle MPG not set for ${driver.name}` };
+      return { error: "Distance pricing needs route_miles and fuel_price (or wear_per_mile) in settings" };
+    }
 
-function unitsForTrip(trip_type) {
-  if (trip_type === "one_way") return 1;
-  if (trip_type === "two_way") return 2;
-  return 0;
-}
+    const split = splitCar({ total: day_total_used, driverId: car.driver_id, riders, strategy });
+    if (split.error) return { error: split.error };
+    // splitCar keeps the riders' order; guests keep who pays for them
+    computed = split.riders.map((r, i) => {
+      const { guest_name, sponsor_id = "" } = riders[i];
+      return { ...r, driver_id: car.driver_id, ...(guest_name ? { guest_name, sponsor_id } : {}) };
+    });
+  }
 
-function pad2(n) {
-  return String(n).padStart(2, "0");
-}
-function fmtDate(d) {
-  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+  const total_amount = round2(computed.reduce((s, r) => s + r.charge, 0));
+  if (strategy === "fixed_fee") day_total_used = total_amount;
+
+  return {
+    vehicle: {
+      driver_id: car.driver_id,
+      day_type,
+      day_total_used,
+      total_amount,
+      ...inputs,
+    },
+    riders: computed,
+  };
 }
 
-function colLabel(n) {
-  let label = "";
-  let value = n;
-  while (value > 0) {
-    value -= 1;
-    label = String.fromCharCode(65 + (value % 26)) + label;
-    value = Math.floor(value / 26);
+/**
+ * Check a ride's expense lines against the group's members and normalize them
+ * to `{ category, amount, payer_id, split, member_ids }`. Returns
+ * `{ expenses }` or `{ error }`; who shares each line is checked when it is
+ * split (see addExpenseShares).
+ */
+function parseExpenses(raw, memberById) {
+  if (!Array.isArray(raw)) return { error: "expenses must be an array" };
+
+  const expenses = [];
+  for (const x of raw) {
+    if (!EXPENSE_CATEGORIES[x?.category]) {
+      return { error: `expenses.category must be one of ${Object.keys(EXPENSE_CATEGORIES).join(", ")}` };
+    }
+    if (!EXPENSE_SPLITS[x.split]) {
+      return { error: `expenses.split must be one of ${Object.keys(EXPENSE_SPLITS).join(", ")}` };
+    }
+    if (!memberById.has(x.payer_id)) return { error: "expenses.payer_id must be a member" };
+    const amount = round2(x.amount);
+    if (!Number.isFinite(amount) || amount <= 0) return { error: "expenses.amount must be positive" };
+    const member_ids = x.split === "riders" ? [...new Set(x.member_ids || [])] : [];
+    if (x.split === "riders" && !member_ids.length) {
+      return { error: "Choose who shares each expense split between chosen riders" };
+    }
+    expenses.push({ category: x.category, amount, payer_id: x.payer_id, split: x.split, member_ids });
   }
-  return label;
+  return { expenses };
 }
 
-async function loadSheetEnsuringColumns(tabName, requiredCols) {
-  const rows = await getValues(`${tabName}!A:Z`);
-  if (!rows.length) {
-    const header = [...requiredCols];
-    await setValues(`${tabName}!A1:${colLabel(header.length)}1`, [header]);
-    return { rows: [header], idx: header.reduce((a, h, i) => ((a[h] = i), a), {}) };
-  }
-
-  const header = rows[0];
-  const idx = {};
-  header.forEach((h, i) => (idx[h] = i));
-
-  let headerChanged = false;
-  const ensureCol = (col) => {
-    if (idx[col] == null) {
-      header.push(col);
-      idx[col] = header.length - 1;
-      headerChanged = true;
-    }
+/** Entry-level fields derived from its cars; the first car's driver stays on the entry row for single-car readers. */
+function summarizeVehicles(vehicles) {
+  return {
+    driver_id: vehicles[0].driver_id,
+    day_type: vehicles.some((v) => v.day_type === "two_way") ? "two_way" : "one_way",
+    day_total_used: round2(vehicles.reduce((s, v) => s + v.day_total_used, 0)),
+    total_amount: round2(vehicles.reduce((s, v) => s + v.total_amount, 0)),
   };
+}
 
-  for (const col of requiredCols) ensureCol(col);
-
-  // Most reads already have the expected schema. Reuse that response instead
-  // of immediately issuing the same Google Sheets read a second time.
-  if (!headerChanged) return { rows, idx };
+// "" is a whole-day ride; "am"/"pm" split the day into a morning and evening leg
+const LEGS = ["", "am", "pm"];
 
-  // If migration is needed, write the complete header once, then re-read so
-  // callers receive the normalized sheet shape.
-  await setValues(`${tabName}!A1:${colLabel(header.length)}1`, [header]);
+// The group's zone. Each group records one when it's created or first signed
+// in to (see /login); until then its days are read in UTC, never the host's zone.
+function zoneOf(settings) {
+  return settings.timezone || "UTC";
+}
 
-  const rows2 = await getValues(`${tabName}!A:Z`);
-  const header2 = rows2[0] || header;
-  const idx2 = {};
-  header2.forEach((h, i) => (idx2[h] = i));
-  return { rows: rows2, idx: idx2 };
+// The current time on the group's clock, for created_at and voided_at
+async function groupNow(groupId) {
+  return nowIn(zoneOf(await storage.getSettings(groupId)));
 }
 
 function normalizeGroupId(value) {
   return String(value || "").trim().toLowerCase();
 }
 
-function getReqGroupId(req) {
-  return String(req.headers["x-group-id"] || "").trim();
-}
-
 function parseGroupCredentials() {
   const raw = process.env.GROUP_CREDENTIALS || process.env.GROUP_JOIN_CODES || "";
   if (!raw) return {};
@@ -178,7 +188,7 @@ function parseGroupCredentials() {
     .filter(Boolean)
     .reduce((acc, entry) => {
       const [group, code] = entry.split("=").map((part) => part.trim());
-      if (group && code) acc[group] = code;
+      if (group && code) acc[normalizeGroupId(group)] = code;
       return acc;
     }, {});
 }
@@ -191,6 +201,8 @@ function validateGroupCredentials(groupId, joinCode) {
   return false;
 }
 
+// Groups configured through GROUP_CREDENTIALS keep working; every other group
+// must have been created through POST /groups and match its stored hash.
 async function validateGroupAccess(groupId, joinCode) {
   if (!groupId || !joinCode) return false;
 
@@ -199,84 +211,16 @@ async function validateGroupAccess(groupId, joinCode) {
   }
 
   try {
-    const { rows, idx } = await loadMembersSheetEnsuringColumns();
-    if (rows.length <= 1) {
-      return String(joinCode || "").trim() !== "";
-    }
-
-    const found = filterRowsByGroup(rows.slice(1), idx, groupId).some((row) => row && row.length);
-    if (found) return true;
-
-    const fallbackRows = rows.slice(1).filter((row) => row && row.length);
-    const hasAnyGroupId = fallbackRows.some((row) => String(row[idx["group_id"]] ?? "").trim() === "");
-    if (!hasAnyGroupId) {
-      return String(joinCode || "").trim() !== "";
-    }
+    const group = await storage.getGroup(groupId);
+    if (!group) return false;
 
-    return String(joinCode || "").trim() !== "";
+    return verifyJoinCode(String(joinCode).trim(), { salt: group.join_salt, hash: group.join_hash });
   } catch (e) {
-    console.error("Failed to validate group access from sheet", e);
+    console.error("Failed to validate group access from storage", e);
     return false;
   }
 }
 
-function rowMatchesGroup(row, idx, groupId) {
-  if (!groupId) return false;
-  if (!row || !Array.isArray(row)) return false;
-  const value = normalizeGroupId(row[idx["group_id"]] ?? "");
-  return value === normalizeGroupId(groupId);
-}
-
-function filterRowsByGroup(rows, idx, groupId) {
-  return rows.filter((row) => rowMatchesGroup(row, idx, groupId));
-}
-
-function nthWeekdayOfMonth(year, monthIdx0, weekday0Sun, nth) {
-  const first = new Date(year, monthIdx0, 1);
-  const offset = (weekday0Sun - first.getDay() + 7) % 7;
-  const day = 1 + offset + (nth - 1) * 7;
-  return new Date(year, monthIdx0, day);
-}
-
-function lastWeekdayOfMonth(year, monthIdx0, weekday0Sun) {
-  const last = new Date(year, monthIdx0 + 1, 0);
-  const offset = (last.getDay() - weekday0Sun + 7) % 7;
-  return new Date(year, monthIdx0, last.getDate() - offset);
-}
-
-function observedFixedDateHoliday(year, monthIdx0, day) {
-  const d = new Date(year, monthIdx0, day);
-  const dow = d.getDay();
-  if (dow === 6) {
-    const obs = new Date(d);
-    obs.setDate(d.getDate() - 1);
-    return obs;
-  }
-  if (dow === 0) {
-    const obs = new Date(d);
-    obs.setDate(d.getDate() + 1);
-    return obs;
-  }
-  return d;
-}
-
-function usFederalHolidaysObservedForYear(year) {
-  const holidays = [];
-  holidays.push({ date: observedFixedDateHoliday(year, 0, 1), name: "New Year's Day" });
-  holidays.push({ date: nthWeekdayOfMonth(year, 0, 1, 3), name: "MLK Day" });
-  holidays.push({ date: nthWeekdayOfMonth(year, 1, 1, 3), name: "Presidents's Day" });
-  holidays.push({ date: lastWeekdayOfMonth(year, 4, 1), name: "Memorial Day" });
-  holidays.push({ date: observedFixedDateHoliday(year, 5, 19), name: "Juneteenth Day" });
-  holidays.push({ date: observedFixedDateHoliday(year, 6, 4), name: "Independence Day" });
-  holidays.push({ date: nthWeekdayOfMonth(year, 8, 1, 1), name: "Labor Day" });
-  holidays.push({ date: nthWeekdayOfMonth(year, 9, 1, 2), name: "Columbus Day" });
-  holidays.push({ date: observedFixedDateHoliday(year, 10, 11), name: "Veterans Day" });
-  holidays.push({ date: nthWeekdayOfMonth(year, 10, 4, 4), name: "Thanksgiving Day" });
-  holidays.push({ date: observedFixedDateHoliday(year, 11, 25), name: "Christmas Day" });
-
-  return holidays.map((h) => ({ date: fmtDate(h.date), name: h.name }));
-}
-
 function normalizePhone(phoneRaw) {
   const s = String(phoneRaw || "").trim();
   if (!s) return "";
@@ -290,16 +234,36 @@ function genMemberId() {
   return `m_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
 }
 
+function genEntryId() {
+  return `e_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function genPaymentId() {
+  return `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function genSharedExpenseId() {
+  return `x_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function genDaysOffId() {
+  return `o_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+const GROUP_ID_RE = /^[a-z0-9][a-z0-9_-]{2,39}$/i;
+
 app.get("/health", (_req, res) => res.json({ ok: true }));
 
-// ---- GROUP CHECK ----
-app.get("/group_check", async (req, res) => {
+// ---- LOGIN ----
+// Exchange a group id + join code for a session token used on every other call.
+// Clients send their IANA `timezone` too, for groups that don't have one yet.
+app.post("/login", async (req, res) => {
   try {
-    const groupId = String(req.headers["x-group-id"] || "").trim();
-    const joinCode = String(req.headers["x-join-code"] || "").trim();
+    const groupId = String(req.body?.group_id || "").trim();
+    const joinCode = String(req.body?.join_code || "").trim();
 
     if (!groupId || !joinCode) {
-      return res.status(400).json({ error: "Missing x-group-id or x-join-code headers" });
+      return res.status(400).json({ error: "group_id and join_code are required" });
     }
 
     const isValid = await validateGroupAccess(groupId, joinCode);
@@ -307,47 +271,112 @@ app.get("/group_check", async (req, res) => {
       return res.status(401).json({ error: "Invalid group id or join code" });
     }
 
-    res.json({ ok: true, group_id: groupId });
+    // A group without a zone (one from before they were stored) takes the signer's
+    const timezone = req.body?.timezone;
+    if (isTimeZone(timezone) && !(await storage.getSettings(groupId)).timezone) {
+      await storage.saveSettings(groupId, { timezone });
+    }
+
+    res.json({ ok: true, group_id: groupId, ...issueSession(groupId) });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "Group check failed" });
+    res.status(500).json({ error: "Login failed" });
   }
 });
 
-/** Ensure members header has required columns. Returns {rows, idx}. */
-async function loadMembersSheetEnsuringColumns() {
-  return loadSheetEnsuringColumns(TAB_MEMBERS, [
-    "member_id",
-    "name",
-    "phone",
-    "active",
-    "one_way_total",
-    "two_way_total",
-    "group_id",
-  ]);
-}
+// ---- CREATE GROUP ----
+// Registers a group with a salted hash of its join code and an owner member,
+// then signs the creator straight in. See docs/groups.md for groups that
+// predate this.
+app.post("/groups", async (req, res) => {
+  try {
+    const groupId = String(req.body?.group_id || "").trim();
+    const joinCode = String(req.body?.join_code || "").trim();
+    const ownerName = String(req.body?.owner_name || "").trim();
+    const ownerPhone = normalizePhone(req.body?.owner_phone);
+    const name = String(req.body?.name || "").trim() || groupId;
+    // The creator's zone, so "today" is theirs from the start rather than the server's
+    const timezone = req.body?.timezone;
+
+    if (!GROUP_ID_RE.test(groupId)) {
+      return res.status(400).json({ error: "group_id must be 3-40 letters, numbers, - or _" });
+    }
+    if (joinCode.length < 4 || joinCode.length > 8) {
+      return res.status(400).json({ error: "join_code must be 4-8 characters" });
+    }
+    if (!ownerName) return res.status(400).json({ error: "owner_name is required" });
+    if (!isTimeZone(timezone)) {
+      return res.status(400).json({ error: "timezone must be an IANA zone such as America/Chicago" });
+    }
+
+    if (parseGroupCredentials()[normalizeGroupId(groupId)] || (await storage.getGroup(groupId))) {
+      return res.status(409).json({ error: "That group id is already taken" });
+    }
+
+    // Groups from before POST /groups existed have members but no group record
+    // and never had a join code. One of their members can claim it by giving
+    // the name and phone they're on record with; anyone else is turned away.
+    const existing = await storage.listMembers(groupId);
+    let owner = null;
+    if (existing.length) {
+      owner = existing.find(
+        (m) =>
+          m.active &&
+          ownerPhone &&
+          normalizePhone(m.phone) === ownerPhone &&
+          m.name.trim().toLowerCase() === ownerName.toLowerCase()
+      );
+      if (!owner) return res.status(409).json({ error: "That group id is already taken" });
+    } else {
+      owner = await storage.insertMember(groupId, {
+        member_id: genMemberId(),
+        name: ownerName,
+        phone: ownerPhone,
+        active: true,
+        one_way_total: 0,
+        two_way_total: 0,
+      });
+    }
+
+    if (!(await storage.getSettings(groupId)).timezone) await storage.saveSettings(groupId, { timezone });
+
+    const { salt, hash } = hashJoinCode(joinCode);
+    const group = await storage.insertGroup({
+      group_id: groupId,
+      name,
+      join_salt: salt,
+      join_hash: hash,
+      owner_member_id: owner.member_id,
+      created_at: await groupNow(groupId),
+    });
+
+    res.status(201).json({
+      group: {
+        group_id: group.group_id,
+        name: group.name,
+        owner_member_id: group.owner_member_id,
+        created_at: group.created_at,
+      },
+      member: owner,
+      ...issueSession(groupId),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to create group" });
+  }
+});
+
+// ---- GROUP CHECK ----
+app.get("/group_check", requireGroup, (req, res) => {
+  res.json({ ok: true, group_id: req.groupId, expires_at: req.sessionExpiresAt });
+});
 
 // ---- MEMBERS ----
-app.get("/members", async (req, res) => {
-  const groupId = getReqGroupId(req);
-  if (!groupId) return res.status(400).json({ error: "Missing x-group-id header" });
-
-  try {
-    const { rows, idx } = await loadMembersSheetEnsuringColumns();
-    if (rows.length <= 1) return res.json({ members: [] });
-
-    const members = filterRowsByGroup(rows.slice(1), idx, groupId)
-      .filter((r) => r && r.length)
-      .map((r) => ({
-        member_id: r[idx["member_id"]] ?? "",
-        name: r[idx["name"]] ?? "",
-        phone: r[idx["phone"]] ?? "",
-        active: String(r[idx["active"]] ?? "TRUE").toUpperCase() === "TRUE",
-        one_way_total: Number(r[idx["one_way_total"]] ?? 0),
-        two_way_total: Number(r[idx["two_way_total"]] ?? 0),
-      }))
-      .filter((m) => m.member_id && m.name);
+app.get("/members", requireGroup, async (req, res) => {
+  const { groupId } = req;
 
+  try {
+    const members = await storage.listMembers(groupId);
     res.json({ members });
   } catch (e) {
     console.error(e);
@@ -356,9 +385,8 @@ app.get("/members", async (req, res) => {
 });
 
 // Create a new member (name + phone)
-app.post("/members", async (req, res) => {
-  const groupId = getReqGroupId(req);
-  if (!groupId) return res.status(400).json({ error: "Missing x-group-id header" });
+app.post("/members", requireGroup, async (req, res) => {
+  const { groupId } = req;
 
   try {
     const { name, phone, active = true, member_id } = req.body || {};
@@ -368,61 +396,227 @@ app.post("/members", async (req, res) => {
     const p = normalizePhone(phone);
     const id = String(member_id || "").trim() || genMemberId();
 
-    const { rows, idx } = await loadMembersSheetEnsuringColumns();
-    const scopedRows = filterRowsByGroup(rows.slice(1), idx, groupId);
-    const existing = scopedRows.some((r) => String(r[idx["member_id"]] ?? "") === id);
+    const scoped = await storage.listMembers(groupId);
+    const existing = scoped.some((m) => m.member_id === id);
     if (existing) return res.status(409).json({ error: "member_id already exists" });
 
     // Also prevent exact duplicate name+phone collisions (optional sanity)
-    const dup = scopedRows.some(
-      (r) =>
-        String(r[idx["name"]] ?? "").trim().toLowerCase() === n.toLowerCase() &&
-        normalizePhone(r[idx["phone"]] ?? "") === p
+    const dup = scoped.some(
+      (m) => m.name.trim().toLowerCase() === n.toLowerCase() && normalizePhone(m.phone) === p
     );
     if (dup) return res.status(409).json({ error: "Member already exists (same name + phone)" });
 
-    const one_way_total = ""; // let user set later
-    const two_way_total = "";
+    // Rates are left unset; the user sets them later from the day modal
+    const member = await storage.insertMember(groupId, {
+      member_id: id,
+      name: n,
+      phone: p,
+      active: !!active,
+      one_way_total: 0,
+      two_way_total: 0,
+    });
 
-    // Build row aligned to header
-    const headerLen = rows[0].length;
-    const newRow = new Array(headerLen).fill("");
-    // Prefix phone with ' to prevent Google Sheets from interpreting + as formula
-    const phoneForSheet = p.startsWith("+") ? "'" + p : p;
-    newRow[idx["member_id"]] = id;
-    newRow[idx["name"]] = n;
-    newRow[idx["phone"]] = phoneForSheet;
-    newRow[idx["active"]] = active ? "TRUE" : "FALSE";
-    newRow[idx["one_way_total"]] = one_way_total;
-    newRow[idx["two_way_total"]] = two_way_total;
-    newRow[idx["group_id"]] = groupId;
+    res.status(201).json({ member });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to create member" });
+  }
+});
 
-    await appendValues(`${TAB_MEMBERS}!A:Z`, [newRow]);
+// Edit a member's name, phone, active flag or vehicle MPG (for distance pricing; 0 clears it).
+// Deactivating keeps their history; they just stop appearing in the day modal.
+app.patch("/members/:memberId", requireGroup, async (req, res) => {
+  const { groupId } = req;
+  const { memberId } = req.params;
 
-    res.status(201).json({
-      member: {
-        member_id: id,
-        name: n,
-        phone: p,
-        active: !!active,
-        one_way_total: 0,
-        two_way_total: 0,
-      },
+  try {
+    const { name, phone, active, vehicle_mpg } = req.body || {};
+    const scoped = await storage.listMembers(groupId);
+    const current = scoped.find((m) => m.member_id === memberId);
+    if (!current) return res.status(404).json({ error: "member not found" });
+
+    const patch = {};
+    if (name !== undefined) {
+      patch.name = String(name || "").trim();
+      if (!patch.name) return res.status(400).json({ error: "name is required" });
+    }
+    if (phone !== undefined) patch.phone = normalizePhone(phone);
+    if (active !== undefined) {
+      if (typeof active !== "boolean") return res.status(400).json({ error: "active must be true or false" });
+      patch.active = active;
+    }
+    if (vehicle_mpg !== undefined) {
+      const mpg = Number(vehicle_mpg);
+      if (!Number.isFinite(mpg) || mpg < 0) return res.status(400).json({ error: "vehicle_mpg must be zero or more" });
+      patch.vehicle_mpg = mpg;
+    }
+
+    const n = (patch.name ?? current.name).trim().toLowerCase();
+    const p = patch.phone ?? normalizePhone(current.phone);
+    const dup = scoped.some(
+      (m) => m.member_id !== memberId && m.name.trim().toLowerCase() === n && normalizePhone(m.phone) === p
+    );
+    if (dup) return res.status(409).json({ error: "Member already exists (same name + phone)" });
+
+    const member = await storage.updateMember(groupId, memberId, patch);
+    res.json({ member });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to update member" });
+  }
+});
+
+// The member plus everything in the ledger that mentions them (see memberHistory).
+async function loadMemberHistory(groupId, memberId) {
+  const [members, entries, payments, sharedExpenses] = await Promise.all([
+    storage.listMembers(groupId),
+    storage.listEntries(groupId),
+    storage.listPayments(groupId),
+    storage.listSharedExpenses(groupId),
+  ]);
+  const member = members.find((m) => m.member_id === memberId);
+  if (!member) return null;
+
+  const history = memberHistory(memberId, { entries, payments, sharedExpenses });
+  const hasHistory = Object.values(history).some((n) => n > 0) || Boolean(member.opening_balance);
+  return { member, history, has_history: hasHistory };
+}
+
+// Final settlement for someone leaving the carpool: where they stand on `to`
+// (default today in the group's time zone) and the transfers that take them to zero. These come from
+// settling the whole group with its rules, minus the minimum amount, so
+// nothing of theirs is rolled over.
+app.get("/members/:memberId/departure", requireGroup, async (req, res) => {
+  const { groupId } = req;
+  const { memberId } = req.params;
+
+  try {
+    const to = String(req.query.to || todayIn(zoneOf(await storage.getSettings(groupId))));
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(to)) return res.status(400).json({ error: "to must be YYYY-MM-DD" });
+
+    const found = await loadMemberHistory(groupId, memberId);
+    if (!found) return res.status(404).json({ error: "member not found" });
+
+    const [balances, rules] = await Promise.all([loadBalances(groupId, { to }), storage.getSettlementRules(groupId)]);
+    const closing = Object.fromEntries(balances.map((b) => [b.member_id, b.closing]));
+    const { transfers } = optimizeTransfers(closing, { ...rules, min_amount: 0 });
+
+    res.json({
+      ...found,
+      to,
+      closing: closing[memberId] || 0,
+      transfers: transfers.filter((t) => t.from === memberId || t.to === memberId),
     });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "Failed to create member" });
+    res.status(500).json({ error: "Failed to compute departure settlement" });
+  }
+});
+
+// Hard delete, only for members nobody has ridden, paid or shared with yet
+// (typically added by mistake). Anyone with history must be deactivated instead.
+app.delete("/members/:memberId", requireGroup, async (req, res) => {
+  const { groupId } = req;
+  const { memberId } = req.params;
+
+  try {
+    const found = await loadMemberHistory(groupId, memberId);
+    if (!found) return res.status(404).json({ error: "member not found" });
+
+    const group = await storage.getGroup(groupId);
+    if (group?.owner_member_id === memberId) {
+      return res.status(409).json({ error: "The group owner can't be removed; deactivate them instead" });
+    }
+    if (found.has_history) {
+      return res.status(409).json({
+        error: `${found.member.name} has ride, payment or expense history; deactivate them instead`,
+        history: found.history,
+      });
+    }
+
+    await storage.deleteMember(groupId, memberId);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to remove member" });
+  }
+});
+
+// Merge a duplicate member (the one in the URL) into `into`: their rides,
+// payments, shared expenses, settlement rules and rates move to the keeper,
+// their opening balance is added to the keeper's and they are deactivated.
+// Without `apply` it is a dry run that shows which rides and balances change.
+app.post("/members/:memberId/merge", requireGroup, async (req, res) => {
+  const { groupId } = req;
+  const fromId = req.params.memberId;
+
+  try {
+    const { into, apply = false } = req.body || {};
+    if (!into) return res.status(400).json({ error: "into required" });
+    if (into === fromId) return res.status(400).json({ error: "Can't merge a member into themselves" });
+
+    const [members, entries, payments, sharedExpenses, settings] = await Promise.all([
+      storage.listMembers(groupId),
+      storage.listEntries(groupId),
+      storage.listPayments(groupId),
+      storage.listSharedExpenses(groupId),
+      storage.getSettings(groupId),
+    ]);
+    const dupe = members.find((m) => m.member_id === fromId);
+    const keeper = members.find((m) => m.member_id === into);
+    if (!dupe) return res.status(404).json({ error: "member not found" });
+    if (!keeper) return res.status(404).json({ error: "into member not found" });
+    // The keeper's rate wins where both have one starting the same day
+    const movedRates = dupe.rates.filter((r) => !keeper.rates.some((k) => k.effective_from === r.effective_from));
+
+    const ledger = { members, entries, payments, sharedExpenses };
+    const plan = planMemberMerge(fromId, into, ledger);
+    // Everything on record, including rides after today
+    const to = entries.reduce((max, e) => (e.date > max ? e.date : max), todayIn(zoneOf(settings)));
+    const before = rangeBalances({ to, ...ledger });
+    const after = new Map(rangeBalances({ to, ...plan.merged }).map((b) => [b.member_id, b.closing]));
+    const balanceChanges = before
+      .map((b) => ({ member_id: b.member_id, old_balance: b.closing, new_balance: after.get(b.member_id) ?? 0 }))
+      .filter((b) => Math.abs(b.new_balance - b.old_balance) >= 0.01);
+
+    if (apply) {
+      if (plan.conflicts.length) {
+        return res.status(409).json({ error: "Some rides can't be merged; fix them first", conflicts: plan.conflicts });
+      }
+      for (const { entry } of plan.rides) await storage.saveEntry(groupId, entry);
+      await storage.mergeMember(groupId, fromId, into, plan.changed);
+    }
+
+    res.json({
+      applied: !!apply,
+      from: fromId,
+      into,
+      rides: plan.rides.map(({ entry, roles }) => ({ entry_id: entry.entry_id, date: entry.date, leg: entry.leg, roles })),
+      conflicts: plan.conflicts,
+      payments: plan.payments,
+      shared_expenses: plan.shared_expenses,
+      rates: movedRates,
+      balance_changes: balanceChanges,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to merge members" });
   }
 });
 
 // Update a member's rates
-app.post("/member_rates", async (req, res) => {
-  const groupId = getReqGroupId(req);
-  if (!groupId) return res.status(400).json({ error: "Missing x-group-id header" });
+// Without effective_from this sets the member's undated totals, which apply
+// before their first dated rate. With it, it adds (or replaces) the rate that
+// starts on that date, so rides before it keep the price they had.
+app.post("/member_rates", requireGroup, async (req, res) => {
+  const { groupId } = req;
 
   try {
-    const { member_id, one_way_total, two_way_total } = req.body || {};
+    const { member_id, one_way_total, two_way_total, effective_from } = req.body || {};
     if (!member_id) return res.status(400).json({ error: "member_id required" });
+    if (effective_from && !/^\d{4}-\d{2}-\d{2}$/.test(String(effective_from))) {
+      return res.status(400).json({ error: "effective_from must be YYYY-MM-DD" });
+    }
 
     const one = Number(one_way_total);
     const two = Number(two_way_total);
@@ -431,38 +625,158 @@ app.post("/member_rates", async (req, res) => {
     if (!Number.isFinite(two) || two <= 0) return res.status(400).json({ error: "two_way_total must be positive" });
     if (two < one) return res.status(400).json({ error: "two_way_total should be >= one_way_total" });
 
-    const { rows, idx } = await loadMembersSheetEnsuringColumns();
-    if (rows.length <= 1) return res.status(400).json({ error: "members sheet empty" });
-
-    const rowIndex = rows.findIndex(
-      (r, i) => i > 0 && String(r[idx["member_id"]] ?? "") === member_id && rowMatchesGroup(r, idx, groupId)
-    );
-    if (rowIndex < 0) return res.status(404).json({ error: "member not found" });
+    if (!effective_from) {
+      const updated = await storage.updateMember(groupId, member_id, { one_way_total: one, two_way_total: two });
+      if (!updated) return res.status(404).json({ error: "member not found" });
+      return res.json({ ok: true });
+    }
 
-    while (rows[rowIndex].length < rows[0].length) rows[rowIndex].push("");
+    const members = await storage.listMembers(groupId);
+    if (!members.some((m) => m.member_id === member_id)) return res.status(404).json({ error: "member not found" });
 
-    rows[rowIndex][idx["one_way_total"]] = String(one);
-    rows[rowIndex][idx["two_way_total"]] = String(two);
-    rows[rowIndex][idx["group_id"]] = groupId;
+    const rate = await storage.saveMemberRate(groupId, member_id, {
+      effective_from,
+      one_way_total: one,
+      two_way_total: two,
+    });
+    res.json({ ok: true, rate });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to update member rates" });
+  }
+});
 
-    await setValues(`${TAB_MEMBERS}!A1:Z${rows.length}`, rows);
+app.delete("/member_rates/:memberId/:effectiveFrom", requireGroup, async (req, res) => {
+  const { groupId } = req;
 
+  try {
+    const { memberId, effectiveFrom } = req.params;
+    const removed = await storage.deleteMemberRate(groupId, memberId, effectiveFrom);
+    if (!removed) return res.status(404).json({ error: "rate not found" });
     res.json({ ok: true });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "Failed to update member rates" });
+    res.status(500).json({ error: "Failed to delete member rate" });
+  }
+});
+
+// ---- SETTINGS ----
+app.get("/settings", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    res.json({
+      settings: await storage.getSettings(groupId),
+      split_strategies: SPLIT_STRATEGIES,
+      pricing_modes: PRICING_MODES,
+      holiday_calendars: HOLIDAY_CALENDARS,
+      trip_types: TRIP_TYPES,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to read settings" });
+  }
+});
+
+// Partial update: only the settings present in the body change
+app.put("/settings", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const body = req.body || {};
+    const patch = {};
+    if (body.split_strategy !== undefined) {
+      if (!SPLIT_STRATEGIES[body.split_strategy]) {
+        return res.status(400).json({ error: `split_strategy must be one of ${Object.keys(SPLIT_STRATEGIES).join(", ")}` });
+      }
+      patch.split_strategy = body.split_strategy;
+    }
+    if (body.pricing_mode !== undefined) {
+      if (!PRICING_MODES[body.pricing_mode]) {
+        return res.status(400).json({ error: `pricing_mode must be one of ${Object.keys(PRICING_MODES).join(", ")}` });
+      }
+      patch.pricing_mode = body.pricing_mode;
+    }
+    for (const key of ["route_miles", "fuel_price", "wear_per_mile"]) {
+      if (body[key] === undefined) continue;
+      const value = Number(body[key]);
+      if (!Number.isFinite(value) || value < 0) return res.status(400).json({ error: `${key} must be zero or more` });
+      patch[key] = value;
+    }
+    if (body.currency !== undefined) {
+      const currency = String(body.currency).trim().toUpperCase();
+      if (!isCurrencyCode(currency)) return res.status(400).json({ error: "currency must be an ISO 4217 code such as USD" });
+      patch.currency = currency;
+    }
+    if (body.locale !== undefined) {
+      if (!isLocale(body.locale)) return res.status(400).json({ error: "locale must be a language tag such as en-US" });
+      patch.locale = Intl.getCanonicalLocales(body.locale)[0];
+    }
+    if (body.timezone !== undefined) {
+      if (!isTimeZone(body.timezone)) return res.status(400).json({ error: "timezone must be an IANA zone such as America/Chicago" });
+      patch.timezone = body.timezone;
+    }
+    if (body.weekdays !== undefined) {
+      const days = Array.isArray(body.weekdays) ? [...new Set(body.weekdays.map(Number))] : [];
+      if (!days.length || days.some((d) => !WEEKDAYS.includes(d))) {
+        return res.status(400).json({ error: "weekdays must be a non-empty list of 0 (Sunday) to 6 (Saturday)" });
+      }
+      patch.weekdays = days.sort((a, b) => a - b);
+    }
+    if (body.holiday_calendar !== undefined) {
+      if (!HOLIDAY_CALENDARS[body.holiday_calendar]) {
+        return res.status(400).json({ error: `holiday_calendar must be one of ${Object.keys(HOLIDAY_CALENDARS).join(", ")}` });
+      }
+      patch.holiday_calendar = body.holiday_calendar;
+    }
+    if (body.default_trip_type !== undefined) {
+      if (!TRIP_TYPES[body.default_trip_type]) {
+        return res.status(400).json({ error: `default_trip_type must be one of ${Object.keys(TRIP_TYPES).join(", ")}` });
+      }
+      patch.default_trip_type = body.default_trip_type;
+    }
+
+    res.json({ settings: await storage.saveSettings(groupId, patch) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to save settings" });
   }
 });
 
 // ---- HOLIDAYS ----
-app.get("/holidays", async (req, res) => {
+// The group's holidays in `month`: its calendar's and its own, by date
+async function groupHolidays(groupId, month) {
+  const { holiday_calendar } = await storage.getSettings(groupId);
+  const own = await storage.listGroupHolidays(groupId, { month });
+  const ownDates = new Set(own.map((h) => h.date));
+  return [
+    ...calendarHolidays(holiday_calendar, month)
+      .filter((h) => !ownDates.has(h.date))
+      .map((h) => ({ ...h, source: "calendar" })),
+    ...own.map(({ date, name, source }) => ({ date, name, source })),
+  ].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Holidays in `month`: the group's holiday calendar plus its own holidays.
+// Each has a `source`, "calendar" or the one it was added with; where the
+// group has its own holiday on a calendar date, the group's wins. Members'
+// days off come after them, one per member and day, with a `member_id`.
+app.get("/holidays", requireGroup, async (req, res) => {
   try {
     const { month } = req.query;
     if (!month || !/^\d{4}-\d{2}$/.test(String(month))) {
       return res.status(400).json({ error: "month required as YYYY-MM" });
     }
-    const year = Number(String(month).slice(0, 4));
-    const list = usFederalHolidaysObservedForYear(year).filter((h) => h.date.startsWith(month));
+    const list = await groupHolidays(req.groupId, String(month));
+
+    const monthFrom = `${month}-01`;
+    const monthTo = `${month}-31`;
+    const daysOff = await storage.listDaysOff(req.groupId, { from: monthFrom, to: monthTo });
+    for (const d of daysOff) {
+      for (const date of daysInRange(d.from > monthFrom ? d.from : monthFrom, d.to < monthTo ? d.to : monthTo)) {
+        if (date.startsWith(month)) list.push({ date, name: d.name, source: d.source, member_id: d.member_id });
+      }
+    }
     res.json({ holidays: list });
   } catch (e) {
     console.error(e);
@@ -470,74 +784,183 @@ app.get("/holidays", async (req, res) => {
   }
 });
 
-// ---- ENTRIES ----
-app.get("/entries", async (req, res) => {
-  const groupId = getReqGroupId(req);
-  if (!groupId) return res.status(400).json({ error: "Missing x-group-id header" });
+// The group's own holidays, all months
+app.get("/custom_holidays", requireGroup, async (req, res) => {
+  try {
+    res.json({ holidays: await storage.listGroupHolidays(req.groupId) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to load holidays" });
+  }
+});
 
+// Add a company holiday, or rename the one already on that date
+app.post("/custom_holidays", requireGroup, async (req, res) => {
   try {
-    const { month } = req.query;
-    if (!month || !/^\d{4}-\d{2}$/.test(String(month))) {
-      return res.status(400).json({ error: "month required as YYYY-MM" });
+    const date = String(req.body?.date || "");
+    const name = String(req.body?.name || "").trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: "date required as YYYY-MM-DD" });
     }
+    if (!name) return res.status(400).json({ error: "name required" });
 
-    const { rows: entryRows, idx: entryIdx } = await loadSheetEnsuringColumns(TAB_DAY_ENTRIES, [
-      "entry_id",
-      "date",
-      "driver_id",
-      "day_type",
-      "day_total_used",
-      "total_amount",
-      "notes",
-      "created_at",
-      "group_id",
-    ]);
-    const { rows: riderRows, idx: riderIdx } = await loadSheetEnsuringColumns(TAB_DAY_RIDERS, [
-      "entry_id",
-      "member_id",
-      "trip_type",
-      "units",
-      "charge",
-      "group_id",
-    ]);
+    const holiday = { date, name, source: "custom", created_at: await groupNow(req.groupId) };
+    await storage.saveGroupHolidays(req.groupId, [holiday]);
+    res.json({ ok: true, holiday });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to save holiday" });
+  }
+});
 
-    const entries = [];
-    if (entryRows.length > 1) {
-      for (const r of filterRowsByGroup(entryRows.slice(1), entryIdx, groupId)) {
-        const date = r[entryIdx["date"]] ?? "";
-        if (!String(date).startsWith(month)) continue;
-
-        entries.push({
-          entry_id: r[entryIdx["entry_id"]] ?? "",
-          date,
-          driver_id: r[entryIdx["driver_id"]] ?? "",
-          day_type: r[entryIdx["day_type"]] ?? "",
-          day_total_used: Number(r[entryIdx["day_total_used"]] ?? 0),
-          total_amount: Number(r[entryIdx["total_amount"]] ?? 0),
-          notes: r[entryIdx["notes"]] ?? "",
-          created_at: r[entryIdx["created_at"]] ?? "",
-          riders: [],
-        });
+app.delete("/custom_holidays/:date", requireGroup, async (req, res) => {
+  try {
+    const removed = await storage.deleteGroupHoliday(req.groupId, req.params.date);
+    if (!removed) return res.status(404).json({ error: "No holiday on that date" });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to remove holiday" });
+  }
+});
+
+// ---- DAYS OFF ----
+// Stretches of days a member is away, optionally one member's (`member_id`)
+// and only those touching `from`..`to`
+app.get("/days_off", requireGroup, async (req, res) => {
+  try {
+    const { member_id, from, to } = req.query;
+    for (const [key, value] of [["from", from], ["to", to]]) {
+      if (value && !/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+        return res.status(400).json({ error: `${key} must be YYYY-MM-DD` });
       }
     }
+    const daysOff = await storage.listDaysOff(req.groupId, { memberId: member_id, from, to });
+    res.json({ days_off: daysOff });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to load days off" });
+  }
+});
+
+app.post("/days_off", requireGroup, async (req, res) => {
+  try {
+    const { member_id, from } = req.body || {};
+    const to = req.body?.to || from;
+    const name = String(req.body?.name || "").trim() || "Away";
+    const members = await storage.listMembers(req.groupId);
+    if (!members.some((m) => m.member_id === member_id)) return res.status(400).json({ error: "Unknown member_id" });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(from)) || !/^\d{4}-\d{2}-\d{2}$/.test(String(to))) {
+      return res.status(400).json({ error: "from and to required as YYYY-MM-DD" });
+    }
+    if (to < from) return res.status(400).json({ error: "to can't be before from" });
+
+    const daysOff = {
+      days_off_id: genDaysOffId(),
+      member_id,
+      from,
+      to,
+      name,
+      source: "custom",
+      created_at: await groupNow(req.groupId),
+    };
+    const [added] = await storage.insertDaysOff(req.groupId, [daysOff]);
+    if (!added) return res.status(409).json({ error: "That member already has those days off" });
+    res.json({ ok: true, days_off: added });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to save days off" });
+  }
+});
+
+app.delete("/days_off/:daysOffId", requireGroup, async (req, res) => {
+  try {
+    const removed = await storage.deleteDaysOff(req.groupId, req.params.daysOffId);
+    if (!removed) return res.status(404).json({ error: "Days off not found" });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to remove days off" });
+  }
+});
+
+// ---- ICS IMPORT ----
+// An iCalendar file's events (its text in `ics`) saved as company holidays,
+// `target` "holidays", or as `member_id`'s days off, `target` "days_off".
+// Recurring events are expanded over `from`..`to`, by default this year and
+// next on the group's calendar. Importing the same file again adds nothing new.
+const MAX_IMPORTED_EVENTS = 1000;
+
+app.post("/ics_import", requireGroup, async (req, res) => {
+  try {
+    const { ics, target, member_id } = req.body || {};
+    if (!ics || typeof ics !== "string") return res.status(400).json({ error: "ics required as the file's text" });
+    if (target !== "holidays" && target !== "days_off") {
+      return res.status(400).json({ error: "target must be holidays or days_off" });
+    }
+    if (target === "days_off") {
+      const members = await storage.listMembers(req.groupId);
+      if (!members.some((m) => m.member_id === member_id)) return res.status(400).json({ error: "Unknown member_id" });
+    }
+
+    const timezone = zoneOf(await storage.getSettings(req.groupId));
+    const year = Number(todayIn(timezone).slice(0, 4));
+    const from = String(req.body.from || `${year}-01-01`);
+    const to = String(req.body.to || `${year + 1}-12-31`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+      return res.status(400).json({ error: "from and to must be YYYY-MM-DD, from first" });
+    }
 
-    const byId = new Map(entries.map((e) => [e.entry_id, e]));
-    if (riderRows.length > 1) {
-      for (const r of filterRowsByGroup(riderRows.slice(1), riderIdx, groupId)) {
-        const entry_id = r[riderIdx["entry_id"]] ?? "";
-        const e = byId.get(entry_id);
-        if (!e) continue;
+    const occurrences = icsOccurrences(ics, { timeZone: timezone, from, to });
+    if (occurrences.error) return res.status(400).json({ error: occurrences.error });
+    if (occurrences.length > MAX_IMPORTED_EVENTS) {
+      return res.status(400).json({ error: `The file has ${occurrences.length} events in that range; import at most ${MAX_IMPORTED_EVENTS}` });
+    }
 
-        e.riders.push({
-          member_id: r[riderIdx["member_id"]] ?? "",
-          trip_type: r[riderIdx["trip_type"]] ?? "",
-          units: Number(r[riderIdx["units"]] ?? 0),
-          charge: Number(r[riderIdx["charge"]] ?? 0),
-        });
+    const createdAt = await groupNow(req.groupId);
+    if (target === "holidays") {
+      // Multi-day events become one holiday per day; the first event on a day names it
+      const byDate = new Map();
+      for (const o of occurrences) {
+        for (const date of daysInRange(o.from, o.to)) {
+          if (date < from || date > to || byDate.has(date)) continue;
+          byDate.set(date, { date, name: o.name || "Company holiday", source: "ics", created_at: createdAt });
+        }
       }
+      const holidays = await storage.saveGroupHolidays(req.groupId, [...byDate.values()]);
+      return res.json({ ok: true, events: occurrences.length, holidays });
     }
 
-    entries.sort((a, b) => a.date.localeCompare(b.date));
+    const daysOff = await storage.insertDaysOff(
+      req.groupId,
+      occurrences.map((o) => ({
+        days_off_id: genDaysOffId(),
+        member_id,
+        from: o.from,
+        to: o.to,
+        name: o.name || "Day off",
+        source: "ics",
+        created_at: createdAt,
+      }))
+    );
+    res.json({ ok: true, events: occurrences.length, days_off: daysOff });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to import calendar" });
+  }
+});
+
+// ---- ENTRIES ----
+app.get("/entries", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const { month } = req.query;
+    if (!month || !/^\d{4}-\d{2}$/.test(String(month))) {
+      return res.status(400).json({ error: "month required as YYYY-MM" });
+    }
+
+    const entries = await storage.listEntries(groupId, { month });
     res.json({ entries });
   } catch (e) {
     console.error(e);
@@ -546,372 +969,753 @@ app.get("/entries", async (req, res) => {
 });
 
 // ---- UPSERT ENTRY (per-driver total + weighted split) ----
-app.post("/entries", async (req, res) => {
-  const groupId = getReqGroupId(req);
-  if (!groupId) return res.status(400).json({ error: "Missing x-group-id header" });
+// A date can hold several rides (e.g. a morning and an evening leg with
+// different drivers). Omit entry_id to add a ride; pass it to edit one.
+// A ride can take several cars: send `vehicles: [{ driver_id, day_type?, riders }]`
+// and each car's driver total is split over that car's riders. The older
+// single-car shape `{ driver_id, day_type, riders }` is still accepted.
+// `split_strategy` overrides the group's default split for this ride; riders
+// carry a `weight` (custom_weights) or `fee` (fixed_fee) when it needs one.
+// `expenses` (tolls, parking...) are shared between the riders of every car
+// and added to their charges. A car's riders may include guests,
+// `{ guest_name, trip_type, sponsor_id? }`, who are given entry-scoped
+// member_ids ("guest_1", ...) and billed to sponsor_id, or paid the driver in
+// cash when it is blank.
+app.post("/entries", requireGroup, async (req, res) => {
+  const { groupId } = req;
 
   try {
-    const { date, driver_id, day_type, riders = [], notes = "" } = req.body || {};
+    const body = req.body || {};
+    const { entry_id, date, leg = "", notes = "", split_strategy, expenses: rawExpenses = [] } = body;
+    const cars = body.vehicles ?? [{ driver_id: body.driver_id, day_type: body.day_type, riders: body.riders ?? [] }];
 
     if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
       return res.status(400).json({ error: "date required as YYYY-MM-DD" });
     }
-    if (!driver_id) return res.status(400).json({ error: "driver_id required" });
-    if (!["one_way", "two_way"].includes(day_type)) {
-      return res.status(400).json({ error: "day_type must be one_way or two_way" });
+    if (!LEGS.includes(leg)) {
+      return res.status(400).json({ error: "leg must be am, pm or empty" });
     }
-    if (!Array.isArray(riders)) {
-      return res.status(400).json({ error: "riders must be an array" });
+    if (!Array.isArray(cars) || !cars.length) {
+      return res.status(400).json({ error: "vehicles must be a non-empty array" });
+    }
+    if (split_strategy && !SPLIT_STRATEGIES[split_strategy]) {
+      return res.status(400).json({ error: `split_strategy must be one of ${Object.keys(SPLIT_STRATEGIES).join(", ")}` });
     }
 
-    // Load driver totals from members tab
-    const { rows: membersRows, idx: midx } = await loadMembersSheetEnsuringColumns();
-    if (membersRows.length <= 1) return res.status(400).json({ error: "members sheet empty" });
-
-    const driverRow = membersRows.find(
-      (r, i) => i > 0 && String(r[midx["member_id"]] ?? "") === driver_id && rowMatchesGroup(r, midx, groupId)
-    );
-    if (!driverRow) return res.status(400).json({ error: "Driver not found in members" });
-
-    const driverOne = Number(driverRow[midx["one_way_total"]] ?? 0);
-    const driverTwo = Number(driverRow[midx["two_way_total"]] ?? 0);
-
-    const day_total_used = day_type === "one_way" ? driverOne : driverTwo;
-
-    // If no riders, save entry with empty riders array
-    if (riders.length === 0) {
-      const created_at = new Date().toISOString();
-      const total_amount = 0;
-
-      const { rows: entryRows, idx: entryIdx } = await loadSheetEnsuringColumns(TAB_DAY_ENTRIES, [
-        "entry_id",
-        "date",
-        "driver_id",
-        "day_type",
-        "day_total_used",
-        "total_amount",
-        "notes",
-        "created_at",
-        "group_id",
-      ]);
-      const entryHeader = entryRows[0];
-      const entryData = entryRows;
-
-      const existingIdx = entryData.findIndex(
-        (r, i) => i > 0 && String(r[entryIdx["date"]] ?? "") === date && rowMatchesGroup(r, entryIdx, groupId)
-      );
-      const entryRow = new Array(entryHeader.length).fill("");
-      entryRow[entryIdx["entry_id"]] = date;
-      entryRow[entryIdx["date"]] = date;
-      entryRow[entryIdx["driver_id"]] = driver_id;
-      entryRow[entryIdx["day_type"]] = day_type;
-      entryRow[entryIdx["day_total_used"]] = String(day_total_used);
-      entryRow[entryIdx["total_amount"]] = String(total_amount);
-      entryRow[entryIdx["notes"]] = notes;
-      entryRow[entryIdx["created_at"]] = created_at;
-      entryRow[entryIdx["group_id"]] = groupId;
-
-      if (existingIdx >= 1) {
-        entryData[existingIdx] = entryRow;
-        await setValues(`${TAB_DAY_ENTRIES}!A1:${colLabel(entryHeader.length)}${entryData.length}`, entryData);
-      } else {
-        await appendValues(`${TAB_DAY_ENTRIES}!A:Z`, [entryRow]);
+    const seenDrivers = new Set();
+    const seenRiders = new Set();
+    let guestCount = 0;
+    for (const car of cars) {
+      if (!car?.driver_id) return res.status(400).json({ error: "driver_id required" });
+      if (seenDrivers.has(car.driver_id)) {
+        return res.status(400).json({ error: "Each car needs a different driver" });
+      }
+      seenDrivers.add(car.driver_id);
+      if (car.day_type != null && !["one_way", "two_way"].includes(car.day_type)) {
+        return res.status(400).json({ error: "day_type must be one_way or two_way" });
+      }
+      if (!Array.isArray(car.riders ?? [])) {
+        return res.status(400).json({ error: "riders must be an array" });
+      }
+      for (const x of car.riders ?? []) {
+        if (x?.guest_name !== undefined) {
+          if (!String(x.guest_name).trim()) return res.status(400).json({ error: "guest_name must not be blank" });
+          x.guest_name = String(x.guest_name).trim();
+          x.member_id = `guest_${++guestCount}`;
+          continue;
+        }
+        if (seenRiders.has(x?.member_id)) {
+          return res.status(400).json({ error: "A rider can only be in one car" });
+        }
+        seenRiders.add(x?.member_id);
       }
+    }
+
+    const sameDay = await storage.listEntries(groupId, { date });
+    const existing = entry_id ? await storage.getEntry(groupId, entry_id) : null;
+    if (entry_id && !existing) return res.status(404).json({ error: "entry not found" });
+
+    // New rides only go on the group's riding days; one saved before its day
+    // was turned off can still be corrected
+    const settings = await storage.getSettings(groupId);
+    const weekday = weekdayOf(date);
+    if (!settings.weekdays.includes(weekday) && existing?.date !== date) {
+      const dayName = new Intl.DateTimeFormat("en-US", { weekday: "long", timeZone: "UTC" }).format(new Date(`${date}T00:00:00Z`));
+      return res.status(400).json({ error: `The group doesn't ride on ${dayName}s; turn the day on in settings first` });
+    }
 
-      // Clear riders for this date
-      const { rows: riderRows } = await loadSheetEnsuringColumns(TAB_DAY_RIDERS, [
-        "entry_id",
-        "member_id",
-        "trip_type",
-        "units",
-        "charge",
-        "group_id",
-      ]);
-      if (riderRows.length > 1) {
-        const riderData = riderRows;
-        const kept = [riderData[0], ...riderData.slice(1).filter((r) => String(r[0] ?? "") !== date || !rowMatchesGroup(r, { group_id: 5 }, groupId))];
-        await setValues(`${TAB_DAY_RIDERS}!A1:${colLabel(riderData[0].length)}${kept.length}`, kept);
+    if (leg && sameDay.some((e) => e.leg === leg && e.entry_id !== entry_id)) {
+      return res.status(409).json({ error: `There is already a ${leg.toUpperCase()} ride on ${date}` });
+    }
+
+    // Load driver totals from members
+    const members = await storage.listMembers(groupId);
+    if (!members.length) return res.status(400).json({ error: "members sheet empty" });
+    const memberById = new Map(members.map((m) => [m.member_id, m]));
+    for (const car of cars) {
+      for (const x of car.riders ?? []) {
+        if (x.guest_name && x.sponsor_id && !memberById.has(x.sponsor_id)) {
+          return res.status(400).json({ error: "A guest's sponsor_id must be a member" });
+        }
       }
+    }
+    const strategy = split_strategy || settings.split_strategy;
+    // Riders sent without a trip type take the group's default
+    for (const car of cars) {
+      for (const x of car.riders ?? []) x.trip_type ||= settings.default_trip_type;
+    }
+
+    const { expenses, error: expenseError } = parseExpenses(rawExpenses, memberById);
+    if (expenseError) return res.status(400).json({ error: expenseError });
 
-      return res.status(201).json({
-        entry: {
-          entry_id: date,
-          date,
+    const vehicles = [];
+    const carRiders = [];
+    for (const car of cars) {
+      const priced = priceVehicle(car, memberById.get(car.driver_id), date, strategy, settings);
+      if (priced.error) return res.status(400).json({ error: priced.error });
+      vehicles.push(priced.vehicle);
+      carRiders.push(...priced.riders);
+    }
+    const { riders: allRiders, error: shareError } = addExpenseShares(carRiders, expenses);
+    if (shareError) return res.status(400).json({ error: shareError });
+
+    const entry = {
+      entry_id: existing?.entry_id || genEntryId(),
+      date,
+      leg,
+      split_strategy: strategy,
+      ...summarizeVehicles(vehicles),
+      notes,
+      created_at: existing?.created_at || nowIn(zoneOf(settings)),
+      // Saving a planned ride confirms it
+      planned: false,
+      vehicles,
+      riders: allRiders,
+      expenses,
+    };
+    await storage.saveEntry(groupId, entry);
+
+    res.status(existing ? 200 : 201).json({ entry });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to save entry" });
+  }
+});
+
+// ---- RE-PRICE ENTRIES ----
+// Recompute one driver's cars between `from` and `to` at the rates now on file
+// (see /member_rates), or today's distance and fuel settings, with the same
+// split as POST /entries. Returns the
+// changed rides and each member's balance change; nothing is written unless
+// `apply` is true, so the client can preview first and confirm.
+app.post("/entries/reprice", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const { driver_id, from, to, apply = false } = req.body || {};
+    if (!driver_id) return res.status(400).json({ error: "driver_id required" });
+    for (const d of [from, to]) {
+      if (!d || !/^\d{4}-\d{2}-\d{2}$/.test(String(d))) {
+        return res.status(400).json({ error: "from and to required as YYYY-MM-DD" });
+      }
+    }
+    if (from > to) return res.status(400).json({ error: "from must not be after to" });
+
+    const members = await storage.listMembers(groupId);
+    const driver = members.find((m) => m.member_id === driver_id);
+    if (!driver) return res.status(404).json({ error: "Driver not found in members" });
+
+    const settings = await storage.getSettings(groupId);
+    const entries = await storage.listEntries(groupId, { from, to });
+    const changes = [];
+    const toSave = [];
+    const skipped = [];
+    const impact = {};
+    const addImpact = (id, amount) => (impact[id] = round2((impact[id] || 0) + amount));
+
+    for (const entry of entries) {
+      const car = entry.vehicles.find((v) => v.driver_id === driver_id);
+      if (!car) continue;
+
+      const oldRiders = entry.riders.filter((r) => r.driver_id === driver_id);
+      // Re-split with the ride's own strategy; saved units and charges (less
+      // expenses) are the weights and fees it was given
+      const priced = priceVehicle(
+        {
           driver_id,
-          day_type,
-          day_total_used,
-          total_amount,
-          notes,
-          created_at,
-          riders: [],
+          day_type: car.day_type,
+          riders: oldRiders.map((r) => ({ ...r, weight: r.units, fee: round2(r.charge - r.expense_share) })),
         },
+        driver,
+        entry.date,
+        entry.split_strategy,
+        settings
+      );
+      if (priced.error) {
+        skipped.push({ entry_id: entry.entry_id, date: entry.date, leg: entry.leg, error: priced.error });
+        continue;
+      }
+
+      // Riders don't change, so neither do their expense shares
+      const repriced = priced.riders.map((r) => {
+        const expense_share = oldRiders.find((x) => x.member_id === r.member_id)?.expense_share || 0;
+        return { ...r, charge: round2(r.charge + expense_share), expense_share };
       });
-    }
+      const riders = repriced.map((r) => {
+        const old = oldRiders.find((x) => x.member_id === r.member_id);
+        return {
+          member_id: r.member_id,
+          ...(r.guest_name ? { guest_name: r.guest_name, sponsor_id: r.sponsor_id } : {}),
+          old_charge: old?.charge ?? 0,
+          new_charge: r.charge,
+        };
+      });
+      const changed =
+        priced.vehicle.day_total_used !== car.day_total_used || riders.some((r) => r.old_charge !== r.new_charge);
+      if (!changed) continue;
+
+      // Planned rides don't count toward balances yet
+      for (const r of entry.planned ? [] : riders) {
+        const delta = round2(r.new_charge - r.old_charge);
+        addImpact(driver_id, delta);
+        addImpact(billedMember(r, driver_id), -delta);
+      }
 
-    // Existing logic for when riders are provided
-    if (!riders.some((x) => x.member_id === driver_id)) {
-      return res.status(400).json({ error: "Driver must be included in riders" });
+      const vehicles = entry.vehicles.map((v) => (v.driver_id === driver_id ? priced.vehicle : v));
+      toSave.push({
+        ...entry,
+        ...summarizeVehicles(vehicles),
+        vehicles,
+        riders: [...entry.riders.filter((r) => r.driver_id !== driver_id), ...repriced],
+      });
+      changes.push({
+        entry_id: entry.entry_id,
+        date: entry.date,
+        leg: entry.leg,
+        old_day_total: car.day_total_used,
+        new_day_total: priced.vehicle.day_total_used,
+        riders,
+      });
     }
 
-    if (!Number.isFinite(day_total_used) || day_total_used <= 0) {
-      return res.status(400).json({ error: "Driver rates not set (one_way_total/two_way_total)" });
+    if (apply) {
+      for (const entry of toSave) await storage.saveEntry(groupId, entry);
     }
 
-    const riderUnits = riders.map((x) => {
-      if (!x.member_id) throw new Error("Missing member_id in riders");
-      if (!["one_way", "two_way"].includes(x.trip_type)) throw new Error("Invalid trip_type in riders");
-      return {
-        entry_id: date,
-        member_id: x.member_id,
-        trip_type: x.trip_type,
-        units: unitsForTrip(x.trip_type),
-      };
+    res.json({
+      applied: !!apply,
+      changes,
+      skipped,
+      balance_impact: Object.entries(impact)
+        .filter(([, amount]) => Math.abs(amount) >= 0.01)
+        .map(([member_id, amount]) => ({ member_id, amount })),
     });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to re-price entries" });
+  }
+});
 
-    const total_units = riderUnits.reduce((s, r) => s + r.units, 0);
-    if (total_units <= 0) return res.status(400).json({ error: "No valid riders/units" });
-
-    const computed = riderUnits.map((r) => ({
-      ...r,
-      charge: round2(day_total_used * (r.units / total_units)),
-    }));
-
-    // correct rounding drift to driver
-    const sumCharges = computed.reduce((s, r) => s + r.charge, 0);
-    const drift = round2(day_total_used - sumCharges);
-    if (Math.abs(drift) >= 0.01) {
-      const i = computed.findIndex((x) => x.member_id === driver_id);
-      if (i >= 0) computed[i].charge = round2(computed[i].charge + drift);
-    }
-
-    const total_amount = round2(computed.reduce((s, r) => s + r.charge, 0));
-    const created_at = new Date().toISOString();
-
-    const { rows: entryRows, idx: entryIdx } = await loadSheetEnsuringColumns(TAB_DAY_ENTRIES, [
-      "entry_id",
-      "date",
-      "driver_id",
-      "day_type",
-      "day_total_used",
-      "total_amount",
-      "notes",
-      "created_at",
-      "group_id",
-    ]);
-    const entryHeader = entryRows[0];
-    const entryData = entryRows;
+// ---- WEEKLY TEMPLATE ----
+// The group's usual week: per weekday, who drives and each rider's trip type
+app.get("/template", requireGroup, async (req, res) => {
+  try {
+    res.json({ days: await storage.getWeeklyTemplate(req.groupId) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to load template" });
+  }
+});
 
-    const existingIdx = entryData.findIndex(
-      (r, i) => i > 0 && String(r[entryIdx["date"]] ?? "") === date && rowMatchesGroup(r, entryIdx, groupId)
-    );
-    const entryRow = new Array(entryHeader.length).fill("");
-    entryRow[entryIdx["entry_id"]] = date;
-    entryRow[entryIdx["date"]] = date;
-    entryRow[entryIdx["driver_id"]] = driver_id;
-    entryRow[entryIdx["day_type"]] = day_type;
-    entryRow[entryIdx["day_total_used"]] = String(day_total_used);
-    entryRow[entryIdx["total_amount"]] = String(total_amount);
-    entryRow[entryIdx["notes"]] = notes;
-    entryRow[entryIdx["created_at"]] = created_at;
-    entryRow[entryIdx["group_id"]] = groupId;
-
-    if (existingIdx >= 1) {
-      entryData[existingIdx] = entryRow;
-      await setValues(`${TAB_DAY_ENTRIES}!A1:${colLabel(entryHeader.length)}${entryData.length}`, entryData);
-    } else {
-      await appendValues(`${TAB_DAY_ENTRIES}!A:Z`, [entryRow]);
+// Replace the template with `days`: [{ weekday, driver_id, riders: [{ member_id, trip_type }] }].
+// The driver rides too; left out of `riders`, they take the group's default trip type.
+app.put("/template", requireGroup, async (req, res) => {
+  try {
+    const { days } = req.body || {};
+    if (!Array.isArray(days)) return res.status(400).json({ error: "days must be an array" });
+
+    const members = await storage.listMembers(req.groupId);
+    const memberIds = new Set(members.map((m) => m.member_id));
+    const settings = await storage.getSettings(req.groupId);
+    const seen = new Set();
+    const clean = [];
+    for (const day of days) {
+      const weekday = Number(day?.weekday);
+      if (!WEEKDAYS.includes(weekday) || seen.has(weekday)) {
+        return res.status(400).json({ error: "Each day needs a different weekday from 0 (Sunday) to 6 (Saturday)" });
+      }
+      seen.add(weekday);
+      if (!memberIds.has(day.driver_id)) return res.status(400).json({ error: "Each day's driver_id must be a member" });
+
+      const riders = [];
+      for (const r of Array.isArray(day.riders) ? day.riders : []) {
+        if (!memberIds.has(r?.member_id)) return res.status(400).json({ error: "Riders must be members" });
+        const trip_type = r.trip_type || settings.default_trip_type;
+        if (!TRIP_TYPES[trip_type]) {
+          return res.status(400).json({ error: `trip_type must be one of ${Object.keys(TRIP_TYPES).join(", ")}` });
+        }
+        if (!riders.some((x) => x.member_id === r.member_id)) riders.push({ member_id: r.member_id, trip_type });
+      }
+      if (!riders.some((r) => r.member_id === day.driver_id)) {
+        riders.unshift({ member_id: day.driver_id, trip_type: settings.default_trip_type });
+      }
+      clean.push({ weekday, driver_id: day.driver_id, riders });
     }
 
-    const { rows: riderRows, idx: riderIdx } = await loadSheetEnsuringColumns(TAB_DAY_RIDERS, [
-      "entry_id",
-      "member_id",
-      "trip_type",
-      "units",
-      "charge",
-      "group_id",
-    ]);
-    const riderHeader = riderRows[0];
-    const riderData = riderRows;
+    await storage.saveWeeklyTemplate(req.groupId, clean);
+    res.json({ ok: true, days: await storage.getWeeklyTemplate(req.groupId) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to save template" });
+  }
+});
 
-    const kept = [riderHeader, ...riderData.slice(1).filter((r) => String(r[riderIdx["entry_id"]] ?? "") !== date || !rowMatchesGroup(r, riderIdx, groupId))];
-    for (const c of computed) {
-      kept.push([c.entry_id, c.member_id, c.trip_type, String(c.units), String(c.charge), groupId]);
+// Plan `month`'s rides from the template: one planned ride per riding day
+// the template covers, priced like POST /entries. Days that already have a
+// ride, holidays and days the driver is away are skipped; riders who are away
+// are left off. Planned rides don't count toward balances until someone
+// saves them. Nothing is written unless `apply` is true.
+app.post("/template/fill", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const { month, apply = false } = req.body || {};
+    if (!month || !/^\d{4}-\d{2}$/.test(String(month))) {
+      return res.status(400).json({ error: "month required as YYYY-MM" });
     }
-    await setValues(`${TAB_DAY_RIDERS}!A1:${colLabel(riderHeader.length)}${kept.length}`, kept);
+    const template = await storage.getWeeklyTemplate(groupId);
+    if (!template.length) return res.status(400).json({ error: "Set up the weekly template first" });
+
+    const settings = await storage.getSettings(groupId);
+    const members = await storage.listMembers(groupId);
+    const memberById = new Map(members.map((m) => [m.member_id, m]));
+    const holidayByDate = new Map((await groupHolidays(groupId, month)).map((h) => [h.date, h.name]));
+    const [y, m] = month.split("-").map(Number);
+    const dates = daysInRange(`${month}-01`, `${month}-${String(new Date(Date.UTC(y, m, 0)).getUTCDate()).padStart(2, "0")}`);
+    const daysOff = await storage.listDaysOff(groupId, { from: dates[0], to: dates[dates.length - 1] });
+    const rideDates = new Set((await storage.listEntries(groupId, { month })).map((e) => e.date));
+    const createdAt = await groupNow(groupId);
 
-    res.status(201).json({
-      entry: {
-        entry_id: date,
+    const entries = [];
+    const planned = [];
+    const skipped = [];
+    for (const date of dates) {
+      const weekday = weekdayOf(date);
+      const day = template.find((d) => d.weekday === weekday);
+      if (!day || !settings.weekdays.includes(weekday)) continue;
+      if (rideDates.has(date)) {
+        skipped.push({ date, reason: "Already has a ride" });
+        continue;
+      }
+      if (holidayByDate.has(date)) {
+        skipped.push({ date, reason: holidayByDate.get(date) });
+        continue;
+      }
+
+      const away = new Set(daysOff.filter((d) => d.from <= date && d.to >= date).map((d) => d.member_id));
+      const driver = memberById.get(day.driver_id);
+      if (!driver?.active || away.has(day.driver_id)) {
+        skipped.push({ date, reason: `${driver?.name || day.driver_id} is ${driver?.active ? "away" : "no longer active"}` });
+        continue;
+      }
+      const riders = day.riders.filter((r) => memberById.get(r.member_id)?.active && !away.has(r.member_id));
+      const priced = priceVehicle({ driver_id: day.driver_id, riders }, driver, date, settings.split_strategy, settings);
+      if (priced.error) {
+        skipped.push({ date, reason: priced.error });
+        continue;
+      }
+
+      const vehicles = [priced.vehicle];
+      entries.push({
+        entry_id: genEntryId(),
         date,
-        driver_id,
-        day_type,
-        day_total_used,
-        total_amount,
-        notes,
-        created_at,
-        riders: computed.map(({ entry_id, ...rest }) => rest),
-      },
-    });
+        leg: "",
+        split_strategy: settings.split_strategy,
+        ...summarizeVehicles(vehicles),
+        notes: "",
+        created_at: createdAt,
+        planned: true,
+        vehicles,
+        riders: addExpenseShares(priced.riders).riders,
+        expenses: [],
+      });
+      planned.push({
+        date,
+        driver_id: day.driver_id,
+        riders: riders.map((r) => r.member_id),
+        away: day.riders.filter((r) => away.has(r.member_id)).map((r) => r.member_id),
+        total_amount: priced.vehicle.total_amount,
+      });
+    }
+
+    if (apply) {
+      for (const entry of entries) await storage.saveEntry(groupId, entry);
+    }
+    res.json({ applied: !!apply, planned, skipped });
   } catch (e) {
     console.error(e);
-    const msg = String(e?.message || "");
-    if (msg.includes("Invalid trip_type")) {
-      return res.status(400).json({ error: "riders.trip_type must be one_way or two_way" });
+    res.status(500).json({ error: "Failed to fill month from template" });
+  }
+});
+
+// ---- DELETE ENTRY ----
+// Rides saved before entries had their own ids used the date as entry_id,
+// so /entries/2025-03-04 still removes those.
+app.delete("/entries/:entryId", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const { entryId } = req.params;
+    console.log(`[DELETE] Attempting to delete entry: ${entryId}`);
+
+    const found = await storage.deleteEntry(groupId, entryId);
+    if (!found) return res.status(404).json({ error: "entry not found" });
+
+    console.log(`[DELETE] Successfully deleted entry: ${entryId}`);
+    res.json({ ok: true, deleted: entryId });
+  } catch (e) {
+    console.error("[DELETE] Error:", e);
+    res.status(500).json({ error: "Failed to delete entry" });
+  }
+});
+
+// ---- PAYMENTS ----
+// Recorded transfers between members. A payment from A to B of X raises A's
+// balance by X and lowers B's. Payments are voided rather than deleted so the
+// ledger keeps a record of corrections.
+app.get("/payments", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const { month } = req.query;
+    if (month && !/^\d{4}-\d{2}$/.test(String(month))) {
+      return res.status(400).json({ error: "month must be YYYY-MM" });
     }
-    res.status(500).json({ error: "Failed to save entry" });
+    const payments = await storage.listPayments(groupId, { month });
+    res.json({ payments });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to read payments" });
   }
 });
 
-// Helper to delete a row by index (1-indexed, including header)
-async function deleteRow(sheetName, rowIndex) {
-  await sheets.spreadsheets.batchUpdate({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    requestBody: {
-      requests: [{
-        deleteDimension: {
-          range: {
-            sheetId: 0, // Use the first sheet's ID, or get it dynamically
-            dimension: "ROWS",
-            startIndex: rowIndex - 1, // Convert to 0-indexed
-            endIndex: rowIndex, // Exclusive end
-          }
-        }
-      }]
+app.post("/payments", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const { from_member_id, to_member_id, amount, date, method = "", note = "" } = req.body || {};
+    if (!from_member_id || !to_member_id) {
+      return res.status(400).json({ error: "from_member_id and to_member_id required" });
     }
-  });
-}
+    if (from_member_id === to_member_id) {
+      return res.status(400).json({ error: "A payment needs two different members" });
+    }
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+      return res.status(400).json({ error: "date required as YYYY-MM-DD" });
+    }
+    const value = round2(Number(amount));
+    if (!Number.isFinite(value) || value <= 0) return res.status(400).json({ error: "amount must be positive" });
 
-// ---- DELETE ENTRY ----
-app.delete("/entries/:date", async (req, res) => {
-  const groupId = getReqGroupId(req);
-  if (!groupId) return res.status(400).json({ error: "Missing x-group-id header" });
+    const members = await storage.listMembers(groupId);
+    const ids = new Set(members.map((m) => m.member_id));
+    if (!ids.has(from_member_id) || !ids.has(to_member_id)) {
+      return res.status(400).json({ error: "Payer and payee must be members of this group" });
+    }
+
+    const payment = await storage.insertPayment(groupId, {
+      payment_id: genPaymentId(),
+      date,
+      from_member_id,
+      to_member_id,
+      amount: value,
+      method: String(method).trim(),
+      note: String(note).trim(),
+      created_at: await groupNow(groupId),
+      voided_at: "",
+    });
+    res.status(201).json({ payment });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to record payment" });
+  }
+});
+
+app.post("/payments/:paymentId/void", requireGroup, async (req, res) => {
+  const { groupId } = req;
 
   try {
-    const { date } = req.params;
-    console.log(`[DELETE] Attempting to delete entry for date: ${date}`);
-    
+    const payment = await storage.voidPayment(groupId, req.params.paymentId, await groupNow(groupId));
+    if (!payment) return res.status(404).json({ error: "payment not found" });
+    res.json({ payment });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to void payment" });
+  }
+});
+
+// ---- SHARED EXPENSES ----
+// Costs of the whole carpool rather than one ride. Each comes back with
+// `shares`, what every member owes of it.
+app.get("/shared_expenses", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const { month } = req.query;
+    if (month && !/^\d{4}-\d{2}$/.test(String(month))) {
+      return res.status(400).json({ error: "month must be YYYY-MM" });
+    }
+    const expenses = await storage.listSharedExpenses(groupId, { month });
+    res.json({ expenses: expenses.map((x) => ({ ...x, shares: sharedExpenseShares(x) })) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to read shared expenses" });
+  }
+});
+
+// `member_ids` share the amount equally, or in proportion to `weights` (same order) when given
+app.post("/shared_expenses", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const { payer_id, amount, date, description = "", member_ids, weights = [] } = req.body || {};
     if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
       return res.status(400).json({ error: "date required as YYYY-MM-DD" });
     }
+    const value = round2(Number(amount));
+    if (!Number.isFinite(value) || value <= 0) return res.status(400).json({ error: "amount must be positive" });
+    if (!Array.isArray(member_ids) || !member_ids.length) {
+      return res.status(400).json({ error: "member_ids must list who shares the expense" });
+    }
+    if (new Set(member_ids).size !== member_ids.length) {
+      return res.status(400).json({ error: "member_ids must not repeat a member" });
+    }
+    if (!Array.isArray(weights) || (weights.length && weights.length !== member_ids.length)) {
+      return res.status(400).json({ error: "weights must have one number per member_id" });
+    }
+    const w = weights.map(Number);
+    if (w.some((x) => !Number.isFinite(x) || x < 0) || (w.length && !w.some((x) => x > 0))) {
+      return res.status(400).json({ error: "weights must be zero or more, and not all zero" });
+    }
 
-    // First, get the current sheet metadata to find the correct sheetId
-    const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId: GOOGLE_SHEET_ID });
-    const entriesSheet = spreadsheet.data.sheets.find(s => s.properties.title === TAB_DAY_ENTRIES);
-    const ridersSheet = spreadsheet.data.sheets.find(s => s.properties.title === TAB_DAY_RIDERS);
-    const entriesSheetId = entriesSheet?.properties?.sheetId || 0;
-    const ridersSheetId = ridersSheet?.properties?.sheetId || 0;
-
-    // Delete from day_entries sheet
-    const { rows: entryRows, idx: entryIdx } = await loadSheetEnsuringColumns(TAB_DAY_ENTRIES, [
-      "entry_id",
-      "date",
-      "driver_id",
-      "day_type",
-      "day_total_used",
-      "total_amount",
-      "notes",
-      "created_at",
-      "group_id",
-    ]);
-    console.log(`[DELETE] entryRows length: ${entryRows.length}`);
-    if (entryRows.length > 1) {
-      const existingIdx = entryRows.findIndex(
-        (r, i) => i > 0 && String(r[entryIdx["date"]] ?? "") === date && rowMatchesGroup(r, entryIdx, groupId)
-      );
-      console.log(`[DELETE] existingIdx for ${date}: ${existingIdx}`);
-      if (existingIdx >= 1) {
-        // Delete the row (index + 1 because header is row 0, data starts at row 1)
-        const rowToDelete = existingIdx + 1; // 1-indexed including header
-        console.log(`[DELETE] Deleting row ${rowToDelete} from day_entries`);
-        await sheets.spreadsheets.batchUpdate({
-          spreadsheetId: GOOGLE_SHEET_ID,
-          requestBody: {
-            requests: [{
-              deleteDimension: {
-                range: {
-                  sheetId: entriesSheetId,
-                  dimension: "ROWS",
-                  startIndex: existingIdx, // 0-indexed, so existingIdx is the row to delete
-                  endIndex: existingIdx + 1,
-                }
-              }
-            }]
-          }
-        });
-        console.log(`[DELETE] Deleted row ${rowToDelete} from day_entries`);
-      } else {
-        console.log(`[DELETE] Entry not found in day_entries sheet`);
+    const members = await storage.listMembers(groupId);
+    const ids = new Set(members.map((m) => m.member_id));
+    if (!ids.has(payer_id) || member_ids.some((id) => !ids.has(id))) {
+      return res.status(400).json({ error: "The payer and everyone sharing must be members of this group" });
+    }
+
+    const expense = await storage.insertSharedExpense(groupId, {
+      expense_id: genSharedExpenseId(),
+      date,
+      payer_id,
+      amount: value,
+      description: String(description).trim(),
+      member_ids,
+      weights: w,
+      created_at: await groupNow(groupId),
+      voided_at: "",
+    });
+    res.status(201).json({ expense: { ...expense, shares: sharedExpenseShares(expense) } });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to record shared expense" });
+  }
+});
+
+app.post("/shared_expenses/:expenseId/void", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const expense = await storage.voidSharedExpense(groupId, req.params.expenseId, await groupNow(groupId));
+    if (!expense) return res.status(404).json({ error: "shared expense not found" });
+    res.json({ expense: { ...expense, shares: sharedExpenseShares(expense) } });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to void shared expense" });
+  }
+});
+
+// ---- BALANCES & SETTLEMENTS ----
+// Reads the date range from `?from=&to=` (from optional: since the start), or
+// `?month=YYYY-MM` as a shorthand for that month. Returns null if invalid.
+function balanceRange(query) {
+  const { month, from, to } = query;
+  if (month) {
+    if (!/^\d{4}-\d{2}$/.test(String(month))) return null;
+    return { from: `${month}-01`, to: `${month}-31` };
+  }
+  const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d));
+  if (!to || !isDate(to) || (from && !isDate(from))) return null;
+  if (from && from > to) return null;
+  return { from: from ? String(from) : "", to: String(to) };
+}
+
+async function loadBalances(groupId, range) {
+  const [members, entries, payments, sharedExpenses] = await Promise.all([
+    storage.listMembers(groupId),
+    storage.listEntries(groupId, { to: range.to }),
+    storage.listPayments(groupId, { to: range.to }),
+    storage.listSharedExpenses(groupId, { to: range.to }),
+  ]);
+  return rangeBalances({ ...range, members, entries, payments, sharedExpenses });
+}
+
+// Per member: opening balance carried into the range, credits, debits and net
+// within it, and the closing balance at its end.
+app.get("/balances", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const range = balanceRange(req.query);
+    if (!range) return res.status(400).json({ error: "from/to required as YYYY-MM-DD (or month as YYYY-MM)" });
+
+    res.json({ ...range, balances: await loadBalances(groupId, range) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to compute balances" });
+  }
+});
+
+/**
+ * Validate settlement rules from a request body. Returns `{ rules }`, or
+ * `{ error }` with a client-facing message. With `memberIds`, every member in
+ * a pair must be one of them.
+ */
+function parseSettlementRules(body, memberIds) {
+  const { prefer = [], avoid = [], min_amount = 0 } = body || {};
+  for (const pairs of [prefer, avoid]) {
+    if (!Array.isArray(pairs)) return { error: "prefer and avoid must be arrays of [member_id, member_id] pairs" };
+    for (const pair of pairs) {
+      if (!Array.isArray(pair) || pair.length !== 2 || !pair[0] || !pair[1] || pair[0] === pair[1]) {
+        return { error: "prefer and avoid must be arrays of [member_id, member_id] pairs" };
       }
+      if (memberIds && pair.some((id) => !memberIds.has(id))) return { error: "Rules can only name members of this group" };
     }
+  }
+  const min = Number(min_amount || 0);
+  if (!Number.isFinite(min) || min < 0) return { error: "min_amount must be zero or more" };
+  return { rules: { prefer, avoid, min_amount: round2(min) } };
+}
+
+// The balances above plus the fewest transfers that settle everyone's closing
+// balance (everything owed up to `to`), following the group's settlement rules.
+app.get("/settlements", requireGroup, async (req, res) => {
+  const { groupId } = req;
 
-    // Delete from day_riders sheet
-    const { rows: riderRows, idx: riderIdx } = await loadSheetEnsuringColumns(TAB_DAY_RIDERS, [
-      "entry_id",
-      "member_id",
-      "trip_type",
-      "units",
-      "charge",
-      "group_id",
+  try {
+    const range = balanceRange(req.query);
+    if (!range) return res.status(400).json({ error: "from/to required as YYYY-MM-DD (or month as YYYY-MM)" });
+
+    const [balances, rules] = await Promise.all([
+      loadBalances(groupId, range),
+      storage.getSettlementRules(groupId),
     ]);
-    console.log(`[DELETE] riderRows length: ${riderRows.length}`);
-    if (riderRows.length > 1) {
-      // Find all rows for this date (there might be multiple riders)
-      const rowsToDelete = [];
-      riderRows.forEach((r, i) => {
-        if (i > 0 && String(r[riderIdx["entry_id"]] ?? "") === date && rowMatchesGroup(r, riderIdx, groupId)) {
-          rowsToDelete.push(i);
-        }
-      });
-      console.log(`[DELETE] Found ${rowsToDelete.length} rider rows to delete:`, rowsToDelete);
-      
-      // Delete rows in reverse order (so indices stay valid)
-      for (let i = rowsToDelete.length - 1; i >= 0; i--) {
-        const rowIdx = rowsToDelete[i];
-        console.log(`[DELETE] Deleting rider row ${rowIdx + 1} (index ${rowIdx})`);
-        await sheets.spreadsheets.batchUpdate({
-          spreadsheetId: GOOGLE_SHEET_ID,
-          requestBody: {
-            requests: [{
-              deleteDimension: {
-                range: {
-                  sheetId: ridersSheetId,
-                  dimension: "ROWS",
-                  startIndex: rowIdx,
-                  endIndex: rowIdx + 1,
-                }
-              }
-            }]
-          }
-        });
-      }
-      console.log(`[DELETE] Deleted ${rowsToDelete.length} rider rows`);
+    const closing = Object.fromEntries(balances.map((b) => [b.member_id, b.closing]));
+    res.json({ ...range, balances, ...optimizeTransfers(closing, rules), rules });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to compute settlements" });
+  }
+});
+
+// Run the optimizer on any balances: `{ balances: { member_id: amount }, prefer, avoid, min_amount }`.
+// Balances must add up to zero.
+app.post("/settlements/optimize", requireGroup, async (req, res) => {
+  try {
+    const { balances } = req.body || {};
+    if (!balances || typeof balances !== "object" || Array.isArray(balances)) {
+      return res.status(400).json({ error: "balances must be an object of member_id: amount" });
+    }
+    const values = Object.values(balances).map(Number);
+    if (values.some((v) => !Number.isFinite(v))) return res.status(400).json({ error: "balances must be numbers" });
+    if (Math.abs(values.reduce((s, v) => s + v, 0)) >= 0.05) {
+      return res.status(400).json({ error: "balances must add up to zero" });
     }
 
-    console.log(`[DELETE] Successfully deleted entry for date: ${date}`);
-    res.json({ ok: true, deleted: date });
+    const parsed = parseSettlementRules(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    res.json(optimizeTransfers(balances, parsed.rules));
   } catch (e) {
-    console.error("[DELETE] Error:", e);
-    res.status(500).json({ error: "Failed to delete entry" });
+    console.error(e);
+    res.status(500).json({ error: "Failed to optimize transfers" });
+  }
+});
+
+app.get("/settlement_rules", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    res.json({ rules: await storage.getSettlementRules(groupId) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to read settlement rules" });
+  }
+});
+
+// Replaces all of the group's rules: `{ prefer: [[a, b]], avoid: [[a, b]], min_amount }`
+app.put("/settlement_rules", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const members = await storage.listMembers(groupId);
+    const parsed = parseSettlementRules(req.body, new Set(members.map((m) => m.member_id)));
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    await storage.saveSettlementRules(groupId, parsed.rules);
+    res.json({ rules: parsed.rules });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to save settlement rules" });
+  }
+});
+
+// One-time balances brought over from a paper ledger, as
+// `{ balances: [{ member_id, amount }] }`. Positive means the group owes the
+// member. Members not listed keep theirs; all of them together must net to zero.
+app.put("/opening_balances", requireGroup, async (req, res) => {
+  const { groupId } = req;
+
+  try {
+    const { balances } = req.body || {};
+    if (!Array.isArray(balances)) return res.status(400).json({ error: "balances must be an array" });
+
+    const members = await storage.listMembers(groupId);
+    const opening = Object.fromEntries(members.map((m) => [m.member_id, m.opening_balance]));
+    const amounts = {};
+    for (const b of balances) {
+      const amount = round2(Number(b?.amount || 0));
+      if (!(b?.member_id in opening)) return res.status(400).json({ error: `Unknown member ${b?.member_id}` });
+      if (!Number.isFinite(amount)) return res.status(400).json({ error: "amount must be a number" });
+      amounts[b.member_id] = amount;
+    }
+
+    const net = round2(Object.values({ ...opening, ...amounts }).reduce((s, x) => s + x, 0));
+    if (Math.abs(net) >= 0.01) {
+      return res.status(400).json({ error: `Opening balances must add up to zero (off by ${net})` });
+    }
+
+    await storage.setOpeningBalances(groupId, amounts);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to save opening balances" });
   }
 });
 
 // ---- NOTIFY (SMS) ----
-app.post("/notify", async (req, res) => {
-  const groupId = getReqGroupId(req);
-  if (!groupId) return res.status(400).json({ error: "Missing x-group-id header" });
+app.post("/notify", requireGroup, async (req, res) => {
+  const { groupId } = req;
 
   try {
     const { message = "Reminder: please add today's ride details." } = req.body || {};
 
-    const { rows, idx } = await loadMembersSheetEnsuringColumns();
-    const members = filterRowsByGroup(rows.slice(1), idx, groupId)
-      .map((r) => ({
-        member_id: r[idx["member_id"]] ?? "",
-        name: r[idx["name"]] ?? "",
-        phone: normalizePhone(r[idx["phone"]] ?? ""),
-        active: String(r[idx["active"]] ?? "TRUE").toUpperCase() === "TRUE",
-      }))
-      .filter((m) => m.active && m.phone);
+    // Members away today don't need a reminder
+    const today = todayIn(zoneOf(await storage.getSettings(groupId)));
+    const away = new Set((await storage.listDaysOff(groupId, { from: today, to: today })).map((d) => d.member_id));
+
+    const members = (await storage.listMembers(groupId))
+      .map((m) => ({ ...m, phone: normalizePhone(m.phone) }))
+      .filter((m) => m.active && m.phone && !away.has(m.member_id));
 
     // Build the full message with app URL
     const appUrl = APP_URL || "https://your-app-url.com";
@@ -950,6 +1754,7 @@ app.post("/notify", async (req, res) => {
       sent: sentCount,
       failed: failedCount,
       recipients: results,
+      away: [...away],
     });
   } catch (e) {
     console.error(e);
@@ -957,6 +1762,7 @@ app.post("/notify", async (req, res) => {
   }
 });
 
+
 // ---- KEEPALIVE SCHEDULER ----
 // Keep the backend warm by self-pinging /health periodically. Defaults are safe for Render.
 if (process.env.NODE_ENV !== 'test') {
@@ -1004,6 +1810,20 @@ if (process.env.NODE_ENV !== 'test') {
   console.log(`[KEEPALIVE] Scheduler started. Schedule='${keepaliveSchedule}', publicPing=${publicPingEnabled}`);
 }
 
+// Groups with members but neither a group record nor GROUP_CREDENTIALS can't
+// sign in until a member claims them; say so on every start until they do.
+async function warnUnregisteredGroups() {
+  const configured = parseGroupCredentials();
+  const locked = (await storage.listUnregisteredGroups()).filter((id) => !configured[normalizeGroupId(id)]);
+  if (!locked.length) return;
+  console.error(
+    `[GROUPS] ${locked.length} group(s) can't sign in: ${locked.join(", ")}. ` +
+      "Add them to GROUP_CREDENTIALS, or have a member register the group id with the name and phone " +
+      "they're on record with (see docs/groups.md)."
+  );
+}
+
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`Backend running on port ${PORT}`);
+  warnUnregisteredGroups().catch((e) => console.error("[GROUPS] Failed to check for unregistered groups", e));
 });
@@ -0,0 +1,861 @@
+import { createSheetsDriver } from "./sheets.js";
+import { createJsonDriver } from "./json.js";
+import {
+  TAB_GROUPS,
+  TAB_MEMBERS,
+  TAB_DAY_ENTRIES,
+  TAB_DAY_RIDERS,
+  TAB_ENTRY_VEHICLES,
+  TAB_MEMBER_RATES,
+  TAB_PAYMENTS,
+  TAB_SETTLEMENT_RULES,
+  TAB_SETTINGS,
+  TAB_ENTRY_EXPENSES,
+  TAB_SHARED_EXPENSES,
+  TAB_GROUP_HOLIDAYS,
+  TAB_DAYS_OFF,
+  TAB_WEEKLY_TEMPLATE,
+} from "./schema.js";
+import { DEFAULT_PRICING_MODE, DEFAULT_SPLIT_STRATEGY } from "../../shared/pricing.js";
+import {
+  DEFAULT_CURRENCY,
+  DEFAULT_HOLIDAY_CALENDAR,
+  DEFAULT_LOCALE,
+  DEFAULT_TRIP_TYPE,
+  DEFAULT_WEEKDAYS,
+} from "../../shared/settings.js";
+
+function normalizeGroupId(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function matchesGroup(record, groupId) {
+  if (!groupId) return false;
+  return normalizeGroupId(record.group_id) === normalizeGroupId(groupId);
+}
+
+function toMember(r) {
+  return {
+    member_id: r.member_id,
+    name: r.name,
+    phone: r.phone,
+    active: String(r.active || "TRUE").toUpperCase() === "TRUE",
+    one_way_total: Number(r.one_way_total || 0),
+    two_way_total: Number(r.two_way_total || 0),
+    opening_balance: Number(r.opening_balance || 0),
+    vehicle_mpg: Number(r.vehicle_mpg || 0),
+  };
+}
+
+function fromMember(m, groupId) {
+  return {
+    member_id: m.member_id,
+    name: m.name,
+    phone: m.phone,
+    active: m.active ? "TRUE" : "FALSE",
+    // Unset rates are stored blank rather than 0 so the sheet stays readable.
+    one_way_total: m.one_way_total ? String(m.one_way_total) : "",
+    two_way_total: m.two_way_total ? String(m.two_way_total) : "",
+    opening_balance: m.opening_balance ? String(m.opening_balance) : "",
+    vehicle_mpg: m.vehicle_mpg ? String(m.vehicle_mpg) : "",
+    group_id: groupId,
+  };
+}
+
+function toRate(r) {
+  return {
+    effective_from: r.effective_from,
+    one_way_total: Number(r.one_way_total || 0),
+    two_way_total: Number(r.two_way_total || 0),
+  };
+}
+
+function toPayment(r) {
+  return {
+    payment_id: r.payment_id,
+    date: r.date,
+    from_member_id: r.from_member_id,
+    to_member_id: r.to_member_id,
+    amount: Number(r.amount || 0),
+    method: r.method,
+    note: r.note,
+    created_at: r.created_at,
+    voided_at: r.voided_at,
+  };
+}
+
+function toSettings(r) {
+  return {
+    split_strategy: r?.split_strategy || DEFAULT_SPLIT_STRATEGY,
+    pricing_mode: r?.pricing_mode || DEFAULT_PRICING_MODE,
+    route_miles: Number(r?.route_miles || 0),
+    fuel_price: Number(r?.fuel_price || 0),
+    wear_per_mile: Number(r?.wear_per_mile || 0),
+    currency: r?.currency || DEFAULT_CURRENCY,
+    locale: r?.locale || DEFAULT_LOCALE,
+    // Blank until a member signs in and the group takes on their zone
+    timezone: r?.timezone || "",
+    weekdays: r?.weekdays ? r.weekdays.split(",").map(Number) : DEFAULT_WEEKDAYS,
+    holiday_calendar: r?.holiday_calendar || DEFAULT_HOLIDAY_CALENDAR,
+    default_trip_type: r?.default_trip_type || DEFAULT_TRIP_TYPE,
+  };
+}
+
+function toDaysOff(r) {
+  return {
+    days_off_id: r.days_off_id,
+    member_id: r.member_id,
+    from: r.from,
+    to: r.to,
+    name: r.name,
+    source: r.source || "custom",
+    created_at: r.created_at,
+  };
+}
+
+function toEntry(r) {
+  return {
+    entry_id: r.entry_id,
+    date: r.date,
+    leg: r.leg,
+    split_strategy: r.split_strategy || DEFAULT_SPLIT_STRATEGY,
+    driver_id: r.driver_id,
+    day_type: r.day_type,
+    day_total_used: Number(r.day_total_used || 0),
+    total_amount: Number(r.total_amount || 0),
+    notes: r.notes,
+    created_at: r.created_at,
+    planned: String(r.planned || "").toUpperCase() === "TRUE",
+    vehicles: [],
+    riders: [],
+    expenses: [],
+  };
+}
+
+function toRider(r) {
+  const rider = {
+    member_id: r.member_id,
+    trip_type: r.trip_type,
+    units: Number(r.units || 0),
+    charge: Number(r.charge || 0),
+    driver_id: r.driver_id,
+    expense_share: Number(r.expense_share || 0),
+  };
+  if (r.guest_name) {
+    rider.guest_name = r.guest_name;
+    rider.sponsor_id = r.sponsor_id;
+  }
+  return rider;
+}
+
+function toSharedExpense(r) {
+  return {
+    expense_id: r.expense_id,
+    date: r.date,
+    payer_id: r.payer_id,
+    amount: Number(r.amount || 0),
+    description: r.description,
+    member_ids: r.member_ids ? r.member_ids.split(",") : [],
+    weights: r.weights ? r.weights.split(",").map(Number) : [],
+    created_at: r.created_at,
+    voided_at: r.voided_at,
+  };
+}
+
+function toExpense(r) {
+  return {
+    category: r.category,
+    amount: Number(r.amount || 0),
+    payer_id: r.payer_id,
+    split: r.split,
+    member_ids: r.member_ids ? r.member_ids.split(",") : [],
+  };
+}
+
+function fromExpense(x) {
+  return { ...x, member_ids: (x.member_ids || []).join(",") };
+}
+
+function toVehicle(r) {
+  const vehicle = {
+    driver_id: r.driver_id,
+    day_type: r.day_type,
+    day_total_used: Number(r.day_total_used || 0),
+    total_amount: Number(r.total_amount || 0),
+  };
+  if (r.miles) {
+    vehicle.miles = Number(r.miles);
+    vehicle.mpg = Number(r.mpg || 0);
+    vehicle.fuel_price = Number(r.fuel_price || 0);
+    vehicle.wear_per_mile = Number(r.wear_per_mile || 0);
+  }
+  return vehicle;
+}
+
+// Rides saved before multi-car support have no vehicle rows; their single car
+// is described by the entry itself and every rider sat in it.
+function fillSingleCar(entry) {
+  if (!entry.vehicles.length) {
+    entry.vehicles.push({
+      driver_id: entry.driver_id,
+      day_type: entry.day_type,
+      day_total_used: entry.day_total_used,
+      total_amount: entry.total_amount,
+    });
+  }
+  for (const r of entry.riders) {
+    if (!r.driver_id) r.driver_id = entry.driver_id;
+  }
+  return entry;
+}
+
+// Child tables whose rows belong to one entry and are replaced as a set on save,
+// keyed by the entry property that holds them.
+const ENTRY_CHILD_TABLES = {
+  riders: TAB_DAY_RIDERS,
+  vehicles: TAB_ENTRY_VEHICLES,
+  expenses: TAB_ENTRY_EXPENSES,
+};
+
+// How a child object becomes a row, where that isn't one-to-one
+const CHILD_ROW = {
+  expenses: fromExpense,
+};
+
+const LEG_ORDER = { "": 0, am: 1, pm: 2 };
+
+function compareEntries(a, b) {
+  return (
+    a.date.localeCompare(b.date) ||
+    (LEG_ORDER[a.leg] ?? 0) - (LEG_ORDER[b.leg] ?? 0) ||
+    String(a.created_at).localeCompare(String(b.created_at))
+  );
+}
+
+// The tables each mutating store method reads and writes back. A driver only
+// ever sees whole-table reads and writes, so two mutations of the same table
+// must not interleave or the later write drops the earlier one's change.
+const MUTATIONS = {
+  insertGroup: [TAB_GROUPS],
+  insertMember: [TAB_MEMBERS],
+  updateMember: [TAB_MEMBERS],
+  deleteMember: [TAB_MEMBERS, TAB_MEMBER_RATES, TAB_SETTLEMENT_RULES, TAB_DAYS_OFF, TAB_WEEKLY_TEMPLATE],
+  mergeMember: [
+    TAB_PAYMENTS,
+    TAB_SHARED_EXPENSES,
+    TAB_SETTLEMENT_RULES,
+    TAB_MEMBER_RATES,
+    TAB_DAYS_OFF,
+    TAB_WEEKLY_TEMPLATE,
+    TAB_MEMBERS,
+  ],
+  setOpeningBalances: [TAB_MEMBERS],
+  saveMemberRate: [TAB_MEMBER_RATES],
+  deleteMemberRate: [TAB_MEMBER_RATES],
+  saveEntry: [TAB_DAY_ENTRIES, ...Object.values(ENTRY_CHILD_TABLES)],
+  deleteEntry: [TAB_DAY_ENTRIES, ...Object.values(ENTRY_CHILD_TABLES)],
+  insertPayment: [TAB_PAYMENTS],
+  voidPayment: [TAB_PAYMENTS],
+  insertSharedExpense: [TAB_SHARED_EXPENSES],
+  voidSharedExpense: [TAB_SHARED_EXPENSES],
+  saveSettings: [TAB_SETTINGS],
+  saveGroupHolidays: [TAB_GROUP_HOLIDAYS],
+  deleteGroupHoliday: [TAB_GROUP_HOLIDAYS],
+  insertDaysOff: [TAB_DAYS_OFF],
+  deleteDaysOff: [TAB_DAYS_OFF],
+  saveWeeklyTemplate: [TAB_WEEKLY_TEMPLATE],
+  saveSettlementRules: [TAB_SETTLEMENT_RULES],
+};
+
+/**
+ * Queue `fn` behind every pending mutation of any of `tables` (tracked in
+ * `tails`, table -> settled promise of its last mutation) and return its result.
+ */
+function exclusive(tails, tables, fn) {
+  const run = Promise.all(tables.map((t) => tails.get(t))).then(fn);
+  const settled = run.catch(() => undefined);
+  for (const t of tables) tails.set(t, settled);
+  return run;
+}
+
+/**
+ * Group-scoped ledger operations on top of a table driver.
+ * A driver only needs read(table), append(table, records) and write(table, records);
+ * every record it returns is a flat object of strings keyed by column name.
+ * Mutations are serialized per table (see MUTATIONS); reads are not.
+ */
+export function createLedgerStore(driver) {
+  const store = {
+    /** The group record (including its join code hash), or null if the group doesn't exist. */
+    async getGroup(groupId) {
+      const rows = await driver.read(TAB_GROUPS);
+      return rows.find((r) => matchesGroup(r, groupId)) || null;
+    },
+
+    /** Ids of groups that have members but no group record (those from before groups were registered). */
+    async listUnregisteredGroups() {
+      const registered = new Set((await driver.read(TAB_GROUPS)).map((r) => normalizeGroupId(r.group_id)));
+      const ids = new Map();
+      for (const r of await driver.read(TAB_MEMBERS)) {
+        const id = normalizeGroupId(r.group_id);
+        if (id && !registered.has(id) && !ids.has(id)) ids.set(id, r.group_id.trim());
+      }
+      return [...ids.values()];
+    },
+
+    async insertGroup(group) {
+      await driver.append(TAB_GROUPS, [group]);
+      return group;
+    },
+
+    /** Members with their dated `rates`, oldest first. */
+    async listMembers(groupId) {
+      const rows = await driver.read(TAB_MEMBERS);
+      const rateRows = await driver.read(TAB_MEMBER_RATES);
+
+      const members = rows
+        .filter((r) => matchesGroup(r, groupId))
+        .map((r) => ({ ...toMember(r), rates: [] }))
+        .filter((m) => m.member_id && m.name);
+
+      const byId = new Map(members.map((m) => [m.member_id, m]));
+      for (const r of rateRows) {
+        if (!matchesGroup(r, groupId)) continue;
+        byId.get(r.member_id)?.rates.push(toRate(r));
+      }
+      for (const m of members) m.rates.sort((a, b) => a.effective_from.localeCompare(b.effective_from));
+      return members;
+    },
+
+    async insertMember(groupId, member) {
+      await driver.append(TAB_MEMBERS, [fromMember(member, groupId)]);
+      return member;
+    },
+
+    /** Apply `patch` to one member. Returns the updated member, or null if not found. */
+    async updateMember(groupId, memberId, patch) {
+      const rows = await driver.read(TAB_MEMBERS);
+      const i = rows.findIndex((r) => r.member_id === memberId && matchesGroup(r, groupId));
+      if (i < 0) return null;
+
+      const updated = { ...toMember(rows[i]), ...patch };
+      rows[i] = { ...rows[i], ...fromMember(updated, groupId) };
+      await driver.write(TAB_MEMBERS, rows);
+      return updated;
+    },
+
+    /**
+     * Remove a member together with their rates, days off, weekly template
+     * days and any settlement rule that names them. Callers must check the member has no history first.
+     * Returns false if the member didn't exist.
+     */
+    async deleteMember(groupId, memberId) {
+      const isTarget = (r) => r.member_id === memberId && matchesGroup(r, groupId);
+
+      const rows = await driver.read(TAB_MEMBERS);
+      const kept = rows.filter((r) => !isTarget(r));
+      if (kept.length === rows.length) return false;
+      await driver.write(TAB_MEMBERS, kept);
+
+      const rateRows = await driver.read(TAB_MEMBER_RATES);
+      const keptRates = rateRows.filter((r) => !isTarget(r));
+      if (keptRates.length !== rateRows.length) await driver.write(TAB_MEMBER_RATES, keptRates);
+
+      const ruleRows = await driver.read(TAB_SETTLEMENT_RULES);
+      const keptRules = ruleRows.filter(
+        (r) => !(matchesGroup(r, groupId) && (r.member_a === memberId || r.member_b === memberId))
+      );
+      if (keptRules.length !== ruleRows.length) await driver.write(TAB_SETTLEMENT_RULES, keptRules);
+
+      const daysOffRows = await driver.read(TAB_DAYS_OFF);
+      const keptDaysOff = daysOffRows.filter((r) => !isTarget(r));
+      if (keptDaysOff.length !== daysOffRows.length) await driver.write(TAB_DAYS_OFF, keptDaysOff);
+
+      // A weekday they drove on has no driver left, so it goes too
+      const templateRows = await driver.read(TAB_WEEKLY_TEMPLATE);
+      const droveOn = new Set(templateRows.filter((r) => isTarget(r) && r.role === "driver").map((r) => r.weekday));
+      const keptTemplate = templateRows.filter(
+        (r) => !isTarget(r) && !(matchesGroup(r, groupId) && droveOn.has(r.weekday))
+      );
+      if (keptTemplate.length !== templateRows.length) await driver.write(TAB_WEEKLY_TEMPLATE, keptTemplate);
+
+      return true;
+    },
+
+    /**
+     * Point every payment, settlement rule, rate, day off and weekly template
+     * day of member `fromId` at `intoId`, add their opening balance to the
+     * keeper's and deactivate them. The keeper's own rates (and template trip
+     * types) win where both have one on the same date (or weekday).
+     * `sharedExpenses` replace the stored ones with the same expense_id, and
+     * entries are saved separately (see planMemberMerge).
+     */
+    async mergeMember(groupId, fromId, intoId, { sharedExpenses = [] } = {}) {
+      const swap = (id) => (id === fromId ? intoId : id);
+
+      const paymentRows = await driver.read(TAB_PAYMENTS);
+      let moved = false;
+      const payments = paymentRows.map((r) => {
+        if (!matchesGroup(r, groupId) || (r.from_member_id !== fromId && r.to_member_id !== fromId)) return r;
+        moved = true;
+        return { ...r, from_member_id: swap(r.from_member_id), to_member_id: swap(r.to_member_id) };
+      });
+      if (moved) await driver.write(TAB_PAYMENTS, payments);
+
+      if (sharedExpenses.length) {
+        const byId = new Map(sharedExpenses.map((x) => [x.expense_id, x]));
+        const expenseRows = await driver.read(TAB_SHARED_EXPENSES);
+        const expenses = expenseRows.map((r) => {
+          const x = matchesGroup(r, groupId) && byId.get(r.expense_id);
+          return x ? { ...r, payer_id: x.payer_id, member_ids: x.member_ids.join(","), weights: x.weights.join(",") } : r;
+        });
+        await driver.write(TAB_SHARED_EXPENSES, expenses);
+      }
+
+      // A rule between the two becomes meaningless, and one the keeper already has is dropped
+      const ruleRows = await driver.read(TAB_SETTLEMENT_RULES);
+      const names = (r) => matchesGroup(r, groupId) && (r.member_a === fromId || r.member_b === fromId);
+      if (ruleRows.some(names)) {
+        const pairKey = (r) => `${r.kind}|${[r.member_a, r.member_b].sort().join("|")}`;
+        const kept = ruleRows.filter((r) => !names(r));
+        const existing = new Set(kept.filter((r) => matchesGroup(r, groupId)).map(pairKey));
+        const moved = ruleRows
+          .filter(names)
+          .map((r) => ({ ...r, member_a: swap(r.member_a), member_b: swap(r.member_b) }))
+          .filter((r) => r.member_a !== r.member_b && !existing.has(pairKey(r)));
+        await driver.write(TAB_SETTLEMENT_RULES, [...kept, ...moved]);
+      }
+
+      const rateRows = await driver.read(TAB_MEMBER_RATES);
+      const keeperDates = new Set(
+        rateRows.filter((r) => r.member_id === intoId && matchesGroup(r, groupId)).map((r) => r.effective_from)
+      );
+      const rates = rateRows
+        .filter((r) => !(r.member_id === fromId && matchesGroup(r, groupId) && keeperDates.has(r.effective_from)))
+        .map((r) => (r.member_id === fromId && matchesGroup(r, groupId) ? { ...r, member_id: intoId } : r));
+      if (rateRows.some((r) => r.member_id === fromId && matchesGroup(r, groupId))) {
+        await driver.write(TAB_MEMBER_RATES, rates);
+      }
+
+      const daysOffRows = await driver.read(TAB_DAYS_OFF);
+      if (daysOffRows.some((r) => r.member_id === fromId && matchesGroup(r, groupId))) {
+        await driver.write(
+          TAB_DAYS_OFF,
+          daysOffRows.map((r) => (r.member_id === fromId && matchesGroup(r, groupId) ? { ...r, member_id: intoId } : r))
+        );
+      }
+
+      const templateRows = await driver.read(TAB_WEEKLY_TEMPLATE);
+      const ofMember = (id) => (r) => r.member_id === id && matchesGroup(r, groupId);
+      if (templateRows.some(ofMember(fromId))) {
+        const keeperRows = new Map(templateRows.filter(ofMember(intoId)).map((r) => [r.weekday, r]));
+        const template = [];
+        for (const r of templateRows) {
+          if (!ofMember(fromId)(r)) template.push(r);
+          else if (!keeperRows.has(r.weekday)) template.push({ ...r, member_id: intoId });
+          else if (r.role === "driver") keeperRows.get(r.weekday).role = "driver";
+        }
+        await driver.write(TAB_WEEKLY_TEMPLATE, template);
+      }
+
+      const memberRows = await driver.read(TAB_MEMBERS);
+      const from = memberRows.find((r) => r.member_id === fromId && matchesGroup(r, groupId));
+      const into = memberRows.find((r) => r.member_id === intoId && matchesGroup(r, groupId));
+      if (!from || !into) return;
+      const dupe = toMember(from);
+      const keeper = toMember(into);
+      // Undated totals and vehicle details only fill gaps in the keeper's
+      const merged = {
+        ...keeper,
+        phone: keeper.phone || dupe.phone,
+        one_way_total: keeper.one_way_total || keeper.two_way_total ? keeper.one_way_total : dupe.one_way_total,
+        two_way_total: keeper.one_way_total || keeper.two_way_total ? keeper.two_way_total : dupe.two_way_total,
+        opening_balance: Math.round((keeper.opening_balance + dupe.opening_balance) * 100) / 100,
+        vehicle_mpg: keeper.vehicle_mpg || dupe.vehicle_mpg,
+      };
+      const retired = { ...dupe, active: false, opening_balance: 0 };
+      await driver.write(
+        TAB_MEMBERS,
+        memberRows.map((r) =>
+          r === into ? { ...r, ...fromMember(merged, groupId) } : r === from ? { ...r, ...fromMember(retired, groupId) } : r
+        )
+      );
+    },
+
+    /** Set the opening balance of each member in `amounts` ({ member_id: amount }) in one write. */
+    async setOpeningBalances(groupId, amounts) {
+      const rows = await driver.read(TAB_MEMBERS);
+      const next = rows.map((r) =>
+        matchesGroup(r, groupId) && r.member_id in amounts
+          ? { ...r, opening_balance: amounts[r.member_id] ? String(amounts[r.member_id]) : "" }
+          : r
+      );
+      await driver.write(TAB_MEMBERS, next);
+    },
+
+    /** Insert or replace the rate a member charges from `rate.effective_from` on. */
+    async saveMemberRate(groupId, memberId, rate) {
+      const rows = await driver.read(TAB_MEMBER_RATES);
+      const record = {
+        member_id: memberId,
+        effective_from: rate.effective_from,
+        one_way_total: String(rate.one_way_total),
+        two_way_total: String(rate.two_way_total),
+        group_id: groupId,
+      };
+      const i = rows.findIndex(
+        (r) => r.member_id === memberId && r.effective_from === rate.effective_from && matchesGroup(r, groupId)
+      );
+      if (i >= 0) {
+        rows[i] = record;
+        await driver.write(TAB_MEMBER_RATES, rows);
+      } else {
+        await driver.append(TAB_MEMBER_RATES, [record]);
+      }
+      return toRate(record);
+    },
+
+    /** Returns false if the member had no rate starting on that date. */
+    async deleteMemberRate(groupId, memberId, effectiveFrom) {
+      const rows = await driver.read(TAB_MEMBER_RATES);
+      const kept = rows.filter(
+        (r) => !(r.member_id === memberId && r.effective_from === effectiveFrom && matchesGroup(r, groupId))
+      );
+      if (kept.length === rows.length) return false;
+      await driver.write(TAB_MEMBER_RATES, kept);
+      return true;
+    },
+
+    /**
+     * Entries (with their riders), optionally limited to one `month` (YYYY-MM),
+     * one `date` (YYYY-MM-DD) or an inclusive `from`/`to` date range.
+     * Sorted by date, then morning before evening leg.
+     */
+    async listEntries(groupId, { month, date, from, to } = {}) {
+      const entryRows = await driver.read(TAB_DAY_ENTRIES);
+      const riderRows = await driver.read(TAB_DAY_RIDERS);
+      const vehicleRows = await driver.read(TAB_ENTRY_VEHICLES);
+      const expenseRows = await driver.read(TAB_ENTRY_EXPENSES);
+
+      const entries = entryRows
+        .filter((r) => matchesGroup(r, groupId))
+        .filter((r) => !month || String(r.date).startsWith(month))
+        .filter((r) => !date || r.date === date)
+        .filter((r) => (!from || r.date >= from) && (!to || r.date <= to))
+        .map(toEntry);
+
+      const byId = new Map(entries.map((e) => [e.entry_id, e]));
+      for (const r of riderRows) {
+        if (!matchesGroup(r, groupId)) continue;
+        const e = byId.get(r.entry_id);
+        if (e) e.riders.push(toRider(r));
+      }
+      for (const r of vehicleRows) {
+        if (!matchesGroup(r, groupId)) continue;
+        const e = byId.get(r.entry_id);
+        if (e) e.vehicles.push(toVehicle(r));
+      }
+      for (const r of expenseRows) {
+        if (!matchesGroup(r, groupId)) continue;
+        const e = byId.get(r.entry_id);
+        if (e) e.expenses.push(toExpense(r));
+      }
+
+      entries.forEach(fillSingleCar);
+      entries.sort(compareEntries);
+      return entries;
+    },
+
+    async getEntry(groupId, entryId) {
+      const rows = await driver.read(TAB_DAY_ENTRIES);
+      const row = rows.find((r) => r.entry_id === entryId && matchesGroup(r, groupId));
+      return row ? toEntry(row) : null;
+    },
+
+    /**
+     * Insert or replace an entry by entry_id. Its `riders` and `vehicles` arrays
+     * replace whatever rows the entry had before.
+     */
+    async saveEntry(groupId, entry) {
+      const entryRecord = { ...entry, group_id: groupId };
+      const entryRows = await driver.read(TAB_DAY_ENTRIES);
+      const existingIdx = entryRows.findIndex(
+        (r) => r.entry_id === entry.entry_id && matchesGroup(r, groupId)
+      );
+      if (existingIdx >= 0) {
+        entryRows[existingIdx] = entryRecord;
+        await driver.write(TAB_DAY_ENTRIES, entryRows);
+      } else {
+        await driver.append(TAB_DAY_ENTRIES, [entryRecord]);
+      }
+
+      for (const [key, table] of Object.entries(ENTRY_CHILD_TABLES)) {
+        const rows = await driver.read(table);
+        const kept = rows.filter((r) => r.entry_id !== entry.entry_id || !matchesGroup(r, groupId));
+        const toRow = CHILD_ROW[key] || ((r) => r);
+        const added = (entry[key] || []).map((r) => ({ ...toRow(r), entry_id: entry.entry_id, group_id: groupId }));
+        if (kept.length !== rows.length || added.length) await driver.write(table, [...kept, ...added]);
+      }
+    },
+
+    /**
+     * Payments (voided ones included), optionally limited to one `month` (YYYY-MM)
+     * or to those dated on or before `to`. Oldest first.
+     */
+    async listPayments(groupId, { month, to } = {}) {
+      const rows = await driver.read(TAB_PAYMENTS);
+      return rows
+        .filter((r) => matchesGroup(r, groupId))
+        .filter((r) => !month || String(r.date).startsWith(month))
+        .filter((r) => !to || r.date <= to)
+        .map(toPayment)
+        .sort((a, b) => a.date.localeCompare(b.date) || String(a.created_at).localeCompare(String(b.created_at)));
+    },
+
+    async insertPayment(groupId, payment) {
+      await driver.append(TAB_PAYMENTS, [{ ...payment, group_id: groupId }]);
+      return payment;
+    },
+
+    /** Mark a payment void. Returns the payment, or null if not found. */
+    async voidPayment(groupId, paymentId, voidedAt) {
+      const rows = await driver.read(TAB_PAYMENTS);
+      const i = rows.findIndex((r) => r.payment_id === paymentId && matchesGroup(r, groupId));
+      if (i < 0) return null;
+
+      if (!rows[i].voided_at) {
+        rows[i] = { ...rows[i], voided_at: voidedAt };
+        await driver.write(TAB_PAYMENTS, rows);
+      }
+      return toPayment(rows[i]);
+    },
+
+    /**
+     * Shared expenses (voided ones included), optionally limited to one
+     * `month` (YYYY-MM) or to those dated on or before `to`. Oldest first.
+     */
+    async listSharedExpenses(groupId, { month, to } = {}) {
+      const rows = await driver.read(TAB_SHARED_EXPENSES);
+      return rows
+        .filter((r) => matchesGroup(r, groupId))
+        .filter((r) => !month || String(r.date).startsWith(month))
+        .filter((r) => !to || r.date <= to)
+        .map(toSharedExpense)
+        .sort((a, b) => a.date.localeCompare(b.date) || String(a.created_at).localeCompare(String(b.created_at)));
+    },
+
+    async insertSharedExpense(groupId, expense) {
+      await driver.append(TAB_SHARED_EXPENSES, [{
+        ...expense,
+        member_ids: expense.member_ids.join(","),
+        weights: expense.weights.join(","),
+        group_id: groupId,
+      }]);
+      return expense;
+    },
+
+    /** Mark a shared expense void. Returns the expense, or null if not found. */
+    async voidSharedExpense(groupId, expenseId, voidedAt) {
+      const rows = await driver.read(TAB_SHARED_EXPENSES);
+      const i = rows.findIndex((r) => r.expense_id === expenseId && matchesGroup(r, groupId));
+      if (i < 0) return null;
+
+      if (!rows[i].voided_at) {
+        rows[i] = { ...rows[i], voided_at: voidedAt };
+        await driver.write(TAB_SHARED_EXPENSES, rows);
+      }
+      return toSharedExpense(rows[i]);
+    },
+
+    /** The group's settings, with defaults for anything never set. */
+    async getSettings(groupId) {
+      const rows = await driver.read(TAB_SETTINGS);
+      return toSettings(rows.find((r) => matchesGroup(r, groupId)));
+    },
+
+    /** Merge `patch` into the group's settings. Returns the full settings. */
+    async saveSettings(groupId, patch) {
+      const rows = await driver.read(TAB_SETTINGS);
+      const i = rows.findIndex((r) => matchesGroup(r, groupId));
+      const record = { ...(i >= 0 ? rows[i] : {}), ...patch, group_id: groupId };
+      if (patch.weekdays) record.weekdays = patch.weekdays.join(",");
+      if (i >= 0) {
+        rows[i] = record;
+        await driver.write(TAB_SETTINGS, rows);
+      } else {
+        await driver.append(TAB_SETTINGS, [record]);
+      }
+      return toSettings(record);
+    },
+
+    /** The group's own holidays (not its calendar's), by date. */
+    async listGroupHolidays(groupId, { month } = {}) {
+      const rows = await driver.read(TAB_GROUP_HOLIDAYS);
+      return rows
+        .filter((r) => matchesGroup(r, groupId))
+        .filter((r) => !month || String(r.date).startsWith(month))
+        .map((r) => ({ date: r.date, name: r.name, source: r.source || "custom", created_at: r.created_at }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    /** Add holidays, replacing any the group already has on the same dates. */
+    async saveGroupHolidays(groupId, holidays) {
+      if (!holidays.length) return holidays;
+      const rows = await driver.read(TAB_GROUP_HOLIDAYS);
+      const dates = new Set(holidays.map((h) => h.date));
+      const kept = rows.filter((r) => !(dates.has(r.date) && matchesGroup(r, groupId)));
+      const added = holidays.map((h) => ({ ...h, group_id: groupId }));
+      if (kept.length === rows.length) await driver.append(TAB_GROUP_HOLIDAYS, added);
+      else await driver.write(TAB_GROUP_HOLIDAYS, [...kept, ...added]);
+      return holidays;
+    },
+
+    /** Remove the group's holiday on `date`. Returns false if there wasn't one. */
+    async deleteGroupHoliday(groupId, date) {
+      const rows = await driver.read(TAB_GROUP_HOLIDAYS);
+      const kept = rows.filter((r) => !(r.date === date && matchesGroup(r, groupId)));
+      if (kept.length === rows.length) return false;
+      await driver.write(TAB_GROUP_HOLIDAYS, kept);
+      return true;
+    },
+
+    /**
+     * Members' days off, optionally only one member's and only those touching
+     * `from`..`to` (YYYY-MM-DD, inclusive). Earliest first.
+     */
+    async listDaysOff(groupId, { memberId, from, to } = {}) {
+      const rows = await driver.read(TAB_DAYS_OFF);
+      return rows
+        .filter((r) => matchesGroup(r, groupId))
+        .filter((r) => !memberId || r.member_id === memberId)
+        .filter((r) => (!from || r.to >= from) && (!to || r.from <= to))
+        .map(toDaysOff)
+        .sort((a, b) => a.from.localeCompare(b.from) || a.member_id.localeCompare(b.member_id));
+    },
+
+    /** Add days off, skipping any the member already has for the same dates. Returns those added. */
+    async insertDaysOff(groupId, list) {
+      const rows = await driver.read(TAB_DAYS_OFF);
+      const key = (r) => `${r.member_id}|${r.from}|${r.to}`;
+      const existing = new Set(rows.filter((r) => matchesGroup(r, groupId)).map(key));
+      const added = list.filter((d) => !existing.has(key(d)) && existing.add(key(d)));
+      if (added.length) await driver.append(TAB_DAYS_OFF, added.map((d) => ({ ...d, group_id: groupId })));
+      return added;
+    },
+
+    /** Remove one stretch of days off. Returns false if it didn't exist. */
+    async deleteDaysOff(groupId, daysOffId) {
+      const rows = await driver.read(TAB_DAYS_OFF);
+      const kept = rows.filter((r) => !(r.days_off_id === daysOffId && matchesGroup(r, groupId)));
+      if (kept.length === rows.length) return false;
+      await driver.write(TAB_DAYS_OFF, kept);
+      return true;
+    },
+
+    /**
+     * The group's weekly template as `[{ weekday, driver_id, riders }]`, one
+     * item per weekday that has one, Sunday (0) first. `riders` are
+     * `{ member_id, trip_type }` and include the driver.
+     */
+    async getWeeklyTemplate(groupId) {
+      const rows = (await driver.read(TAB_WEEKLY_TEMPLATE)).filter((r) => matchesGroup(r, groupId));
+      const days = new Map();
+      for (const r of rows) {
+        const weekday = Number(r.weekday);
+        if (!days.has(weekday)) days.set(weekday, { weekday, driver_id: "", riders: [] });
+        const day = days.get(weekday);
+        if (r.role === "driver") day.driver_id = r.member_id;
+        day.riders.push({ member_id: r.member_id, trip_type: r.trip_type });
+      }
+      return [...days.values()].sort((a, b) => a.weekday - b.weekday);
+    },
+
+    /** Replace the group's weekly template (see getWeeklyTemplate). */
+    async saveWeeklyTemplate(groupId, days) {
+      const rows = await driver.read(TAB_WEEKLY_TEMPLATE);
+      const kept = rows.filter((r) => !matchesGroup(r, groupId));
+      const added = days.flatMap((day) =>
+        day.riders.map((r) => ({
+          group_id: groupId,
+          weekday: String(day.weekday),
+          member_id: r.member_id,
+          role: r.member_id === day.driver_id ? "driver" : "rider",
+          trip_type: r.trip_type,
+        }))
+      );
+      await driver.write(TAB_WEEKLY_TEMPLATE, [...kept, ...added]);
+    },
+
+    /** The group's settlement rules as `{ prefer: [[a, b]], avoid: [[a, b]], min_amount }`. */
+    async getSettlementRules(groupId) {
+      const rows = (await driver.read(TAB_SETTLEMENT_RULES)).filter((r) => matchesGroup(r, groupId));
+      const pairs = (kind) => rows.filter((r) => r.kind === kind).map((r) => [r.member_a, r.member_b]);
+      const min = rows.find((r) => r.kind === "min_amount");
+      return { prefer: pairs("prefer"), avoid: pairs("avoid"), min_amount: Number(min?.amount || 0) };
+    },
+
+    /** Replace the group's settlement rules. */
+    async saveSettlementRules(groupId, { prefer = [], avoid = [], min_amount = 0 }) {
+      const rows = await driver.read(TAB_SETTLEMENT_RULES);
+      const kept = rows.filter((r) => !matchesGroup(r, groupId));
+      const pair = (kind) => ([member_a, member_b]) => ({ kind, member_a, member_b, amount: "", group_id: groupId });
+      const added = [...prefer.map(pair("prefer")), ...avoid.map(pair("avoid"))];
+      if (min_amount) {
+        added.push({ kind: "min_amount", member_a: "", member_b: "", amount: String(min_amount), group_id: groupId });
+      }
+      await driver.write(TAB_SETTLEMENT_RULES, [...kept, ...added]);
+    },
+
+    /** Remove an entry and everything attached to it. Returns false if the entry didn't exist. */
+    async deleteEntry(groupId, entryId) {
+      const isTarget = (r) => r.entry_id === entryId && matchesGroup(r, groupId);
+
+      const entryRows = await driver.read(TAB_DAY_ENTRIES);
+      const keptEntries = entryRows.filter((r) => !isTarget(r));
+      const found = keptEntries.length !== entryRows.length;
+      if (found) await driver.write(TAB_DAY_ENTRIES, keptEntries);
+
+      for (const table of Object.values(ENTRY_CHILD_TABLES)) {
+        const rows = await driver.read(table);
+        const kept = rows.filter((r) => !isTarget(r));
+        if (kept.length !== rows.length) await driver.write(table, kept);
+      }
+
+      return found;
+    },
+  };
+
+  const tails = new Map();
+  for (const [name, tables] of Object.entries(MUTATIONS)) {
+    const mutate = store[name];
+    store[name] = (...args) => exclusive(tails, tables, () => mutate(...args));
+  }
+  return store;
+}
+
+/**
+ * Build the ledger store for this process.
+ * STORAGE_DRIVER picks the backend: "sheets" (Google Sheets) or "json" (a local
+ * file at STORAGE_FILE). Without it, Sheets is used when GOOGLE_SHEET_ID is set.
+ */
+export function createStorage(env = process.env) {
+  const driverName = String(env.STORAGE_DRIVER || (env.GOOGLE_SHEET_ID ? "sheets" : "json"))
+    .trim()
+    .toLowerCase();
+
+  if (driverName === "sheets") {
+    return createLedgerStore(
+      createSheetsDriver({
+        sheetId: env.GOOGLE_SHEET_ID,
+        serviceAccountEmail: env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+        privateKey: env.GOOGLE_PRIVATE_KEY,
+      })
+    );
+  }
+
+  if (driverName === "json") {
+    return createLedgerStore(createJsonDriver({ file: env.STORAGE_FILE || "data/ledger.json" }));
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}" (expected "sheets" or "json")`);
+}
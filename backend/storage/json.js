@@ -0,0 +1,62 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { TABLES } from "./schema.js";
+
+/**
+ * Table driver backed by a single JSON file on disk.
+ * Useful for self-hosting without Google and for running the API offline.
+ * Values are stored as strings, matching what the Sheets driver returns.
+ */
+export function createJsonDriver({ file }) {
+  const filePath = path.resolve(file);
+  let data = null;
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      data = {};
+    }
+    return data;
+  }
+
+  function normalize(table, record) {
+    const out = {};
+    for (const col of TABLES[table]) out[col] = String(record[col] ?? "");
+    return out;
+  }
+
+  // Write to a temp file and rename so a crash mid-write never truncates the ledger.
+  function persist() {
+    writeQueue = writeQueue.catch(() => undefined).then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+      await fs.rename(tmp, filePath);
+    });
+    return writeQueue;
+  }
+
+  return {
+    async read(table) {
+      const db = await load();
+      return (db[table] || []).map((r) => normalize(table, r));
+    },
+
+    async append(table, records) {
+      if (!records.length) return;
+      const db = await load();
+      db[table] = [...(db[table] || []), ...records.map((r) => normalize(table, r))];
+      await persist();
+    },
+
+    async write(table, records) {
+      const db = await load();
+      db[table] = records.map((r) => normalize(table, r));
+      await persist();
+    },
+  };
+}
@@ -0,0 +1,193 @@
+// Column layout for every table. The Sheets driver uses these lists as the
+// header row of each tab (appending any missing columns in place); the JSON
+// driver uses them to normalize records so both backends hand the same shape
+// back to the ledger store.
+
+export const TAB_MEMBERS = "members";
+export const TAB_DAY_ENTRIES = "day_entries";
+export const TAB_DAY_RIDERS = "day_riders";
+export const TAB_GROUPS = "groups";
+export const TAB_ENTRY_VEHICLES = "entry_vehicles";
+export const TAB_MEMBER_RATES = "member_rates";
+export const TAB_PAYMENTS = "payments";
+export const TAB_SETTLEMENT_RULES = "settlement_rules";
+export const TAB_SETTINGS = "settings";
+export const TAB_ENTRY_EXPENSES = "entry_expenses";
+export const TAB_SHARED_EXPENSES = "shared_expenses";
+export const TAB_GROUP_HOLIDAYS = "group_holidays";
+export const TAB_DAYS_OFF = "days_off";
+export const TAB_WEEKLY_TEMPLATE = "weekly_template";
+
+export const TABLES = {
+  [TAB_GROUPS]: [
+    "group_id",
+    "name",
+    "join_salt",
+    "join_hash",
+    "owner_member_id",
+    "created_at",
+  ],
+  [TAB_MEMBERS]: [
+    "member_id",
+    "name",
+    "phone",
+    "active",
+    "one_way_total",
+    "two_way_total",
+    "group_id",
+    // Balance carried over from before the group used this app
+    "opening_balance",
+    // Miles per gallon (or per kWh) of the member's car, for distance pricing
+    "vehicle_mpg",
+  ],
+  [TAB_DAY_ENTRIES]: [
+    "entry_id",
+    "date",
+    "driver_id",
+    "day_type",
+    "day_total_used",
+    "total_amount",
+    "notes",
+    "created_at",
+    "group_id",
+    "leg",
+    // How each car's total was split (shared/pricing.js); blank means "weighted"
+    "split_strategy",
+    // "true" for a ride filled in from the weekly template and not yet
+    // confirmed; it doesn't count toward balances until it is
+    "planned",
+  ],
+  [TAB_DAY_RIDERS]: [
+    "entry_id",
+    "member_id",
+    "trip_type",
+    "units",
+    "charge",
+    "group_id",
+    // The car this rider was in; blank on rows saved before rides could have several cars
+    "driver_id",
+    // Part of charge that is this rider's share of the ride's expenses
+    "expense_share",
+    // Guests aren't members: member_id is "guest_<n>" within the entry, and
+    // their charge is billed to sponsor_id, or was paid in cash to the driver when blank
+    "guest_name",
+    "sponsor_id",
+  ],
+  // Tolls, parking and the like paid by one member during a ride. split is
+  // "all", "units" or "riders" (then member_ids is a comma-separated list).
+  [TAB_ENTRY_EXPENSES]: [
+    "entry_id",
+    "category",
+    "amount",
+    "payer_id",
+    "split",
+    "member_ids",
+    "group_id",
+  ],
+  // One row per car on a ride, each with its own driver, rate and riders
+  [TAB_ENTRY_VEHICLES]: [
+    "entry_id",
+    "driver_id",
+    "day_type",
+    "day_total_used",
+    "total_amount",
+    "group_id",
+    // What a distance-priced car's total was worked out from; blank for flat pricing
+    "miles",
+    "mpg",
+    "fuel_price",
+    "wear_per_mile",
+  ],
+  // Dated driver rates. The totals on the member row apply before the first of these.
+  [TAB_MEMBER_RATES]: [
+    "member_id",
+    "effective_from",
+    "one_way_total",
+    "two_way_total",
+    "group_id",
+  ],
+  // Money actually sent between members. Voided payments keep their row with voided_at set.
+  [TAB_PAYMENTS]: [
+    "payment_id",
+    "date",
+    "from_member_id",
+    "to_member_id",
+    "amount",
+    "method",
+    "note",
+    "created_at",
+    "voided_at",
+    "group_id",
+  ],
+  // Costs of the whole carpool (a parking pass, a car wash) paid by one member.
+  // member_ids and weights are comma-separated in the same order; blank
+  // weights means an equal split. Voided ones keep their row with voided_at set.
+  [TAB_SHARED_EXPENSES]: [
+    "expense_id",
+    "date",
+    "payer_id",
+    "amount",
+    "description",
+    "member_ids",
+    "weights",
+    "created_at",
+    "voided_at",
+    "group_id",
+  ],
+  // One row per rule: kind "prefer" or "avoid" with a member pair, or
+  // "min_amount" with an amount
+  [TAB_SETTLEMENT_RULES]: [
+    "kind",
+    "member_a",
+    "member_b",
+    "amount",
+    "group_id",
+  ],
+  // One row per group; one column per setting
+  [TAB_SETTINGS]: [
+    "group_id",
+    "split_strategy",
+    // Distance pricing: one-way route miles, price per gallon (or kWh), wear per mile
+    "pricing_mode",
+    "route_miles",
+    "fuel_price",
+    "wear_per_mile",
+    // Display and calendar: ISO currency code, BCP 47 locale, IANA time zone,
+    // riding weekdays as comma-separated Date#getDay numbers (0 = Sunday)
+    "currency",
+    "locale",
+    "timezone",
+    "weekdays",
+    "holiday_calendar",
+    "default_trip_type",
+  ],
+  // A group's own holidays on top of its holiday calendar, one row per date;
+  // source "custom" for days added by hand, "ics" for imported ones
+  [TAB_GROUP_HOLIDAYS]: [
+    "group_id",
+    "date",
+    "name",
+    "source",
+    "created_at",
+  ],
+  // One member's days away from the carpool, `from` to `to` inclusive
+  [TAB_DAYS_OFF]: [
+    "days_off_id",
+    "member_id",
+    "from",
+    "to",
+    "name",
+    "source",
+    "created_at",
+    "group_id",
+  ],
+  // The group's usual week: one row per member per weekday, role "driver"
+  // for the one who drives (who also rides) or "rider"
+  [TAB_WEEKLY_TEMPLATE]: [
+    "group_id",
+    "weekday",
+    "member_id",
+    "role",
+    "trip_type",
+  ],
+};
@@ -0,0 +1,148 @@
+import { google } from "googleapis";
+import { TABLES } from "./schema.js";
+
+function colLabel(n) {
+  let label = "";
+  let value = n;
+  while (value > 0) {
+    value -= 1;
+    label = String.fromCharCode(65 + (value % 26)) + label;
+    value = Math.floor(value / 26);
+  }
+  return label;
+}
+
+/**
+ * Table driver backed by one Google Sheet, one tab per table.
+ * Row 1 of each tab is the header; records are mapped to and from it by name.
+ */
+export function createSheetsDriver({ sheetId, serviceAccountEmail, privateKey }) {
+  if (!sheetId || !serviceAccountEmail || !privateKey) {
+    throw new Error(
+      "Missing env vars: GOOGLE_SHEET_ID / GOOGLE_SERVICE_ACCOUNT_EMAIL / GOOGLE_PRIVATE_KEY"
+    );
+  }
+
+  const auth = new google.auth.JWT({
+    email: serviceAccountEmail,
+    key: privateKey.replace(/\\n/g, "\n"),
+    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+  });
+
+  const sheets = google.sheets({ version: "v4", auth });
+
+  async function getValues(range) {
+    const resp = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range,
+    });
+    return resp.data.values || [];
+  }
+
+  async function setValues(range, values) {
+    console.log("setValues called:", range, "rows:", values.length);
+    const resp = await sheets.spreadsheets.values.update({
+      spreadsheetId: sheetId,
+      range,
+      valueInputOption: "USER_ENTERED",
+      requestBody: { values },
+    });
+    console.log("setValues response updatedCells:", resp.data?.updatedCells);
+    return resp.data;
+  }
+
+  async function appendValues(range, values) {
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: sheetId,
+      range,
+      valueInputOption: "USER_ENTERED",
+      requestBody: { values },
+    });
+  }
+
+  async function clearValues(range) {
+    await sheets.spreadsheets.values.clear({
+      spreadsheetId: sheetId,
+      range,
+    });
+  }
+
+  async function loadSheetEnsuringColumns(tabName, requiredCols) {
+    const rows = await getValues(`${tabName}!A:Z`);
+    if (!rows.length) {
+      const header = [...requiredCols];
+      await setValues(`${tabName}!A1:${colLabel(header.length)}1`, [header]);
+      return { rows: [header], idx: header.reduce((a, h, i) => ((a[h] = i), a), {}) };
+    }
+
+    const header = rows[0];
+    const idx = {};
+    header.forEach((h, i) => (idx[h] = i));
+
+    let headerChanged = false;
+    const ensureCol = (col) => {
+      if (idx[col] == null) {
+        header.push(col);
+        idx[col] = header.length - 1;
+        headerChanged = true;
+      }
+    };
+
+    for (const col of requiredCols) ensureCol(col);
+
+    // Most reads already have the expected schema. Reuse that response instead
+    // of immediately issuing the same Google Sheets read a second time.
+    if (!headerChanged) return { rows, idx };
+
+    // If migration is needed, write the complete header once, then re-read so
+    // callers receive the normalized sheet shape.
+    await setValues(`${tabName}!A1:${colLabel(header.length)}1`, [header]);
+
+    const rows2 = await getValues(`${tabName}!A:Z`);
+    const header2 = rows2[0] || header;
+    const idx2 = {};
+    header2.forEach((h, i) => (idx2[h] = i));
+    return { rows: rows2, idx: idx2 };
+  }
+
+  function toRecord(row, header) {
+    const record = {};
+    header.forEach((h, i) => {
+      if (h) record[h] = String(row[i] ?? "");
+    });
+    return record;
+  }
+
+  function toRow(record, header) {
+    return header.map((h) => {
+      const value = String(record[h] ?? "");
+      // Prefix with ' so USER_ENTERED doesn't read "+1555..." or "=..." as a formula.
+      return /^[+=]/.test(value) ? `'${value}` : value;
+    });
+  }
+
+  return {
+    async read(table) {
+      const { rows } = await loadSheetEnsuringColumns(table, TABLES[table]);
+      const header = rows[0];
+      return rows.slice(1).filter((r) => r && r.length).map((r) => toRecord(r, header));
+    },
+
+    async append(table, records) {
+      if (!records.length) return;
+      const { rows } = await loadSheetEnsuringColumns(table, TABLES[table]);
+      const header = rows[0];
+      await appendValues(`${table}!A:Z`, records.map((r) => toRow(r, header)));
+    },
+
+    async write(table, records) {
+      const { rows } = await loadSheetEnsuringColumns(table, TABLES[table]);
+      const header = rows[0];
+      // Overwrite in place, then clear only the rows a shorter table leaves
+      // behind, so a failed request never leaves the tab emptied.
+      const values = [header, ...records.map((r) => toRow(r, header))];
+      await setValues(`${table}!A1:${colLabel(header.length)}${values.length}`, values);
+      if (rows.length > values.length) await clearValues(`${table}!A${values.length + 1}:Z${rows.length}`);
+    },
+  };
+}
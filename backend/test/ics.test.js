@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { icsOccurrences } from "../ics.js";
+
+const calendar = (...events) =>
+  ["BEGIN:VCALENDAR", ...events.flatMap((e) => ["BEGIN:VEVENT", ...e, "END:VEVENT"]), "END:VCALENDAR"].join("\r\n");
+
+const days = (result) => result.map((o) => (o.from === o.to ? o.from : `${o.from}..${o.to}`));
+
+test("TZID times are moved onto the group's clock", () => {
+  // 11:30pm on Mondays in New York is early Tuesday in London
+  const ics = calendar([
+    "UID:late",
+    "SUMMARY:Late shift",
+    "DTSTART;TZID=America/New_York:20260302T233000",
+    "DTEND;TZID=America/New_York:20260303T003000",
+    "RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=3",
+    "EXDATE;TZID=America/New_York:20260309T233000",
+  ]);
+  const range = { from: "2026-03-01", to: "2026-03-31" };
+  assert.deepEqual(days(icsOccurrences(ics, { ...range, timeZone: "America/New_York" })), ["2026-03-02..2026-03-03", "2026-03-16..2026-03-17"]);
+  assert.deepEqual(days(icsOccurrences(ics, { ...range, timeZone: "Europe/London" })), ["2026-03-03", "2026-03-17"]);
+});
+
+test("floating times and TZIDs that aren't IANA zones are taken as written", () => {
+  const ics = calendar(
+    ["UID:a", "SUMMARY:Floating", "DTSTART:20260302T233000"],
+    ["UID:b", "SUMMARY:Outlook", 'DTSTART;TZID="Eastern Standard Time":20260303T233000']
+  );
+  assert.deepEqual(days(icsOccurrences(ics, { timeZone: "Asia/Kolkata", from: "2026-03-01", to: "2026-03-31" })), ["2026-03-02", "2026-03-03"]);
+});
+
+test("yearly BYDAY without BYMONTH counts across the whole year", () => {
+  const ics = calendar(["UID:y", "SUMMARY:20th Monday", "DTSTART;VALUE=DATE:20250519", "RRULE:FREQ=YEARLY;BYDAY=20MO"]);
+  assert.deepEqual(days(icsOccurrences(ics, { timeZone: "UTC", from: "2026-01-01", to: "2027-12-31" })), ["2026-05-18", "2027-05-17"]);
+});
+
+test("yearly BYMONTHDAY without BYMONTH repeats every month", () => {
+  const ics = calendar(["UID:y", "SUMMARY:Payday", "DTSTART;VALUE=DATE:20260115", "RRULE:FREQ=YEARLY;BYMONTHDAY=15"]);
+  assert.equal(icsOccurrences(ics, { timeZone: "UTC", from: "2026-01-01", to: "2026-12-31" }).length, 12);
+});
+
+test("rules started long before the window still reach it", () => {
+  const ics = calendar(["UID:d", "SUMMARY:Every third day", "DTSTART;VALUE=DATE:20050103", "RRULE:FREQ=DAILY;INTERVAL=3"]);
+  assert.deepEqual(days(icsOccurrences(ics, { timeZone: "UTC", from: "2026-01-01", to: "2026-01-07" })), ["2026-01-01", "2026-01-04", "2026-01-07"]);
+});
+
+test("rule parts that can't be expanded are named in the error", () => {
+  const event = (rule) => calendar(["UID:x", "SUMMARY:Odd", "DTSTART;VALUE=DATE:20260105", `RRULE:${rule}`]);
+  const range = { timeZone: "UTC", from: "2026-01-01", to: "2026-12-31" };
+  assert.match(icsOccurrences(event("FREQ=YEARLY;BYWEEKNO=20;BYYEARDAY=1"), range).error, /“Odd” repeats by BYWEEKNO, BYYEARDAY/);
+  assert.match(icsOccurrences(event("FREQ=HOURLY;INTERVAL=24"), range).error, /FREQ=HOURLY/);
+});
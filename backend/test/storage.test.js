@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createJsonDriver } from "../storage/json.js";
+import { createLedgerStore } from "../storage/index.js";
+import { TAB_DAY_ENTRIES, TAB_MEMBERS, TAB_PAYMENTS } from "../storage/schema.js";
+
+async function tempFile() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ledger-test-"));
+  return path.join(dir, "ledger.json");
+}
+
+// The JSON driver with a random delay before each call, so concurrent
+// read-modify-write cycles interleave the way they do against Google Sheets
+function slowDriver(driver) {
+  const pause = () => new Promise((resolve) => setTimeout(resolve, Math.random() * 10));
+  return {
+    read: async (table) => (await pause(), driver.read(table)),
+    append: async (table, records) => (await pause(), driver.append(table, records)),
+    write: async (table, records) => (await pause(), driver.write(table, records)),
+  };
+}
+
+test("JSON driver stores records as strings of the table's columns", async () => {
+  const file = await tempFile();
+  const driver = createJsonDriver({ file });
+  await driver.append(TAB_PAYMENTS, [{ payment_id: "p1", amount: 12.5, nickname: "not a column", group_id: "g" }]);
+
+  const [row] = await driver.read(TAB_PAYMENTS);
+  assert.equal(row.amount, "12.5");
+  assert.equal(row.voided_at, "");
+  assert.equal("nickname" in row, false);
+
+  // A new driver on the same file sees what the first one wrote
+  const [reread] = await createJsonDriver({ file }).read(TAB_PAYMENTS);
+  assert.deepEqual(reread, row);
+});
+
+test("JSON driver write replaces the whole table", async () => {
+  const driver = createJsonDriver({ file: await tempFile() });
+  await driver.append(TAB_MEMBERS, [{ member_id: "a" }, { member_id: "b" }]);
+  await driver.write(TAB_MEMBERS, [{ member_id: "c" }]);
+  assert.deepEqual((await driver.read(TAB_MEMBERS)).map((r) => r.member_id), ["c"]);
+  assert.deepEqual(await driver.read(TAB_PAYMENTS), []);
+});
+
+test("store round-trips members and scopes them to their group", async () => {
+  const store = createLedgerStore(createJsonDriver({ file: await tempFile() }));
+  await store.insertMember("Demo", { member_id: "a", name: "Ann", phone: "+15550001", active: true, one_way_total: 10 });
+  await store.insertMember("other", { member_id: "b", name: "Bob", phone: "", active: true });
+
+  const [ann, ...rest] = await store.listMembers("demo");
+  assert.equal(rest.length, 0);
+  assert.equal(ann.phone, "+15550001");
+  assert.equal(ann.active, true);
+  assert.equal(ann.one_way_total, 10);
+  assert.equal(ann.two_way_total, 0);
+
+  assert.equal(await store.updateMember("demo", "b", { name: "Nope" }), null);
+  assert.equal((await store.updateMember("demo", "a", { active: false })).active, false);
+  assert.equal((await store.listMembers("demo"))[0].active, false);
+});
+
+test("store serializes concurrent mutations of the same table", async () => {
+  const store = createLedgerStore(slowDriver(createJsonDriver({ file: await tempFile() })));
+  const ids = ["a", "b", "c", "d", "e", "f", "g", "h"];
+  for (const id of ids) await store.insertMember("g", { member_id: id, name: id, active: true });
+
+  await Promise.all([
+    ...ids.map((id) => store.updateMember("g", id, { phone: `+1555${id}` })),
+    ...ids.map((id) => store.saveMemberRate("g", id, { effective_from: "2026-01-01", one_way_total: 5, two_way_total: 9 })),
+  ]);
+
+  const members = await store.listMembers("g");
+  assert.deepEqual(members.map((m) => m.phone), ids.map((id) => `+1555${id}`));
+  assert.ok(members.every((m) => m.rates.length === 1));
+});
+
+test("a failed mutation doesn't hold up the next one on the same table", async () => {
+  const driver = createJsonDriver({ file: await tempFile() });
+  let failNext = false;
+  const store = createLedgerStore({
+    ...driver,
+    write: async (table, records) => {
+      if (failNext) {
+        failNext = false;
+        throw new Error("quota");
+      }
+      return driver.write(table, records);
+    },
+  });
+  await store.insertMember("g", { member_id: "a", name: "Ann", active: true });
+
+  failNext = true;
+  const failed = store.updateMember("g", "a", { phone: "+1" });
+  const next = store.updateMember("g", "a", { phone: "+2" });
+  await assert.rejects(failed, /quota/);
+  await next;
+  assert.equal((await store.listMembers("g"))[0].phone, "+2");
+});
+
+test("planned entries stay planned however the sheet spells the flag", async () => {
+  const driver = createJsonDriver({ file: await tempFile() });
+  const store = createLedgerStore(driver);
+  await store.saveEntry("g", { entry_id: "e1", date: "2026-11-02", driver_id: "a", planned: true, riders: [] });
+  // Google Sheets reads "true" back as the boolean TRUE
+  await driver.append(TAB_DAY_ENTRIES, [
+    { entry_id: "e2", date: "2026-11-03", driver_id: "a", planned: "TRUE", group_id: "g" },
+    { entry_id: "e3", date: "2026-11-04", driver_id: "a", planned: "FALSE", group_id: "g" },
+    { entry_id: "e4", date: "2026-11-05", driver_id: "a", planned: "", group_id: "g" },
+  ]);
+
+  const entries = await store.listEntries("g", { month: "2026-11" });
+  assert.deepEqual(entries.map((e) => [e.entry_id, e.planned]), [["e1", true], ["e2", true], ["e3", false], ["e4", false]]);
+});
+
+test("groups with members but no group record are listed as unregistered", async () => {
+  const store = createLedgerStore(createJsonDriver({ file: await tempFile() }));
+  await store.insertGroup({ group_id: "Registered", join_salt: "s", join_hash: "h" });
+  await store.insertMember("registered", { member_id: "a", name: "Ann", active: true });
+  await store.insertMember("Old-Crew", { member_id: "b", name: "Bob", active: true });
+  await store.insertMember("old-crew", { member_id: "c", name: "Cat", active: true });
+
+  assert.deepEqual(await store.listUnregisteredGroups(), ["Old-Crew"]);
+});
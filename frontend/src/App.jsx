@@ -1,30 +1,114 @@
-import React, { useEffect, useMemo, useState, useCallback, useRef } from "react";
+import React, { Fragment, useEffect, useMemo, useState, useCallback, useRef } from "react";
 import "./App.css";
 import {
+  login,
+  createGroup,
   groupCheck,
   getMembers,
   getEntries,
   getHolidays,
+  getCustomHolidays,
+  addCustomHoliday,
+  deleteCustomHoliday,
+  importIcs,
+  getDaysOff,
+  addDaysOff,
+  deleteDaysOff,
+  getTemplate,
+  saveTemplate,
+  fillMonthFromTemplate,
   saveEntry,
   deleteEntry,
+  repriceEntries,
+  getPayments,
+  createPayment,
+  voidPayment,
+  getSharedExpenses,
+  createSharedExpense,
+  voidSharedExpense,
+  getSettlements,
+  setOpeningBalances,
+  saveSettlementRules,
+  updateMember,
+  deleteMember,
+  getMemberDeparture,
+  mergeMember,
   updateMemberRates,
+  deleteMemberRate,
   createMember,
+  getSettings,
+  saveSettings,
 } from "./api";
+import {
+  DEFAULT_PRICING_MODE,
+  DEFAULT_SPLIT_STRATEGY,
+  EXPENSE_CATEGORIES,
+  EXPENSE_SPLITS,
+  PRICING_MODES,
+  SPLIT_STRATEGIES,
+  addExpenseShares,
+  carDayTotal,
+  carDayType,
+  rateOn,
+  round2,
+  splitCar,
+} from "../../shared/pricing.js";
+import { todayIn } from "../../shared/dates.js";
+import {
+  DEFAULT_CURRENCY,
+  DEFAULT_HOLIDAY_CALENDAR,
+  DEFAULT_LOCALE,
+  DEFAULT_TRIP_TYPE,
+  DEFAULT_WEEKDAYS,
+  HOLIDAY_CALENDARS,
+  TRIP_TYPES,
+  WEEKDAYS,
+  formatMoney,
+  isCurrencyCode,
+  isLocale,
+} from "../../shared/settings.js";
 
 // ---------- date helpers ----------
 const pad2 = (n) => String(n).padStart(2, "0");
 const fmtMonthApi = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}`;
-const fmtMonthDisplay = (d) => {
-  const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-  return `${months[d.getMonth()]}'${String(d.getFullYear()).slice(-2)}`;
-};
+const fmtMonthDisplay = (d, locale) =>
+  `${d.toLocaleDateString(locale, { month: "short" })}'${String(d.getFullYear()).slice(-2)}`;
+// Short name of a Date#getDay number (0 = Sunday); 7 Jan 2024 was a Sunday
+const weekdayLabel = (day, locale) => new Date(2024, 0, 7 + day).toLocaleDateString(locale, { weekday: "short" });
+// IANA zones for the settings picker, where the browser can list them
+const TIME_ZONES = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
 const fmtDate = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
-const round2 = (x) => Math.round(Number(x) * 100) / 100;
 const shiftMonthKey = (monthKey, offset) => {
   const [year, month] = monthKey.split("-").map(Number);
   return fmtMonthApi(new Date(year, month - 1 + offset, 1));
 };
 
+// ---------- ride legs ----------
+// "" is a whole-day ride; "am"/"pm" are separate morning and evening legs.
+const LEG_OPTIONS = [
+  { value: "", label: "Whole day" },
+  { value: "am", label: "Morning" },
+  { value: "pm", label: "Evening" },
+];
+const LEG_ORDER = { "": 0, am: 1, pm: 2 };
+const compareRides = (a, b) =>
+  a.date.localeCompare(b.date) ||
+  (LEG_ORDER[a.leg || ""] ?? 0) - (LEG_ORDER[b.leg || ""] ?? 0) ||
+  String(a.created_at || "").localeCompare(String(b.created_at || ""));
+const nextFreeLeg = (dayRides) => {
+  if (!dayRides.length) return "";
+  const used = new Set(dayRides.map((r) => r.leg || ""));
+  if (!used.has("am")) return "am";
+  if (!used.has("pm")) return "pm";
+  return "";
+};
+
+// Strategies that need a number per rider, and where a saved rider keeps it
+const SHARE_INPUTS = {
+  custom_weights: { label: "Weight", fromRider: (r) => r.units },
+  fixed_fee: { label: "Fee", fromRider: (r) => round2(r.charge - (r.expense_share || 0)) },
+};
+
 function BrandMark({ compact = false, theme = "dark" }) {
   const brandIcon = theme === "light"
     ? "/rideshare-ledger-icon-light.png?v=20260719-3"
@@ -71,6 +155,7 @@ function UiIcon({ name, className = "" }) {
     more: <><circle cx="5" cy="12" r="1" /><circle cx="12" cy="12" r="1" /><circle cx="19" cy="12" r="1" /></>,
     close: <path d="m7 7 10 10M17 7 7 17" />,
     sun: <><circle cx="12" cy="12" r="3.5" /><path d="M12 2.5v2M12 19.5v2M4.6 4.6 6 6m12 12 1.4 1.4M2.5 12h2M19.5 12h2M4.6 19.4 6 18M18 6l1.4-1.4" /></>,
+    sliders: <><path d="M4 7h9m4 0h3M4 17h3m4 0h9" /><circle cx="15" cy="7" r="2" /><circle cx="9" cy="17" r="2" /></>,
     moon: <path d="M20 15.2A8.3 8.3 0 0 1 8.8 4a8.3 8.3 0 1 0 11.2 11.2Z" />,
   };
 
@@ -125,95 +210,45 @@ function AuthBenefits({ className = "" }) {
   );
 }
 
+// Calendar columns for a set of Date#getDay weekdays, Monday first
+function weekColumns(weekdays) {
+  return [...weekdays].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+}
+
 /**
- * Mon–Fri only grid for a month.
- * Returns array of weeks; each week is [Mon..Fri] and can contain null cells.
+ * Grid for a month showing only the `columns` weekdays (see weekColumns).
+ * Returns array of weeks, Monday to Sunday; each week has a cell per column
+ * and can contain null cells. Weeks with no day of the month are left out.
  */
-function weekdayGrid(year, monthIdx0) {
+function weekdayGrid(year, monthIdx0, columns) {
   const first = new Date(year, monthIdx0, 1);
   const last = new Date(year, monthIdx0 + 1, 0);
 
-  // Start at first non-weekend day in month
-  let cur = new Date(first);
-  while (cur.getDay() === 0 || cur.getDay() === 6) cur.setDate(cur.getDate() + 1);
+  // Monday on or before the 1st
+  const rowBase = new Date(first);
+  rowBase.setDate(1 - ((first.getDay() + 6) % 7));
 
   const weeks = [];
-  while (cur <= last) {
-    const rowBase = new Date(cur);
-    const jsDay = rowBase.getDay(); // Mon=1..Fri=5
-    const deltaToMon = jsDay - 1;
-    rowBase.setDate(rowBase.getDate() - deltaToMon);
-
-    const row = new Array(5).fill(null);
-    for (let i = 0; i < 5; i++) {
+  while (rowBase <= last) {
+    const row = columns.map((day) => {
       const d = new Date(rowBase);
-      d.setDate(rowBase.getDate() + i);
-      if (d.getMonth() === monthIdx0) row[i] = d;
-    }
-    weeks.push(row);
-
-    cur = new Date(rowBase);
-    cur.setDate(rowBase.getDate() + 7);
-    while (cur.getDay() === 0 || cur.getDay() === 6) cur.setDate(cur.getDate() + 1);
+      d.setDate(rowBase.getDate() + ((day + 6) % 7));
+      return d.getMonth() === monthIdx0 ? d : null;
+    });
+    if (row.some(Boolean)) weeks.push(row);
+    rowBase.setDate(rowBase.getDate() + 7);
   }
   return weeks;
 }
 
-// ---------- settlement helpers ----------
-function computeMonthBalances(members, entries) {
-  const balances = {};
-  for (const m of members) balances[m.member_id] = 0;
-
-  for (const e of entries) {
-    const total = Number(e.total_amount || 0);
-    if (!total) continue;
-
-    const driverId = e.driver_id;
-    balances[driverId] = (balances[driverId] || 0) + total;
-
-    for (const r of e.riders || []) {
-      const charge = Number(r.charge || 0);
-      balances[r.member_id] = (balances[r.member_id] || 0) - charge;
-    }
-  }
-
-  for (const k of Object.keys(balances)) balances[k] = round2(balances[k]);
-  return balances;
-}
-
-function suggestTransfers(balances) {
-  const creditors = [];
-  const debtors = [];
-
-  for (const [id, bal] of Object.entries(balances)) {
-    const v = round2(bal);
-    if (v > 0.01) creditors.push([id, v]);
-    else if (v < -0.01) debtors.push([id, -v]);
-  }
-
-  creditors.sort((a, b) => b[1] - a[1]);
-  debtors.sort((a, b) => b[1] - a[1]);
-
-  const transfers = [];
-  let i = 0,
-    j = 0;
-
-  while (i < debtors.length && j < creditors.length) {
-    const [debId, debAmt] = debtors[i];
-    const [creId, creAmt] = creditors[j];
-    const x = Math.min(debAmt, creAmt);
-
-    transfers.push({ from: debId, to: creId, amount: round2(x) });
-
-    debtors[i][1] = round2(debAmt - x);
-    creditors[j][1] = round2(creAmt - x);
-
-    if (debtors[i][1] <= 0.01) i++;
-    if (creditors[j][1] <= 0.01) j++;
-  }
-
-  return transfers;
-}
+const EMPTY_SETTLEMENT = {
+  month: "",
+  balances: [],
+  transfers: [],
+  rolled_over: [],
+  violations: [],
+  rules: { prefer: [], avoid: [], min_amount: 0 },
+};
 
 export default function App() {
   const [theme, setTheme] = useState(() =>
@@ -223,13 +258,16 @@ export default function App() {
   // ------- Auth state (JOIN screen) -------
   const [groupOk, setGroupOk] = useState(false);
   const [groupId, setGroupId] = useState(() => localStorage.getItem("group_id") || "");
-  const [joinCode, setJoinCode] = useState(() => localStorage.getItem("join_code") || "");
+  const [joinCode, setJoinCode] = useState("");
   const [authErr, setAuthErr] = useState("");
+  const [authMode, setAuthMode] = useState("join"); // "join" | "create"
+  const [ownerName, setOwnerName] = useState("");
+  const [ownerPhone, setOwnerPhone] = useState("");
   const [showJoinCode, setShowJoinCode] = useState(false);
   const [authPending, setAuthPending] = useState(false);
   const [authBooting, setAuthBooting] = useState(() => Boolean(
     (localStorage.getItem("group_id") || "").trim() &&
-    (localStorage.getItem("join_code") || "").trim()
+    ((localStorage.getItem("session_token") || "").trim() || (localStorage.getItem("join_code") || "").trim())
   ));
 
   useEffect(() => {
@@ -260,7 +298,6 @@ export default function App() {
   const monthTransitionLockRef = useRef(false);
   const monthTransitionTimersRef = useRef([]);
   const month = useMemo(() => fmtMonthApi(monthDate), [monthDate]);
-  const monthDisplay = useMemo(() => fmtMonthDisplay(monthDate), [monthDate]);
   const activeMonthRef = useRef(month);
   activeMonthRef.current = month;
   const loadedMonthRef = useRef("");
@@ -273,6 +310,44 @@ export default function App() {
   const [members, setMembers] = useState([]);
   const [entries, setEntries] = useState([]);
   const [holidays, setHolidays] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [sharedExpenses, setSharedExpenses] = useState([]);
+  const [sharedOpen, setSharedOpen] = useState(false);
+  const [sharedForm, setSharedForm] = useState(null); // the shared expense being recorded
+  const [sharedSaveState, setSharedSaveState] = useState("idle");
+  const [settlement, setSettlement] = useState(EMPTY_SETTLEMENT); // from /settlements
+  const [rulesOpen, setRulesOpen] = useState(false);
+  const [rulesForm, setRulesForm] = useState({ prefer: [], avoid: [], min_amount: "" });
+  const [ruleDraft, setRuleDraft] = useState({ kind: "prefer", a: "", b: "" });
+  const [rulesSaveState, setRulesSaveState] = useState("idle");
+  const [openingOpen, setOpeningOpen] = useState(false);
+  const [openingForm, setOpeningForm] = useState({}); // member_id -> amount text
+  const [openingSaveState, setOpeningSaveState] = useState("idle");
+  const [payingKey, setPayingKey] = useState(""); // "from>to" of the transfer being marked paid
+  const [groupSettings, setGroupSettings] = useState({
+    split_strategy: DEFAULT_SPLIT_STRATEGY,
+    pricing_mode: DEFAULT_PRICING_MODE,
+    currency: DEFAULT_CURRENCY,
+    locale: DEFAULT_LOCALE,
+    weekdays: DEFAULT_WEEKDAYS,
+    holiday_calendar: DEFAULT_HOLIDAY_CALENDAR,
+    default_trip_type: DEFAULT_TRIP_TYPE,
+  });
+  const monthDisplay = useMemo(() => fmtMonthDisplay(monthDate, groupSettings.locale), [monthDate, groupSettings.locale]);
+  const money = (amount) => formatMoney(amount, groupSettings);
+  // A group that hasn't recorded a zone yet is shown on the browser's clock
+  const groupZone = groupSettings.timezone || undefined;
+
+  // The app opens on the browser's month; once the group's zone is known,
+  // move to the group's month if the two disagree (around midnight on the 1st)
+  const groupMonthAppliedRef = useRef(false);
+  useEffect(() => {
+    if (!groupSettings.timezone || groupMonthAppliedRef.current) return;
+    groupMonthAppliedRef.current = true;
+    const [y, m] = todayIn(groupSettings.timezone).split("-").map(Number);
+    if (fmtMonthApi(new Date(y, m - 1, 1)) !== month) setMonthDate(new Date(y, m - 1, 1));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [groupSettings.timezone]);
   
   // Force re-render counter
   const [, setTick] = useState(0);
@@ -296,16 +371,27 @@ export default function App() {
   const [rideSaveState, setRideSaveState] = useState("idle");
   const [rateSaveState, setRateSaveState] = useState("idle");
   const [activeDay, setActiveDay] = useState(null);
+  const [activeEntryId, setActiveEntryId] = useState(""); // "" while adding a new ride
+  const [leg, setLeg] = useState("");
   const [driverId, setDriverId] = useState("");
+  const [extraDrivers, setExtraDrivers] = useState([]); // drivers of cars 2..n
+  const [riderCar, setRiderCar] = useState({}); // member_id -> driver_id of the car they rode in
+  const [ratesDriverId, setRatesDriverId] = useState(""); // whose rates the rates form edits
   const [riderTrip, setRiderTrip] = useState({});
+  const [splitStrategy, setSplitStrategy] = useState(DEFAULT_SPLIT_STRATEGY);
+  const [riderShare, setRiderShare] = useState({}); // member_id -> weight or fee text, see SHARE_INPUTS
+  const [guests, setGuests] = useState([]); // { guest_name, trip_type, car, sponsor_id }; guest i rides as "guest_<i+1>"
   const [notes, setNotes] = useState("");
+  const [expenses, setExpenses] = useState([]); // expense lines, amounts as typed
   const [shouldClear, setShouldClear] = useState(false);  // Flag to track if entry should be cleared
 
   // driver rates form (per-driver)
   const [driverRatesForm, setDriverRatesForm] = useState({
+    effective_from: "",
     one_way_total: "",
     two_way_total: "",
   });
+  const [vehicleMpg, setVehicleMpg] = useState(""); // the same driver's MPG, for distance pricing
 
   // ------- Add member modal state -------
   const [memberOpen, setMemberOpen] = useState(false);
@@ -315,8 +401,51 @@ export default function App() {
   const [newMemberCountryCode, setNewMemberCountryCode] = useState("+1");
   const [newMemberPhone, setNewMemberPhone] = useState("");
   const [memberErr, setMemberErr] = useState("");
+
+  // ------- Re-price rides modal state -------
+  const [repriceOpen, setRepriceOpen] = useState(false);
+  const [repriceModalClosing, setRepriceModalClosing] = useState(false);
+  const [repriceState, setRepriceState] = useState("idle"); // idle | previewing | applying | success
+  const [repriceForm, setRepriceForm] = useState({ driver_id: "", from: "", to: "" });
+  const [repricePreview, setRepricePreview] = useState(null); // last dry-run result for repriceForm
+  const [repriceErr, setRepriceErr] = useState("");
+
+  // ------- Weekly template modal state -------
+  const [templateOpen, setTemplateOpen] = useState(false);
+  const [templateModalClosing, setTemplateModalClosing] = useState(false);
+  const [templateState, setTemplateState] = useState("idle"); // idle | previewing | filling | success
+  const [templateDays, setTemplateDays] = useState({}); // weekday -> { driver_id, trips: { member_id: trip_type } }
+  const [templatePreview, setTemplatePreview] = useState(null); // dry run of filling the viewed month
+  const [templateErr, setTemplateErr] = useState("");
+
+  // ------- Group settings modal state -------
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [settingsModalClosing, setSettingsModalClosing] = useState(false);
+  const [settingsSaveState, setSettingsSaveState] = useState("idle");
+  const [settingsForm, setSettingsForm] = useState({ split_strategy: DEFAULT_SPLIT_STRATEGY, pricing_mode: DEFAULT_PRICING_MODE });
+  const [settingsErr, setSettingsErr] = useState("");
+  const [customHolidays, setCustomHolidays] = useState([]);
+  const [customHolidayForm, setCustomHolidayForm] = useState({ date: "", name: "" });
+  const [customHolidayState, setCustomHolidayState] = useState("idle"); // idle | saving
+
+  // ------- Members modal state -------
+  const [membersOpen, setMembersOpen] = useState(false);
+  const [membersModalClosing, setMembersModalClosing] = useState(false);
+  const [editingMemberId, setEditingMemberId] = useState("");
+  const [memberEditForm, setMemberEditForm] = useState({ name: "", phone: "" });
+  const [memberEditState, setMemberEditState] = useState("idle"); // idle | saving | checking | merging
+  const [departure, setDeparture] = useState(null); // history + final settlement of the member being removed
+  const [mergeInto, setMergeInto] = useState("");
+  const [memberDaysOff, setMemberDaysOff] = useState([]); // days off of the member being edited
+  const [daysOffForm, setDaysOffForm] = useState({ from: "", to: "", name: "" });
+  const [mergePreview, setMergePreview] = useState(null); // dry run of merging the edited member into mergeInto
+  const [membersErr, setMembersErr] = useState("");
   const tripCloseTimerRef = useRef(null);
   const memberCloseTimerRef = useRef(null);
+  const repriceCloseTimerRef = useRef(null);
+  const settingsCloseTimerRef = useRef(null);
+  const templateCloseTimerRef = useRef(null);
+  const membersCloseTimerRef = useRef(null);
 
   // Country codes with flags
   const countryCodes = [
@@ -372,6 +501,53 @@ export default function App() {
     }, 220);
   }, [memberModalClosing]);
 
+  const closeRepriceModal = useCallback(() => {
+    if (repriceModalClosing) return;
+    setRepriceModalClosing(true);
+    window.clearTimeout(repriceCloseTimerRef.current);
+    repriceCloseTimerRef.current = window.setTimeout(() => {
+      setRepriceOpen(false);
+      setRepriceModalClosing(false);
+      setRepriceState("idle");
+    }, 220);
+  }, [repriceModalClosing]);
+
+  const closeTemplateModal = useCallback(() => {
+    if (templateModalClosing) return;
+    setTemplateModalClosing(true);
+    window.clearTimeout(templateCloseTimerRef.current);
+    templateCloseTimerRef.current = window.setTimeout(() => {
+      setTemplateOpen(false);
+      setTemplateModalClosing(false);
+      setTemplateState("idle");
+      setTemplatePreview(null);
+    }, 220);
+  }, [templateModalClosing]);
+
+  const closeSettingsModal = useCallback(() => {
+    if (settingsModalClosing) return;
+    setSettingsModalClosing(true);
+    window.clearTimeout(settingsCloseTimerRef.current);
+    settingsCloseTimerRef.current = window.setTimeout(() => {
+      setSettingsOpen(false);
+      setSettingsModalClosing(false);
+      setSettingsSaveState("idle");
+    }, 220);
+  }, [settingsModalClosing]);
+
+  const closeMembersModal = useCallback(() => {
+    if (membersModalClosing) return;
+    setMembersModalClosing(true);
+    window.clearTimeout(membersCloseTimerRef.current);
+    membersCloseTimerRef.current = window.setTimeout(() => {
+      setMembersOpen(false);
+      setMembersModalClosing(false);
+      setEditingMemberId("");
+      setDeparture(null);
+      setMergePreview(null);
+    }, 220);
+  }, [membersModalClosing]);
+
   async function runWithContextualSplash(task) {
     window.clearTimeout(networkSplashTimerRef.current);
     networkSplashTimerRef.current = window.setTimeout(() => setNetworkSplash(true), 400);
@@ -393,13 +569,17 @@ export default function App() {
       .catch(() => undefined)
       .then(async () => {
         try {
-          const [monthEntries, monthHolidays] = await Promise.all([
+          const [monthEntries, monthHolidays, monthPayments, monthSharedExpenses] = await Promise.all([
             getEntries(targetMonth),
             getHolidays(targetMonth),
+            getPayments(targetMonth),
+            getSharedExpenses(targetMonth),
           ]);
           monthCacheRef.current.set(targetMonth, {
             entries: monthEntries || [],
             holidays: monthHolidays || [],
+            payments: monthPayments || [],
+            sharedExpenses: monthSharedExpenses || [],
           });
         } catch {
           // Prefetch is opportunistic; the foreground request will surface errors.
@@ -411,6 +591,23 @@ export default function App() {
     return prefetchQueueRef.current;
   }
 
+  // ---- Session helpers ----
+  function storeSession(gid, session) {
+    localStorage.setItem("group_id", gid);
+    localStorage.setItem("session_token", session.token);
+    localStorage.removeItem("join_code");
+  }
+
+  async function startSession(gid, jcode) {
+    storeSession(gid, await login(gid, jcode));
+  }
+
+  function clearSession() {
+    localStorage.removeItem("group_id");
+    localStorage.removeItem("session_token");
+    localStorage.removeItem("join_code");
+  }
+
   // ---- Boot: first-launch splash + auto-check stored creds ----
   useEffect(() => {
     if (!firstLaunchSplash) return undefined;
@@ -422,9 +619,10 @@ export default function App() {
   useEffect(() => {
     async function bootAuth() {
       const gid = (localStorage.getItem("group_id") || "").trim();
-      const jcode = (localStorage.getItem("join_code") || "").trim();
+      const token = (localStorage.getItem("session_token") || "").trim();
+      const legacyCode = (localStorage.getItem("join_code") || "").trim();
 
-      if (!gid || !jcode) {
+      if (!gid || (!token && !legacyCode)) {
         setGroupOk(false);
         setAuthBooting(false);
         return;
@@ -432,13 +630,14 @@ export default function App() {
 
       try {
         await runWithContextualSplash(async () => {
+          // Installs from before session tokens kept the raw join code; trade it in once.
+          if (!token) await startSession(gid, legacyCode);
           await groupCheck();
           await loadAll({ targetMonth: month, force: true });
         });
         setGroupOk(true);
       } catch (e) {
-        localStorage.removeItem("group_id");
-        localStorage.removeItem("join_code");
+        clearSession();
         setGroupId("");
         setJoinCode("");
         setGroupOk(false);
@@ -473,22 +672,31 @@ export default function App() {
     if (cached && !force && activeMonthRef.current === targetMonth) {
       setEntries(cached.entries);
       setHolidays(cached.holidays);
+      setPayments(cached.payments);
+      setSharedExpenses(cached.sharedExpenses);
     }
 
     setLoading(force || !cached);
     setErr("");
     try {
-      const [m, e, h] = cached && !force
-        ? [await getMembers(), cached.entries, cached.holidays]
-        : await Promise.all([
-          getMembers(),
-          getEntries(targetMonth),
-          getHolidays(targetMonth),
-        ]);
+      const [[m, st, gs], [e, h, p, x]] = await Promise.all([
+        // Running balances depend on every earlier month, so they are never cached
+        Promise.all([getMembers(), getSettlements(targetMonth), getSettings()]),
+        cached && !force
+          ? [cached.entries, cached.holidays, cached.payments, cached.sharedExpenses]
+          : Promise.all([
+            getEntries(targetMonth),
+            getHolidays(targetMonth),
+            getPayments(targetMonth),
+            getSharedExpenses(targetMonth),
+          ]),
+      ]);
 
       monthCacheRef.current.set(targetMonth, {
         entries: e || [],
         holidays: h || [],
+        payments: p || [],
+        sharedExpenses: x || [],
       });
 
       if (requestId !== monthRequestRef.current || activeMonthRef.current !== targetMonth) {
@@ -500,6 +708,10 @@ export default function App() {
       setMembers(active);
       setEntries(e || []);
       setHolidays(h || []);
+      setPayments(p || []);
+      setSharedExpenses(x || []);
+      setSettlement({ ...EMPTY_SETTLEMENT, ...st, month: targetMonth });
+      setGroupSettings((prev) => ({ ...prev, ...gs }));
       loadedMonthRef.current = targetMonth;
       // Only auto-select first driver if driverId is truly empty (not __none__)
       if (!skipDriverReset && !driverId && !driverId.startsWith("__") && active.length) {
@@ -534,12 +746,16 @@ export default function App() {
     window.clearTimeout(toastTimerRef.current);
     window.clearTimeout(tripCloseTimerRef.current);
     window.clearTimeout(memberCloseTimerRef.current);
+    window.clearTimeout(repriceCloseTimerRef.current);
+    window.clearTimeout(settingsCloseTimerRef.current);
+    window.clearTimeout(membersCloseTimerRef.current);
+    window.clearTimeout(templateCloseTimerRef.current);
     monthTransitionTimersRef.current.forEach((timer) => window.clearTimeout(timer));
   }, []);
 
   function logout() {
-    localStorage.removeItem("group_id");
-    localStorage.removeItem("join_code");
+    clearSession();
+    groupMonthAppliedRef.current = false;
     setGroupId("");
     setJoinCode("");
     setAuthErr("");
@@ -554,6 +770,10 @@ export default function App() {
       window.scrollY > 1 ||
       open ||
       memberOpen ||
+      repriceOpen ||
+      settingsOpen ||
+      membersOpen ||
+      templateOpen ||
       pullRefreshing
     ) return;
 
@@ -610,27 +830,46 @@ export default function App() {
 
     const gid = groupId.trim();
     const jcode = joinCode.trim();
+    const creating = authMode === "create";
     if (!gid || !jcode) {
       setAuthErr("Group ID and Join Code are required.");
       return;
     }
+    if (creating && jcode.length < 4) {
+      setAuthErr("Pick a join code of at least 4 characters.");
+      return;
+    }
+    if (creating && !ownerName.trim()) {
+      setAuthErr("Your name is required to create a group.");
+      return;
+    }
 
     setAuthPending(true);
 
-    localStorage.setItem("group_id", gid);
-    localStorage.setItem("join_code", jcode);
-
     try {
       await runWithContextualSplash(async () => {
-        await groupCheck();
+        if (creating) {
+          storeSession(gid, await createGroup({
+            group_id: gid,
+            join_code: jcode,
+            owner_name: ownerName.trim(),
+            owner_phone: ownerPhone.trim(),
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          }));
+        } else {
+          await startSession(gid, jcode);
+        }
         await loadAll({ targetMonth: month, force: true });
       });
+      setJoinCode("");
+      setOwnerName("");
+      setOwnerPhone("");
+      setAuthMode("join");
       setGroupOk(true);
     } catch (e2) {
-      localStorage.removeItem("group_id");
-      localStorage.removeItem("join_code");
+      clearSession();
       setGroupOk(false);
-      setAuthErr(e2.message || "Invalid group");
+      setAuthErr(e2.message || (creating ? "Couldn’t create group" : "Invalid group"));
     } finally {
       setAuthPending(false);
     }
@@ -643,28 +882,56 @@ export default function App() {
     return m;
   }, [allMembers]);
 
+  // "Maria + Tom" for a ride that took two cars
+  function rideDriverNames(ride) {
+    const ids = ride.vehicles?.length ? ride.vehicles.map((v) => v.driver_id) : [ride.driver_id];
+    return ids.map((id) => nameById[id] || id).join(" + ");
+  }
+
   const memberById = useMemo(() => {
     const m = new Map();
     for (const x of members) m.set(x.member_id, x);
     return m;
   }, [members]);
 
+  // Holidays come back with members' days off, which carry a member_id
   const holidayByDate = useMemo(() => {
     const map = new Map();
-    for (const h of holidays) map.set(h.date, h.name || "");
+    for (const h of holidays) if (!h.member_id) map.set(h.date, h.name || "");
     return map;
   }, [holidays]);
 
-  const entryByDate = useMemo(() => {
+  const daysOffByDate = useMemo(() => {
     const map = new Map();
-    for (const e of entries) map.set(e.date, e);
+    for (const h of holidays) {
+      if (!h.member_id) continue;
+      if (!map.has(h.date)) map.set(h.date, []);
+      map.get(h.date).push(h);
+    }
+    return map;
+  }, [holidays]);
+
+  const entriesByDate = useMemo(() => {
+    const map = new Map();
+    for (const e of entries) {
+      if (!map.has(e.date)) map.set(e.date, []);
+      map.get(e.date).push(e);
+    }
     return map;
   }, [entries]);
 
   // ---------- Month grid ----------
+  // The group's riding days, plus any day that already has a ride this month
+  // so rides saved before a day was turned off stay reachable
+  const calendarColumns = useMemo(() => {
+    const days = new Set(groupSettings.weekdays);
+    for (const e of entries) days.add(new Date(`${e.date}T00:00:00`).getDay());
+    return weekColumns(days);
+  }, [groupSettings.weekdays, entries]);
+
   const weeks = useMemo(
-    () => weekdayGrid(monthDate.getFullYear(), monthDate.getMonth()),
-    [monthDate]
+    () => weekdayGrid(monthDate.getFullYear(), monthDate.getMonth(), calendarColumns),
+    [monthDate, calendarColumns]
   );
 
   function navigateMonth(offset) {
@@ -688,10 +955,14 @@ export default function App() {
       if (cached) {
         setEntries(cached.entries);
         setHolidays(cached.holidays);
+        setPayments(cached.payments);
+        setSharedExpenses(cached.sharedExpenses);
         setLoading(false);
       } else {
         setEntries([]);
         setHolidays([]);
+        setPayments([]);
+        setSharedExpenses([]);
         setLoading(true);
       }
 
@@ -742,47 +1013,74 @@ export default function App() {
   }
 
   // ---------- Open day modal ----------
-  function openDay(d) {
-    const dateStr = fmtDate(d);
-    const existing = entryByDate.get(dateStr);
-
-    window.clearTimeout(tripCloseTimerRef.current);
-    setTripModalClosing(false);
-    setRideSaveState("idle");
-
-    // Reset the clear flag when opening a new day
+  // Load one ride into the form, or a blank new ride when `existing` is null.
+  function fillRideForm(existing, dayRides = [], day = activeDay) {
     setShouldClear(false);
-    
-    setActiveDay(d);
+    setActiveEntryId(existing?.entry_id || "");
+    setLeg(existing ? existing.leg || "" : nextFreeLeg(dayRides));
     setNotes(existing?.notes || "");
+    setExpenses((existing?.expenses || []).map((x) => ({ ...x, amount: String(x.amount) })));
 
-    // If we're in clear mode, keep the driver as "none", otherwise use existing or first member
-    let defaultDriver;
-    if (shouldClear) {
-      // Preserve the "None" state after clearing
-      defaultDriver = "__none__";
-    } else {
-      defaultDriver = existing?.driver_id || members[0]?.member_id || "";
-    }
-    
+    // A new ride starts without members who are away that day
+    const away = new Set((day ? daysOffByDate.get(fmtDate(day)) || [] : []).map((o) => o.member_id));
+    const defaultDriver = existing?.driver_id || (members.find((m) => !away.has(m.member_id)) || members[0])?.member_id || "";
     setDriverId(defaultDriver);
+    setExtraDrivers((existing?.vehicles || []).slice(1).map((v) => v.driver_id));
 
     const next = {};
+    const cars = {};
     for (const m of members) next[m.member_id] = "none";
 
     if (existing?.riders?.length) {
-      for (const r of existing.riders) next[r.member_id] = r.trip_type;
-    } else if (defaultDriver && defaultDriver !== "__none__") {
-      next[defaultDriver] = "two_way";
+      for (const r of existing.riders) {
+        if (r.guest_name) continue;
+        next[r.member_id] = r.trip_type;
+        if (r.driver_id) cars[r.member_id] = r.driver_id;
+      }
+    } else if (defaultDriver) {
+      next[defaultDriver] = groupSettings.default_trip_type;
     }
 
     setRiderTrip(next);
+    setRiderCar(cars);
+    setGuests((existing?.riders || [])
+      .filter((r) => r.guest_name)
+      .map((r) => ({ guest_name: r.guest_name, trip_type: r.trip_type, car: r.driver_id, sponsor_id: r.sponsor_id || "" })));
+
+    const strategy = existing?.split_strategy || groupSettings.split_strategy;
+    const shares = {};
+    if (SHARE_INPUTS[strategy]) {
+      for (const r of existing?.riders || []) shares[r.member_id] = String(SHARE_INPUTS[strategy].fromRider(r));
+    }
+    setSplitStrategy(strategy);
+    setRiderShare(shares);
+    editRatesFor(defaultDriver, day ? fmtDate(day) : "");
+  }
+
+  // Point the rates form at one driver and load the rate they charged on `date`.
+  function editRatesFor(id, date = activeDate) {
+    setRatesDriverId(id);
+    editRate(rateOn(memberById.get(id), date));
+    setVehicleMpg(String(memberById.get(id)?.vehicle_mpg || ""));
+  }
 
-    const dObj = memberById.get(defaultDriver === "__none__" ? "" : defaultDriver);
+  function editRate(rate) {
     setDriverRatesForm({
-      one_way_total: String(dObj?.one_way_total ?? ""),
-      two_way_total: String(dObj?.two_way_total ?? ""),
+      effective_from: rate.effective_from || "",
+      one_way_total: String(rate.one_way_total || ""),
+      two_way_total: String(rate.two_way_total || ""),
     });
+  }
+
+  function openDay(d) {
+    const dayRides = entriesByDate.get(fmtDate(d)) || [];
+
+    window.clearTimeout(tripCloseTimerRef.current);
+    setTripModalClosing(false);
+    setRideSaveState("idle");
+
+    setActiveDay(d);
+    fillRideForm(dayRides[0] || null, dayRides, d);
 
     setOpen(true);
   }
@@ -791,12 +1089,75 @@ export default function App() {
     setRiderTrip((p) => ({ ...p, [member_id]: trip_type }));
   }
 
+  function addExpense() {
+    setExpenses((p) => [...p, { category: "toll", amount: "", payer_id: carDrivers[0] || members[0]?.member_id || "", split: "all", member_ids: [] }]);
+  }
+
+  function setExpenseField(index, key, value) {
+    setExpenses((p) => p.map((x, i) => (i === index ? { ...x, [key]: value } : x)));
+  }
+
+  function toggleExpenseSharer(index, memberId) {
+    setExpenses((p) => p.map((x, i) => {
+      if (i !== index) return x;
+      const member_ids = x.member_ids.includes(memberId)
+        ? x.member_ids.filter((id) => id !== memberId)
+        : [...x.member_ids, memberId];
+      return { ...x, member_ids };
+    }));
+  }
+
+  function removeExpense(index) {
+    setExpenses((p) => p.filter((_, i) => i !== index));
+  }
+
+  // Weights and fees mean different things, so switching strategy starts them over
+  function changeSplitStrategy(strategy) {
+    setSplitStrategy(strategy);
+    setRiderShare({});
+  }
+
+  // A rider as splitCar and POST /entries take it, with the weight or fee the strategy uses
+  function riderInput(memberId, tripType, guest = null) {
+    const rider = { member_id: memberId, trip_type: tripType };
+    const share = riderShare[memberId] ?? "";
+    if (splitStrategy === "custom_weights" && share !== "") rider.weight = Number(share);
+    if (splitStrategy === "fixed_fee") rider.fee = share === "" ? 0 : Number(share);
+    if (guest) {
+      rider.guest_name = guest.guest_name.trim();
+      rider.sponsor_id = guest.sponsor_id || "";
+    }
+    return rider;
+  }
+
+  function addGuest() {
+    setGuests((p) => [...p, { guest_name: "", trip_type: groupSettings.default_trip_type, car: carDrivers[0] || "", sponsor_id: "" }]);
+  }
+
+  function setGuestField(index, key, value) {
+    setGuests((p) => p.map((g, i) => (i === index ? { ...g, [key]: value } : g)));
+  }
+
+  // Later guests move up a place, so their weights and fees are dropped with the removed one's
+  function removeGuest(index) {
+    setGuests((p) => p.filter((_, i) => i !== index));
+    setRiderShare((p) => Object.fromEntries(Object.entries(p).filter(([id]) => !id.startsWith("guest_"))));
+  }
+
+  function guestCar(guest) {
+    return carDrivers.includes(guest.car) ? guest.car : carDrivers[0];
+  }
+
   function clearForm() {
     // Reset all form fields to defaults (empty state)
     console.log("clearForm called, members:", members.map(m => m.name));
     
     setDriverId("__none__");  // Use special value to indicate no driver selected
+    setExtraDrivers([]);
+    setRiderCar({});
+    setRatesDriverId("");
     setDriverRatesForm({
+      effective_from: "",
       one_way_total: "",
       two_way_total: "",
     });
@@ -805,9 +1166,12 @@ export default function App() {
     const next = {};
     for (const m of members) next[m.member_id] = "none";
     setRiderTrip(next);
+    setRiderShare({});
+    setGuests([]);
     console.log("Rider trip reset:", next);
 
     setNotes("");
+    setExpenses([]);
   }
 
   async function onClear() {
@@ -826,54 +1190,103 @@ export default function App() {
   }
 
   // ---------- Split preview ----------
-  const driverObj = memberById.get(driverId);
-  const driverOne = Number(driverObj?.one_way_total || 0);
-  const driverTwo = Number(driverObj?.two_way_total || 0);
+  const activeDate = activeDay ? fmtDate(activeDay) : "";
+  const awayOnActiveDay = useMemo(
+    () => new Set((daysOffByDate.get(activeDate) || []).map((o) => o.member_id)),
+    [daysOffByDate, activeDate]
+  );
+  // Car 1 is driven by driverId, the rest by extraDrivers. Drivers always ride
+  // in their own car; everyone else rides in the car picked for them (car 1 by default).
+  const carDrivers = [driverId, ...extraDrivers].filter((id) => id && !id.startsWith("__"));
+
+  function carOf(memberId) {
+    if (carDrivers.includes(memberId)) return memberId;
+    return carDrivers.includes(riderCar[memberId]) ? riderCar[memberId] : carDrivers[0];
+  }
+
+  function addCar() {
+    const next = members.find((m) => !carDrivers.includes(m.member_id));
+    if (!next) return;
+    setExtraDrivers((p) => [...p, next.member_id]);
+    setRiderTrip((p) => (p[next.member_id] && p[next.member_id] !== "none" ? p : { ...p, [next.member_id]: groupSettings.default_trip_type }));
+  }
+
+  function setExtraDriver(index, id) {
+    setExtraDrivers((p) => p.map((x, i) => (i === index ? id : x)));
+    if (id && (riderTrip[id] || "none") === "none") setTrip(id, groupSettings.default_trip_type);
+  }
+
+  function removeCar(index) {
+    const removed = extraDrivers[index];
+    setExtraDrivers((p) => p.filter((_, i) => i !== index));
+    if (ratesDriverId === removed) editRatesFor(driverId);
+  }
 
+  // Priced by the same shared engine as the server, so the preview matches what gets saved
   const computedPreview = useMemo(() => {
-    // Auto-detect day type from rider selections
-    let twoWayCount = 0;
-    for (const t of Object.values(riderTrip)) {
-      if (t === "two_way") twoWayCount++;
-    }
-    // If any riders selected two-way, use two-way total; otherwise use one-way
-    const dayType = twoWayCount > 0 ? "two_way" : "one_way";
-    const dayTotal = dayType === "one_way" ? driverOne : driverTwo;
-
-    const riders = [];
-    for (const m of members) {
-      const t = riderTrip[m.member_id] || "none";
-      if (t === "none") continue;
-      const units = t === "one_way" ? 1 : 2;
-      riders.push({
-        member_id: m.member_id,
-        name: m.name,
-        trip_type: t,
-        units,
-        charge: 0,
+    const cars = carDrivers.map((carDriverId) => {
+      const riders = [];
+      for (const m of members) {
+        const t = riderTrip[m.member_id] || "none";
+        if (t === "none" || carOf(m.member_id) !== carDriverId) continue;
+        riders.push(riderInput(m.member_id, t));
+      }
+      guests.forEach((g, i) => {
+        if (g.guest_name.trim() && guestCar(g) === carDriverId) riders.push(riderInput(`guest_${i + 1}`, g.trip_type, g));
       });
-    }
 
-    const totalUnits = riders.reduce((s, r) => s + r.units, 0);
-    if (!dayTotal || totalUnits === 0) return { riders: [], total: 0 };
+      const { total: dayTotal } = carDayTotal({
+        driver: memberById.get(carDriverId),
+        date: activeDate,
+        dayType: carDayType(riders),
+        settings: groupSettings,
+      });
+      const empty = { driver_id: carDriverId, riders: [], total: 0 };
+      if (!riders.length || (!dayTotal && splitStrategy !== "fixed_fee")) return empty;
+
+      const split = splitCar({ total: dayTotal, driverId: carDriverId, riders, strategy: splitStrategy });
+      if (split.error) return { ...empty, error: split.error };
+      // splitCar keeps the riders' order
+      const computed = split.riders.map((r, i) => {
+        const { guest_name, sponsor_id } = riders[i];
+        return guest_name
+          ? { ...r, guest_name, sponsor_id, name: guest_name }
+          : { ...r, name: nameById[r.member_id] || r.member_id };
+      });
 
-    const computed = riders.map((r) => ({
-      ...r,
-      charge: round2(dayTotal * (r.units / totalUnits)),
-    }));
+      return {
+        driver_id: carDriverId,
+        riders: computed,
+        total: round2(computed.reduce((s, r) => s + r.charge, 0)),
+      };
+    });
 
-    const sum = computed.reduce((s, r) => s + r.charge, 0);
-    const drift = round2(dayTotal - sum);
-    if (Math.abs(drift) >= 0.01) {
-      const i = computed.findIndex((x) => x.member_id === driverId);
-      if (i >= 0) computed[i].charge = round2(computed[i].charge + drift);
-    }
+    // Expenses are shared across every car, so they go on once all cars are priced
+    const shared = addExpenseShares(
+      cars.flatMap((c) => c.riders),
+      expenses.map((x) => ({ ...x, amount: Number(x.amount) }))
+    );
+    const chargedCars = shared.error ? cars : cars.map((car) => {
+      const riders = car.riders.map((r) => ({ ...r, ...shared.riders.find((x) => x.member_id === r.member_id) }));
+      return { ...car, riders, total: round2(riders.reduce((s, r) => s + r.charge, 0)) };
+    });
 
     return {
-      riders: computed,
-      total: round2(computed.reduce((s, r) => s + r.charge, 0)),
+      cars: chargedCars,
+      riders: chargedCars.flatMap((c) => c.riders),
+      total: round2(chargedCars.reduce((s, c) => s + c.total, 0)),
+      error: cars.find((c) => c.error)?.error || (expenses.length ? shared.error : "") || "",
     };
-  }, [driverOne, driverTwo, members, riderTrip, driverId]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [memberById, nameById, members, riderTrip, riderCar, riderShare, guests, splitStrategy, groupSettings, expenses, driverId, extraDrivers, activeDate]);
+
+  // Rate history of the driver in the rates form; the undated totals come first.
+  const ratesDriver = memberById.get(ratesDriverId);
+  const ratesHistory = ratesDriver
+    ? [{ effective_from: "", one_way_total: ratesDriver.one_way_total, two_way_total: ratesDriver.two_way_total }, ...(ratesDriver.rates || [])]
+    : [];
+  const ratesInEffect = rateOn(ratesDriver, activeDate);
+  const distancePricing = groupSettings.pricing_mode === "distance";
 
   async function onSave() {
     setErr("");
@@ -885,21 +1298,24 @@ export default function App() {
 
     // Check if this is a clear operation
     if (shouldClear) {
+      // A ride that was never saved has nothing to delete
+      if (!activeEntryId) {
+        setShouldClear(false);
+        setRideSaveState("idle");
+        closeTripModal();
+        return;
+      }
+
       try {
-        console.log("Deleting entry for date:", date);
-        console.log("Current entries before delete:", entries.map(e => ({ date: e.date, driver: e.driver_id })));
-        
-        // Delete the existing entry from Google Sheets
-        console.log("Delete: date parameter type:", typeof date, "value:", date);
-        const result = await deleteEntry(date);
+        console.log("Deleting entry:", activeEntryId, "on", date);
+        const result = await deleteEntry(activeEntryId);
         console.log("Delete API result:", result);
-        console.log("Delete API result.ok:", result?.ok, "deleted:", result?.deleted);
-        
+
         // Update local state to remove the entry immediately (optimistic update)
-        const filteredEntries = entries.filter((e) => e.date !== date);
-        console.log("Filtered entries after delete:", filteredEntries.map(e => e.date));
+        const filteredEntries = entries.filter((e) => e.entry_id !== activeEntryId);
         setEntries(filteredEntries);
-        monthCacheRef.current.set(month, { entries: filteredEntries, holidays });
+        monthCacheRef.current.set(month, { entries: filteredEntries, holidays, payments, sharedExpenses });
+        refreshSettlements();
         
         // Reset the clear flag
         setShouldClear(false);
@@ -918,34 +1334,37 @@ export default function App() {
       return;
     }
 
-    // Build riders array from form data - can be empty
-    const riders = computedPreview.riders.map((r) => ({
-      member_id: r.member_id,
-      trip_type: r.trip_type,
-    }));
-
-    // Auto-detect day type from rider selections
-    let twoWayCount = 0;
-    for (const r of riders) {
-      if (r.trip_type === "two_way") twoWayCount++;
+    if (computedPreview.error) {
+      setErr(computedPreview.error);
+      setRideSaveState("idle");
+      showToast(computedPreview.error, "error");
+      return;
     }
-    const dayType = twoWayCount > 0 ? "two_way" : "one_way";
+
+    // One vehicle per car; each car's riders can be empty. The server picks
+    // one-way or two-way per car from its riders.
+    const vehicles = computedPreview.cars.map((car) => ({
+      driver_id: car.driver_id,
+      riders: car.riders.map((r) => riderInput(r.member_id, r.trip_type, r.guest_name ? r : null)),
+    }));
 
     try {
       const entry = await saveEntry({
+        entry_id: activeEntryId || undefined,
         date,
-        driver_id: driverId,
-        day_type: dayType,
-        riders,
+        leg,
+        split_strategy: splitStrategy,
+        vehicles,
+        expenses: expenses.map((x) => ({ ...x, amount: Number(x.amount) })),
         notes,
       });
 
       const nextEntries = [
-        ...entries.filter((existingEntry) => existingEntry.date !== date),
+        ...entries.filter((existingEntry) => existingEntry.entry_id !== entry.entry_id),
         entry,
-      ].sort((a, b) => a.date.localeCompare(b.date));
+      ].sort(compareRides);
       setEntries(nextEntries);
-      monthCacheRef.current.set(month, { entries: nextEntries, holidays });
+      monthCacheRef.current.set(month, { entries: nextEntries, holidays, payments, sharedExpenses });
 
       setRideSaveState("success");
       showToast("Ride saved");
@@ -960,13 +1379,31 @@ export default function App() {
     }
   }
 
+  async function onUpdateVehicleMpg() {
+    setErr("");
+    if (!ratesDriverId || rateSaveState !== "idle") return;
+    setRateSaveState("saving");
+    try {
+      await updateMember(ratesDriverId, { vehicle_mpg: Number(vehicleMpg || 0) });
+      await loadAll({ targetMonth: month, force: true, skipDriverReset: true, throwOnError: true });
+      setRateSaveState("success");
+      showToast("Vehicle saved");
+      window.setTimeout(() => setRateSaveState("idle"), 1400);
+    } catch (e) {
+      setErr(e.message || "Failed to update vehicle");
+      setRateSaveState("idle");
+      showToast(e.message || "Failed to update vehicle", "error");
+    }
+  }
+
   async function onUpdateRates() {
     setErr("");
-    if (!driverId || rateSaveState !== "idle") return;
+    if (!ratesDriverId || rateSaveState !== "idle") return;
     setRateSaveState("saving");
     try {
       await updateMemberRates({
-        member_id: driverId,
+        member_id: ratesDriverId,
+        effective_from: driverRatesForm.effective_from || undefined,
         one_way_total: Number(driverRatesForm.one_way_total),
         two_way_total: Number(driverRatesForm.two_way_total),
       });
@@ -981,90 +1418,674 @@ export default function App() {
     }
   }
 
-  async function onCreateMember() {
-    setMemberErr("");
-    const name = newMemberName.trim();
-    const phone = newMemberPhone.trim();
-    if (!name) return setMemberErr("Name is required.");
-    if (!phone) return setMemberErr("Phone is required.");
+  async function onDeleteRate(effectiveFrom) {
+    setErr("");
+    if (!ratesDriverId || rateSaveState !== "idle") return;
+    try {
+      await deleteMemberRate(ratesDriverId, effectiveFrom);
+      await loadAll({ targetMonth: month, force: true, skipDriverReset: true, throwOnError: true });
+      if (driverRatesForm.effective_from === effectiveFrom) {
+        const remaining = ratesHistory.filter((r) => r.effective_from !== effectiveFrom);
+        editRate(remaining.filter((r) => r.effective_from <= activeDate).at(-1) || remaining[0]);
+      }
+      showToast("Rate removed");
+    } catch (e) {
+      setErr(e.message || "Failed to remove rate");
+      showToast(e.message || "Failed to remove rate", "error");
+    }
+  }
 
-    // Combine country code with phone number
-    const fullPhone = `${newMemberCountryCode}${phone}`;
+  // ---------- Re-price rides ----------
+  function openRepriceModal() {
+    const [y, m] = month.split("-").map(Number);
+    window.clearTimeout(repriceCloseTimerRef.current);
+    setRepriceModalClosing(false);
+    setRepriceState("idle");
+    setRepriceErr("");
+    setRepricePreview(null);
+    setRepriceForm({
+      driver_id: members[0]?.member_id || "",
+      from: `${month}-01`,
+      to: `${month}-${pad2(new Date(y, m, 0).getDate())}`,
+    });
+    setRepriceOpen(true);
+  }
 
-    if (memberSaveState === "saving") return;
-    setMemberSaveState("saving");
+  function setRepriceField(key, value) {
+    setRepriceForm((p) => ({ ...p, [key]: value }));
+    setRepricePreview(null);
+  }
 
+  async function onPreviewReprice() {
+    setRepriceErr("");
+    if (repriceState !== "idle") return;
+    setRepriceState("previewing");
     try {
-      await createMember({ name, phone: fullPhone, active: true });
-      setNewMemberName("");
-      setNewMemberPhone("");
-      setMemberSaveState("success");
-      showToast("Member added");
-      window.setTimeout(closeMemberModal, 420);
+      setRepricePreview(await repriceEntries(repriceForm));
+    } catch (e) {
+      setRepriceErr(e.message || "Failed to preview changes");
+    } finally {
+      setRepriceState("idle");
+    }
+  }
+
+  async function onApplyReprice() {
+    setRepriceErr("");
+    if (!repricePreview?.changes.length || repriceState !== "idle") return;
+    setRepriceState("applying");
+    try {
+      const result = await repriceEntries({ ...repriceForm, apply: true });
+      setRepriceState("success");
+      showToast(`${result.changes.length} ride${result.changes.length === 1 ? "" : "s"} re-priced`);
+      window.setTimeout(closeRepriceModal, 420);
       loadAll({ targetMonth: month, force: true, skipDriverReset: true });
     } catch (e) {
-      setMemberErr(e.message || "Failed to create member");
-      setMemberSaveState("idle");
-      showToast(e.message || "Failed to create member", "error");
+      setRepriceErr(e.message || "Failed to re-price rides");
+      setRepriceState("idle");
+      showToast(e.message || "Failed to re-price rides", "error");
     }
   }
 
+  // ---------- Weekly template ----------
+  function openTemplateModal() {
+    window.clearTimeout(templateCloseTimerRef.current);
+    setTemplateModalClosing(false);
+    setTemplateState("idle");
+    setTemplateErr("");
+    setTemplatePreview(null);
+    setTemplateDays({});
+    setTemplateOpen(true);
+    getTemplate()
+      .then((days) => {
+        const form = {};
+        for (const day of days) {
+          form[day.weekday] = {
+            driver_id: day.driver_id,
+            trips: Object.fromEntries(day.riders.map((r) => [r.member_id, r.trip_type])),
+          };
+        }
+        setTemplateDays(form);
+      })
+      .catch((e) => setTemplateErr(e.message || "Failed to load the weekly template"));
+  }
 
-  // ---------- Balances ----------
-  const balances = useMemo(() => computeMonthBalances(allMembers, entries), [allMembers, entries]);
-  const transfers = useMemo(() => suggestTransfers(balances), [balances]);
+  // Picking a driver starts them on the group's default trip type
+  function setTemplateDriver(weekday, driverId) {
+    setTemplatePreview(null);
+    setTemplateDays((p) => {
+      const day = p[weekday] || { driver_id: "", trips: {} };
+      const trips = driverId && !day.trips[driverId] ? { ...day.trips, [driverId]: groupSettings.default_trip_type } : day.trips;
+      return { ...p, [weekday]: { driver_id: driverId, trips } };
+    });
+  }
 
-  const todayStr = fmtDate(new Date());
+  function setTemplateTrip(weekday, memberId, tripType) {
+    setTemplatePreview(null);
+    setTemplateDays((p) => ({ ...p, [weekday]: { ...p[weekday], trips: { ...p[weekday].trips, [memberId]: tripType } } }));
+  }
 
-  if (authBooting) {
-    return (
-      <main className="authBootPage" data-theme={theme}>
-        {showSplash ? (
-          <div className="splashOverlay">
-            <div className="splashCard">
-              <BrandMark theme={theme} />
-              <div className="road">
-                <div className="car" aria-hidden="true"><UiIcon name="carSide" /></div>
-              </div>
-              <div className="splashSub" aria-label="Preparing your trip. Buckle up.">
-                <span className="splashMessage splashMessagePrimary" aria-hidden="true">Preparing your trip</span>
-                <span className="splashMessage splashMessageSecondary" aria-hidden="true">Buckle up</span>
-              </div>
-              <div className="splashProgress" aria-hidden="true"><span /><span /><span /></div>
-            </div>
-          </div>
-        ) : (
-          <div className="authBootState" role="status" aria-live="polite">
-            <BrandMark theme={theme} />
-            <div className="authBootPulse" aria-hidden="true"><span /><span /><span /></div>
-            <span>Opening your workspace</span>
-          </div>
-        )}
-      </main>
-    );
+  // Saves the template, then shows what it would plan for the viewed month
+  async function onPreviewTemplateFill() {
+    setTemplateErr("");
+    if (templateState !== "idle") return;
+    setTemplateState("previewing");
+    try {
+      const days = Object.entries(templateDays)
+        .filter(([weekday, day]) => day.driver_id && groupSettings.weekdays.includes(Number(weekday)))
+        .map(([weekday, day]) => ({
+          weekday: Number(weekday),
+          driver_id: day.driver_id,
+          riders: Object.entries(day.trips)
+            .filter(([id, trip]) => trip !== "none" && members.some((m) => m.member_id === id))
+            .map(([member_id, trip_type]) => ({ member_id, trip_type })),
+        }));
+      await saveTemplate(days);
+      setTemplatePreview(await fillMonthFromTemplate(month));
+    } catch (e) {
+      setTemplateErr(e.message || "Failed to preview the month");
+    } finally {
+      setTemplateState("idle");
+    }
   }
 
-  // =========================
-  // JOIN SCREEN
-  // =========================
-  if (!groupOk) {
-    return (
-      <main className="authPage" data-theme={theme}>
-        {showSplash && (
-          <div className="splashOverlay">
-            <div className="splashCard">
-              <BrandMark theme={theme} />
-              <div className="road">
-                <div className="car" aria-hidden="true"><UiIcon name="carSide" /></div>
-              </div>
-              <div className="splashSub" aria-label="Preparing your trip. Buckle up.">
-                <span className="splashMessage splashMessagePrimary" aria-hidden="true">Preparing your trip</span>
-                <span className="splashMessage splashMessageSecondary" aria-hidden="true">Buckle up</span>
-              </div>
-              <div className="splashProgress" aria-hidden="true">
-                <span />
-                <span />
-                <span />
+  async function onApplyTemplateFill() {
+    setTemplateErr("");
+    if (!templatePreview?.planned.length || templateState !== "idle") return;
+    setTemplateState("filling");
+    try {
+      const result = await fillMonthFromTemplate(month, true);
+      setTemplateState("success");
+      showToast(`${result.planned.length} ride${result.planned.length === 1 ? "" : "s"} planned for ${monthDisplay}`);
+      window.setTimeout(closeTemplateModal, 420);
+      loadAll({ targetMonth: month, force: true, skipDriverReset: true });
+    } catch (e) {
+      setTemplateErr(e.message || "Failed to fill the month");
+      setTemplateState("idle");
+      showToast(e.message || "Failed to fill the month", "error");
+    }
+  }
+
+  // ---------- Group settings ----------
+  function openSettingsModal() {
+    window.clearTimeout(settingsCloseTimerRef.current);
+    setSettingsModalClosing(false);
+    setSettingsSaveState("idle");
+    setSettingsErr("");
+    setSettingsForm({ ...groupSettings });
+    setCustomHolidayForm({ date: "", name: "" });
+    setSettingsOpen(true);
+    getCustomHolidays()
+      .then(setCustomHolidays)
+      .catch((e) => setSettingsErr(e.message || "Failed to load company holidays"));
+  }
+
+  // Company holidays save on their own, without "Save settings". `change`
+  // may return a message to show instead of `doneMessage`.
+  async function changeCustomHolidays(change, doneMessage) {
+    setSettingsErr("");
+    if (customHolidayState !== "idle") return;
+    setCustomHolidayState("saving");
+    try {
+      const message = await change();
+      setCustomHolidays(await getCustomHolidays());
+      monthCacheRef.current.clear();
+      loadAll({ targetMonth: month, force: true, skipDriverReset: true });
+      showToast(message || doneMessage);
+    } catch (e) {
+      setSettingsErr(e.message || "Failed to update company holidays");
+    } finally {
+      setCustomHolidayState("idle");
+    }
+  }
+
+  function onAddCustomHoliday() {
+    const { date, name } = customHolidayForm;
+    changeCustomHolidays(async () => {
+      await addCustomHoliday(date, name.trim());
+      setCustomHolidayForm({ date: "", name: "" });
+    }, "Holiday added");
+  }
+
+  function onImportHolidays(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    changeCustomHolidays(async () => {
+      const result = await importIcs({ ics: await file.text(), target: "holidays" });
+      return `${result.holidays.length} holiday${result.holidays.length === 1 ? "" : "s"} imported`;
+    });
+  }
+
+  async function onSaveSettings() {
+    setSettingsErr("");
+    if (settingsSaveState !== "idle") return;
+    setSettingsSaveState("saving");
+    try {
+      const saved = await saveSettings(settingsForm);
+      const calendarChanged = saved.holiday_calendar !== groupSettings.holiday_calendar;
+      setGroupSettings(saved);
+      // Cached months hold the old calendar's holidays
+      if (calendarChanged) {
+        monthCacheRef.current.clear();
+        loadAll({ targetMonth: month, force: true, skipDriverReset: true });
+      }
+      setSettingsSaveState("success");
+      showToast("Settings saved");
+      window.setTimeout(closeSettingsModal, 420);
+    } catch (e) {
+      setSettingsErr(e.message || "Failed to save settings");
+      setSettingsSaveState("idle");
+      showToast(e.message || "Failed to save settings", "error");
+    }
+  }
+
+  // ---------- Member management ----------
+  function openMembersModal() {
+    window.clearTimeout(membersCloseTimerRef.current);
+    setMembersModalClosing(false);
+    setMembersErr("");
+    setEditingMemberId("");
+    setDeparture(null);
+    setMembersOpen(true);
+  }
+
+  function toggleMemberEditor(m) {
+    setMembersErr("");
+    setDeparture(null);
+    setMergePreview(null);
+    setMergeInto("");
+    setMemberEditState("idle");
+    if (editingMemberId === m.member_id) {
+      setEditingMemberId("");
+      return;
+    }
+    setEditingMemberId(m.member_id);
+    setMemberEditForm({ name: m.name, phone: m.phone || "" });
+    setMemberDaysOff([]);
+    setDaysOffForm({ from: "", to: "", name: "" });
+    getDaysOff({ member_id: m.member_id })
+      .then(setMemberDaysOff)
+      .catch((e) => setMembersErr(e.message || "Failed to load days off"));
+  }
+
+  // Days off change what the calendar shows and who a new ride starts with
+  async function changeDaysOff(memberId, change, doneMessage) {
+    setMembersErr("");
+    if (memberEditState !== "idle") return;
+    setMemberEditState("saving");
+    try {
+      const message = await change();
+      setMemberDaysOff(await getDaysOff({ member_id: memberId }));
+      monthCacheRef.current.clear();
+      loadAll({ targetMonth: month, force: true, skipDriverReset: true });
+      showToast(message || doneMessage);
+    } catch (e) {
+      setMembersErr(e.message || "Failed to update days off");
+    } finally {
+      setMemberEditState("idle");
+    }
+  }
+
+  function onAddDaysOff(member) {
+    changeDaysOff(member.member_id, async () => {
+      await addDaysOff({ member_id: member.member_id, ...daysOffForm, to: daysOffForm.to || daysOffForm.from });
+      setDaysOffForm({ from: "", to: "", name: "" });
+    }, `Days off added for ${member.name}`);
+  }
+
+  async function saveMemberPatch(patch, message) {
+    setMembersErr("");
+    if (memberEditState !== "idle") return;
+    setMemberEditState("saving");
+    try {
+      await updateMember(editingMemberId, patch);
+      await loadAll({ targetMonth: month, force: true, skipDriverReset: true, throwOnError: true });
+      showToast(message);
+    } catch (e) {
+      setMembersErr(e.message || "Failed to update member");
+      showToast(e.message || "Failed to update member", "error");
+    } finally {
+      setMemberEditState("idle");
+    }
+  }
+
+  // Removing starts by looking at the member's history: without any they can
+  // be deleted, otherwise they can only be deactivated once they're settled up.
+  async function onRemoveMember() {
+    setMembersErr("");
+    if (memberEditState !== "idle") return;
+    setMemberEditState("checking");
+    setMergePreview(null);
+    try {
+      setDeparture(await getMemberDeparture(editingMemberId));
+    } catch (e) {
+      setMembersErr(e.message || "Failed to check member history");
+    } finally {
+      setMemberEditState("idle");
+    }
+  }
+
+  function onImportDaysOff(e, member) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    changeDaysOff(member.member_id, async () => {
+      const result = await importIcs({ ics: await file.text(), target: "days_off", member_id: member.member_id });
+      const count = result.days_off.length;
+      return `${count} stretch${count === 1 ? "" : "es"} of days off imported for ${member.name}`;
+    });
+  }
+
+  async function onDeleteMember() {
+    setMembersErr("");
+    if (memberEditState !== "idle") return;
+    setMemberEditState("saving");
+    try {
+      await deleteMember(editingMemberId);
+      setEditingMemberId("");
+      setDeparture(null);
+      await loadAll({ targetMonth: month, force: true, skipDriverReset: true, throwOnError: true });
+      showToast("Member removed");
+    } catch (e) {
+      setMembersErr(e.message || "Failed to remove member");
+      showToast(e.message || "Failed to remove member", "error");
+    } finally {
+      setMemberEditState("idle");
+    }
+  }
+
+  // Merging is previewed first; applying it moves the duplicate's history
+  // (the member being edited) onto the member picked in mergeInto.
+  async function onMergeMember(apply) {
+    setMembersErr("");
+    if (!mergeInto || memberEditState !== "idle") return;
+    setMemberEditState(apply ? "merging" : "checking");
+    setDeparture(null);
+    try {
+      const result = await mergeMember(editingMemberId, mergeInto, apply);
+      if (!apply) {
+        setMergePreview(result);
+        return;
+      }
+      setEditingMemberId("");
+      setMergePreview(null);
+      await loadAll({ targetMonth: month, force: true, skipDriverReset: true, throwOnError: true });
+      showToast(`Merged into ${nameById[mergeInto] || mergeInto}`);
+    } catch (e) {
+      setMembersErr(e.message || "Failed to merge members");
+      showToast(e.message || "Failed to merge members", "error");
+    } finally {
+      setMemberEditState("idle");
+    }
+  }
+
+  // Settling up on the way out is recorded on the day the settlement was computed
+  async function onPayDeparture(t) {
+    const key = `${t.from}>${t.to}`;
+    if (payingKey) return;
+    setPayingKey(key);
+    setMembersErr("");
+    try {
+      await createPayment({ from_member_id: t.from, to_member_id: t.to, amount: t.amount, date: departure.to });
+      setDeparture(await getMemberDeparture(editingMemberId));
+      await loadAll({ targetMonth: month, force: true, skipDriverReset: true });
+      showToast("Payment recorded");
+    } catch (e) {
+      setMembersErr(e.message || "Failed to record payment");
+      showToast(e.message || "Failed to record payment", "error");
+    } finally {
+      setPayingKey("");
+    }
+  }
+
+  // ---------- Settlement rules ----------
+  function toggleRulesForm() {
+    if (!rulesOpen) {
+      const { prefer, avoid, min_amount } = settlement.rules;
+      setRulesForm({ prefer, avoid, min_amount: min_amount ? String(min_amount) : "" });
+      setRuleDraft({ kind: "prefer", a: members[0]?.member_id || "", b: members[1]?.member_id || "" });
+      setRulesSaveState("idle");
+    }
+    setRulesOpen(!rulesOpen);
+  }
+
+  function addRule() {
+    const { kind, a, b } = ruleDraft;
+    if (!a || !b || a === b) return;
+    setRulesForm((p) => ({ ...p, [kind]: [...p[kind], [a, b]] }));
+  }
+
+  function removeRule(kind, index) {
+    setRulesForm((p) => ({ ...p, [kind]: p[kind].filter((_, i) => i !== index) }));
+  }
+
+  async function onSaveRules() {
+    setErr("");
+    if (rulesSaveState !== "idle") return;
+    setRulesSaveState("saving");
+    try {
+      await saveSettlementRules({ ...rulesForm, min_amount: Number(rulesForm.min_amount || 0) });
+      await refreshSettlements();
+      setRulesSaveState("idle");
+      setRulesOpen(false);
+      showToast("Settlement rules saved");
+    } catch (e) {
+      setErr(e.message || "Failed to save settlement rules");
+      setRulesSaveState("idle");
+      showToast(e.message || "Failed to save settlement rules", "error");
+    }
+  }
+
+  // ---------- Opening balances ----------
+  function toggleOpeningForm() {
+    if (!openingOpen) {
+      const form = {};
+      for (const m of allMembers) form[m.member_id] = m.opening_balance ? String(m.opening_balance) : "";
+      setOpeningForm(form);
+      setOpeningSaveState("idle");
+    }
+    setOpeningOpen(!openingOpen);
+  }
+
+  const openingNet = round2(Object.values(openingForm).reduce((s, v) => s + Number(v || 0), 0));
+
+  async function onSaveOpeningBalances() {
+    setErr("");
+    if (openingSaveState !== "idle") return;
+    setOpeningSaveState("saving");
+    try {
+      await setOpeningBalances(
+        Object.entries(openingForm).map(([member_id, amount]) => ({ member_id, amount: Number(amount || 0) }))
+      );
+      await loadAll({ targetMonth: month, force: true, skipDriverReset: true, throwOnError: true });
+      setOpeningSaveState("idle");
+      setOpeningOpen(false);
+      showToast("Opening balances saved");
+    } catch (e) {
+      setErr(e.message || "Failed to save opening balances");
+      setOpeningSaveState("idle");
+      showToast(e.message || "Failed to save opening balances", "error");
+    }
+  }
+
+  // ---------- Payments ----------
+  function setMonthPayments(nextPayments) {
+    setPayments(nextPayments);
+    monthCacheRef.current.set(month, { entries, holidays, payments: nextPayments, sharedExpenses });
+  }
+
+  // Today, or the nearest day of the viewed month when looking at another month
+  function dateInViewedMonth() {
+    const today = todayIn(groupZone);
+    const [y, m] = month.split("-").map(Number);
+    const lastDay = `${month}-${pad2(new Date(y, m, 0).getDate())}`;
+    return today.startsWith(month) ? today : today > lastDay ? lastDay : `${month}-01`;
+  }
+
+  async function onMarkPaid(t) {
+    const key = `${t.from}>${t.to}`;
+    if (payingKey) return;
+    setPayingKey(key);
+    setErr("");
+    // Land the payment in the month it settles
+    const date = dateInViewedMonth();
+    try {
+      const payment = await createPayment({ from_member_id: t.from, to_member_id: t.to, amount: t.amount, date });
+      setMonthPayments([...payments, payment]);
+      refreshSettlements();
+      showToast("Payment recorded");
+    } catch (e) {
+      setErr(e.message || "Failed to record payment");
+      showToast(e.message || "Failed to record payment", "error");
+    } finally {
+      setPayingKey("");
+    }
+  }
+
+  async function onVoidPayment(paymentId) {
+    setErr("");
+    try {
+      const voided = await voidPayment(paymentId);
+      setMonthPayments(payments.map((p) => (p.payment_id === paymentId ? voided : p)));
+      refreshSettlements();
+      showToast("Payment voided");
+    } catch (e) {
+      setErr(e.message || "Failed to void payment");
+      showToast(e.message || "Failed to void payment", "error");
+    }
+  }
+
+  // ---------- Shared expenses ----------
+  function setMonthSharedExpenses(next) {
+    setSharedExpenses(next);
+    monthCacheRef.current.set(month, { entries, holidays, payments, sharedExpenses: next });
+  }
+
+  function toggleSharedForm() {
+    if (!sharedOpen) {
+      setSharedForm({
+        date: dateInViewedMonth(),
+        description: "",
+        amount: "",
+        payer_id: members[0]?.member_id || "",
+        weighted: false,
+        member_ids: members.map((m) => m.member_id),
+        weights: {}, // member_id -> weight text
+      });
+      setSharedSaveState("idle");
+    }
+    setSharedOpen(!sharedOpen);
+  }
+
+  function toggleSharer(memberId) {
+    setSharedForm((p) => ({
+      ...p,
+      member_ids: p.member_ids.includes(memberId)
+        ? p.member_ids.filter((id) => id !== memberId)
+        : [...p.member_ids, memberId],
+    }));
+  }
+
+  async function onSaveSharedExpense() {
+    setErr("");
+    if (sharedSaveState !== "idle") return;
+    setSharedSaveState("saving");
+    const { date, description, amount, payer_id, weighted, member_ids, weights } = sharedForm;
+    try {
+      const expense = await createSharedExpense({
+        date,
+        description,
+        amount: Number(amount),
+        payer_id,
+        member_ids,
+        weights: weighted ? member_ids.map((id) => Number(weights[id] || 0)) : [],
+      });
+      if (date.startsWith(month)) setMonthSharedExpenses([...sharedExpenses, expense]);
+      else monthCacheRef.current.delete(date.slice(0, 7));
+      refreshSettlements();
+      setSharedSaveState("idle");
+      setSharedOpen(false);
+      showToast("Shared expense recorded");
+    } catch (e) {
+      setErr(e.message || "Failed to record shared expense");
+      setSharedSaveState("idle");
+      showToast(e.message || "Failed to record shared expense", "error");
+    }
+  }
+
+  async function onVoidSharedExpense(expenseId) {
+    setErr("");
+    try {
+      const voided = await voidSharedExpense(expenseId);
+      setMonthSharedExpenses(sharedExpenses.map((x) => (x.expense_id === expenseId ? voided : x)));
+      refreshSettlements();
+      showToast("Shared expense voided");
+    } catch (e) {
+      setErr(e.message || "Failed to void shared expense");
+      showToast(e.message || "Failed to void shared expense", "error");
+    }
+  }
+
+  async function onCreateMember() {
+    setMemberErr("");
+    const name = newMemberName.trim();
+    const phone = newMemberPhone.trim();
+    if (!name) return setMemberErr("Name is required.");
+    if (!phone) return setMemberErr("Phone is required.");
+
+    // Combine country code with phone number
+    const fullPhone = `${newMemberCountryCode}${phone}`;
+
+    if (memberSaveState === "saving") return;
+    setMemberSaveState("saving");
+
+    try {
+      await createMember({ name, phone: fullPhone, active: true });
+      setNewMemberName("");
+      setNewMemberPhone("");
+      setMemberSaveState("success");
+      showToast("Member added");
+      window.setTimeout(closeMemberModal, 420);
+      loadAll({ targetMonth: month, force: true, skipDriverReset: true });
+    } catch (e) {
+      setMemberErr(e.message || "Failed to create member");
+      setMemberSaveState("idle");
+      showToast(e.message || "Failed to create member", "error");
+    }
+  }
+
+
+  // ---------- Balances ----------
+  // Balances and transfers come from the server so every client shows the same figures
+  const balanceById = useMemo(() => {
+    const map = new Map();
+    if (settlement.month === month) for (const b of settlement.balances) map.set(b.member_id, b);
+    return map;
+  }, [settlement, month]);
+  const transfers = settlement.month === month ? settlement.transfers : [];
+
+  async function refreshSettlements() {
+    const targetMonth = month;
+    try {
+      const st = await getSettlements(targetMonth);
+      setSettlement({ ...EMPTY_SETTLEMENT, ...st, month: targetMonth });
+    } catch (e) {
+      setErr(e.message || "Failed to load balances");
+    }
+  }
+
+  const todayStr = todayIn(groupZone);
+  const activeDayRides = activeDay ? entriesByDate.get(fmtDate(activeDay)) || [] : [];
+
+  if (authBooting) {
+    return (
+      <main className="authBootPage" data-theme={theme}>
+        {showSplash ? (
+          <div className="splashOverlay">
+            <div className="splashCard">
+              <BrandMark theme={theme} />
+              <div className="road">
+                <div className="car" aria-hidden="true"><UiIcon name="carSide" /></div>
+              </div>
+              <div className="splashSub" aria-label="Preparing your trip. Buckle up.">
+                <span className="splashMessage splashMessagePrimary" aria-hidden="true">Preparing your trip</span>
+                <span className="splashMessage splashMessageSecondary" aria-hidden="true">Buckle up</span>
+              </div>
+              <div className="splashProgress" aria-hidden="true"><span /><span /><span /></div>
+            </div>
+          </div>
+        ) : (
+          <div className="authBootState" role="status" aria-live="polite">
+            <BrandMark theme={theme} />
+            <div className="authBootPulse" aria-hidden="true"><span /><span /><span /></div>
+            <span>Opening your workspace</span>
+          </div>
+        )}
+      </main>
+    );
+  }
+
+  // =========================
+  // JOIN SCREEN
+  // =========================
+  if (!groupOk) {
+    return (
+      <main className="authPage" data-theme={theme}>
+        {showSplash && (
+          <div className="splashOverlay">
+            <div className="splashCard">
+              <BrandMark theme={theme} />
+              <div className="road">
+                <div className="car" aria-hidden="true"><UiIcon name="carSide" /></div>
+              </div>
+              <div className="splashSub" aria-label="Preparing your trip. Buckle up.">
+                <span className="splashMessage splashMessagePrimary" aria-hidden="true">Preparing your trip</span>
+                <span className="splashMessage splashMessageSecondary" aria-hidden="true">Buckle up</span>
+              </div>
+              <div className="splashProgress" aria-hidden="true">
+                <span />
+                <span />
+                <span />
               </div>
             </div>
           </div>
@@ -1097,16 +2118,24 @@ export default function App() {
             </div>
 
             <form onSubmit={handleJoin} className="authCard" noValidate>
-              <div className="authCardHeader">
-                <div className="authKicker">Member access</div>
-                <h2>Welcome back</h2>
-                <p>Enter the credentials shared by your group organizer.</p>
-              </div>
+              {authMode === "create" ? (
+                <div className="authCardHeader">
+                  <div className="authKicker">New group</div>
+                  <h2>Start a carpool</h2>
+                  <p>Pick a Group ID and a join code to share with your riders.</p>
+                </div>
+              ) : (
+                <div className="authCardHeader">
+                  <div className="authKicker">Member access</div>
+                  <h2>Welcome back</h2>
+                  <p>Enter the credentials shared by your group organizer.</p>
+                </div>
+              )}
 
               {authErr && (
                 <div className="authError" role="alert">
                   <span aria-hidden="true">!</span>
-                  <div><strong>We couldn’t sign you in</strong><small>{authErr}</small></div>
+                  <div><strong>{authMode === "create" ? "We couldn’t create that group" : "We couldn’t sign you in"}</strong><small>{authErr}</small></div>
                 </div>
               )}
 
@@ -1127,10 +2156,48 @@ export default function App() {
                 </div>
               </div>
 
+              {authMode === "create" && (
+                <div className="authField">
+                  <label htmlFor="owner-name">Your name</label>
+                  <div className="authInputWrap">
+                    <svg viewBox="0 0 24 24" aria-hidden="true"><path d="M18 19c0-2.8-2.7-5-6-5s-6 2.2-6 5M12 11a3.5 3.5 0 1 0 0-7 3.5 3.5 0 0 0 0 7Z" /></svg>
+                    <input
+                      id="owner-name"
+                      value={ownerName}
+                      onChange={(e) => setOwnerName(e.target.value)}
+                      autoComplete="name"
+                      placeholder="e.g. Arun Kumar"
+                      aria-invalid={authErr ? "true" : "false"}
+                    />
+                  </div>
+                </div>
+              )}
+
+              {authMode === "create" && (
+                <div className="authField">
+                  <div className="authLabelRow">
+                    <label htmlFor="owner-phone">Your phone</label>
+                    <span>Optional</span>
+                  </div>
+                  <div className="authInputWrap">
+                    <svg viewBox="0 0 24 24" aria-hidden="true"><path d="M8 3h8v18H8V3Zm3 15h2" /></svg>
+                    <input
+                      id="owner-phone"
+                      type="tel"
+                      value={ownerPhone}
+                      onChange={(e) => setOwnerPhone(e.target.value)}
+                      autoComplete="tel"
+                      placeholder="Needed to claim a group you’re already in"
+                      aria-invalid={authErr ? "true" : "false"}
+                    />
+                  </div>
+                </div>
+              )}
+
               <div className="authField">
                 <div className="authLabelRow">
                   <label htmlFor="join-code">Join code</label>
-                  <span>Up to 8 characters</span>
+                  <span>{authMode === "create" ? "4 to 8 characters" : "Up to 8 characters"}</span>
                 </div>
                 <div className="authInputWrap">
                   <svg viewBox="0 0 24 24" aria-hidden="true"><path d="M7 10V8a5 5 0 0 1 10 0v2M6 10h12v9H6v-9Zm6 4v2" /></svg>
@@ -1139,9 +2206,9 @@ export default function App() {
                     type={showJoinCode ? "text" : "password"}
                     value={joinCode}
                     onChange={(e) => setJoinCode(e.target.value)}
-                    autoComplete="current-password"
+                    autoComplete={authMode === "create" ? "new-password" : "current-password"}
                     maxLength={8}
-                    placeholder="Enter your join code"
+                    placeholder={authMode === "create" ? "Choose a join code" : "Enter your join code"}
                     aria-invalid={authErr ? "true" : "false"}
                   />
                   <button
@@ -1157,13 +2224,27 @@ export default function App() {
               </div>
 
               <button className="authSubmit" type="submit" disabled={authPending}>
-                <span>{authPending ? "Signing in…" : "Sign in"}</span>
+                <span>
+                  {authMode === "create"
+                    ? (authPending ? "Creating group…" : "Create group")
+                    : (authPending ? "Signing in…" : "Sign in")}
+                </span>
                 {authPending ? <i className="authSpinner" aria-hidden="true" /> : <svg viewBox="0 0 24 24" aria-hidden="true"><path d="m9 6 6 6-6 6" /></svg>}
               </button>
 
               <div className="authHelp">
                 <span aria-hidden="true">?</span>
-                <p><strong>Need your access details?</strong> Ask your group organizer for the Group ID and Join code.</p>
+                {authMode === "create" ? (
+                  <p>
+                    <strong>Already in a group?</strong>
+                    <button className="authModeSwitch" type="button" onClick={() => { setAuthErr(""); setAuthMode("join"); }}>Sign in instead</button>
+                  </p>
+                ) : (
+                  <p>
+                    <strong>Need your access details?</strong> Ask your group organizer for the Group ID and Join code, or{" "}
+                    <button className="authModeSwitch" type="button" onClick={() => { setAuthErr(""); setAuthMode("create"); }}>create a new group</button>.
+                  </p>
+                )}
               </div>
 
               <AuthBenefits className="authBenefitsMobile" />
@@ -1322,6 +2403,22 @@ export default function App() {
               <UiIcon name="userPlus" />
               <span>Add member</span>
             </button>
+            <button className="appButton membersAction" type="button" onClick={openMembersModal}>
+              <UiIcon name="users" />
+              <span>Members</span>
+            </button>
+            <button className="appButton templateAction" type="button" onClick={openTemplateModal}>
+              <UiIcon name="calendar" />
+              <span>Fill month</span>
+            </button>
+            <button className="appButton repriceAction" type="button" onClick={openRepriceModal}>
+              <UiIcon name="wallet" />
+              <span>Re-price</span>
+            </button>
+            <button className="appButton settingsAction" type="button" onClick={openSettingsModal}>
+              <UiIcon name="sliders" />
+              <span>Settings</span>
+            </button>
             <button className="appButton mobileRefreshAction" type="button" onClick={() => loadAll({ targetMonth: month, force: true })} disabled={loading}>
               <UiIcon name="refresh" className={loading ? "isSpinning" : ""} />
               <span>{loading ? "Refreshing" : "Refresh"}</span>
@@ -1337,13 +2434,13 @@ export default function App() {
 
         <section className="calendarPanel" aria-busy={loading}>
           <div className="calendarPanelHeader">
-            <div><UiIcon name="calendar" /><strong>Weekday schedule</strong></div>
+            <div><UiIcon name="calendar" /><strong>Riding schedule</strong></div>
             <span>Select a day to add or edit a ride</span>
           </div>
 
           <div
             className={`calendarContainer${monthTransition !== "none" ? ` ${monthTransition}` : ""}${loading ? " isMonthLoading" : ""}`}
-            style={{ touchAction: "pan-y" }}
+            style={{ touchAction: "pan-y", "--week-columns": calendarColumns.length }}
             onPointerDown={handleSwipeStart}
             onPointerUp={handleSwipeEnd}
             onClickCapture={handleCalendarClick}
@@ -1354,9 +2451,9 @@ export default function App() {
             </div>
           )}
           <div className="weekHeader">
-          {["Mon", "Tue", "Wed", "Thu", "Fri"].map((label) => (
-            <div key={label} className="weekHeaderCell">
-              {label}
+          {calendarColumns.map((day) => (
+            <div key={day} className="weekHeaderCell">
+              {weekdayLabel(day, groupSettings.locale)}
             </div>
           ))}
           </div>
@@ -1374,44 +2471,61 @@ export default function App() {
               }
 
               const dateStr = fmtDate(d);
-              const e = entryByDate.get(dateStr);
+              const dayRides = entriesByDate.get(dateStr) || [];
+              const hasRides = dayRides.length > 0;
+              const isPlanned = hasRides && dayRides.every((r) => r.planned);
+              const dayRiderCount = new Set(dayRides.flatMap((r) => (r.riders || []).map((x) => (x.guest_name ? `${r.entry_id}:${x.member_id}` : x.member_id)))).size;
 
               const holidayName = holidayByDate.get(dateStr);
               const isHoliday = !!holidayName;
+              const daysOff = daysOffByDate.get(dateStr) || [];
               const isToday = dateStr === todayStr;
 
               return (
                 <div
                   key={dateStr}
-                  className={`calendarCell${e ? " calendarCellHasEntry" : ""}${isHoliday ? " calendarCellHoliday" : ""}${isToday ? " calendarCellToday" : ""}`}
+                  className={`calendarCell${hasRides ? " calendarCellHasEntry" : ""}${isPlanned ? " calendarCellPlanned" : ""}${isHoliday ? " calendarCellHoliday" : ""}${isToday ? " calendarCellToday" : ""}`}
                   onClick={() => openDay(d)}
                 >
                   <div className="dayTop">
                     <div className="dayNum">{d.getDate()}</div>
+                    {daysOff.length > 0 && (
+                      <span
+                        className="daysOffTag"
+                        title={daysOff.map((o) => `${nameById[o.member_id] || o.member_id}: ${o.name}`).join("\n")}
+                      >
+                        {daysOff.length === 1 ? `${nameById[daysOff[0].member_id] || "1"} off` : `${daysOff.length} off`}
+                      </span>
+                    )}
                     {isToday && <span className="todayTag">Today</span>}
                   </div>
 
-                  {e ? (
+                  {hasRides ? (
                     <>
                       <div className="cellDetails">
-                        <div className="pcDriver">
-                          <UiIcon name="rideCar" className="calendarCarIcon" />
-                          <span className="calendarDriverName">{nameById[e.driver_id] || e.driver_id}</span>
-                        </div>
+                        {dayRides.map((ride) => (
+                          <div key={ride.entry_id} className="pcDriver">
+                            <UiIcon name="rideCar" className="calendarCarIcon" />
+                            {ride.leg && <span className="legTag">{ride.leg}</span>}
+                            <span className="calendarDriverName">{rideDriverNames(ride)}</span>
+                            {ride.planned && <span className="legTag">planned</span>}
+                          </div>
+                        ))}
                         <div className="pcRiders">
                           <UiIcon name="users" />
-                          {e.riders?.length || 0} riders
+                          {dayRiderCount} riders
                         </div>
                       </div>
 
                       <div className="mobileSummary">
                         <div className="mobileDriver">
                           <UiIcon name="rideCar" className="calendarCarIcon" />
-                          <span className="calendarDriverName">{nameById[e.driver_id] || e.driver_id}</span>
+                          <span className="calendarDriverName">{rideDriverNames(dayRides[0])}</span>
+                          {dayRides.length > 1 && <span className="legTag">+{dayRides.length - 1}</span>}
                         </div>
                         <div className="mobileRiders">
                           <UiIcon name="users" />
-                          {e.riders?.length || 0}
+                          {dayRiderCount}
                         </div>
                       </div>
                     </>
@@ -1434,23 +2548,53 @@ export default function App() {
         <article className="summaryCard balanceCard">
           <header className="summaryCardHeader">
             <span className="summaryIcon"><UiIcon name="wallet" /></span>
-            <div><h2>Balances</h2><p>Current position by member</p></div>
+            <div><h2>Balances</h2><p>Overall position, with this month’s change</p></div>
+            <button type="button" className="appButton appButtonSmall openingToggle" onClick={toggleOpeningForm}>
+              {openingOpen ? "Close" : "Opening balances"}
+            </button>
           </header>
-          <div className="summaryRows">
-            {allMembers
-              .slice()
+          {openingOpen && (
+            <div className="summaryRows openingForm">
+              <p className="openingIntro">Carry over what members owed before using the app. Positive means the group owes them; the total must be zero.</p>
+              {allMembers.map((m) => (
+                <label key={m.member_id} className="summaryRow">
+                  <span>{m.name}</span>
+                  <input
+                    className="appControl"
+                    inputMode="decimal"
+                    placeholder="0.00"
+                    value={openingForm[m.member_id] ?? ""}
+                    onChange={(e) => setOpeningForm((p) => ({ ...p, [m.member_id]: e.target.value }))}
+                  />
+                </label>
+              ))}
+              <div className="summaryRow">
+                <span className={Math.abs(openingNet) >= 0.01 ? "openingNetOff" : ""}>Total {openingNet.toFixed(2)}</span>
+                <button type="button" className="appButton appButtonSmall appButtonPrimary" onClick={onSaveOpeningBalances} disabled={openingSaveState !== "idle" || Math.abs(openingNet) >= 0.01}>
+                  {openingSaveState === "saving" ? "Saving…" : "Save"}
+                </button>
+              </div>
+            </div>
+          )}
+          <div className="summaryRows">
+            {allMembers
+              .slice()
               .sort((a, b) => Number(b.active) - Number(a.active))
-              .filter((m) => m.active || Math.abs(balances[m.member_id] ?? 0) > 0.005)
+              .filter((m) => m.active || Math.abs(balanceById.get(m.member_id)?.closing ?? 0) > 0.005)
               .map((m) => {
-                const balance = Number(balances[m.member_id] ?? 0);
+                const balance = Number(balanceById.get(m.member_id)?.closing ?? 0);
+                const change = Number(balanceById.get(m.member_id)?.net ?? 0);
                 return (
                 <div key={m.member_id} className={`summaryRow${m.active ? "" : " isInactive"}`}>
                   <div className="memberIdentity">
                     <span>{m.name?.slice(0, 1)?.toUpperCase()}</span>
                     <div><strong>{m.name}</strong>{!m.active && <small>Inactive</small>}</div>
                   </div>
-                  <div className={`balanceAmount ${balance >= 0 ? "isPositive" : "isNegative"}`}>
-                    {balance >= 0 ? "+" : "−"}${Math.abs(balance).toFixed(2)}
+                  <div className="balanceFigures">
+                    <div className={`balanceAmount ${balance >= 0 ? "isPositive" : "isNegative"}`}>
+                      {balance >= 0 ? "+" : "−"}{money(Math.abs(balance))}
+                    </div>
+                    <small>This month {change >= 0 ? "+" : "−"}{money(Math.abs(change))}</small>
                   </div>
                 </div>
               )})}
@@ -1460,11 +2604,59 @@ export default function App() {
         <article className="summaryCard settleCard">
           <header className="summaryCardHeader">
             <span className="summaryIcon"><UiIcon name="settle" /></span>
-            <div><h2>Settle up</h2><p>Suggested transfers</p></div>
+            <div><h2>Settle up</h2><p>Fewest transfers to settle everyone</p></div>
+            <button type="button" className="appButton appButtonSmall openingToggle" onClick={toggleRulesForm}>
+              {rulesOpen ? "Close" : "Rules"}
+            </button>
           </header>
+          {rulesOpen && (
+            <div className="summaryRows openingForm rulesForm">
+              <p className="openingIntro">“Prefer” pairs settle with each other first. “Never” pairs are never asked to pay each other. Transfers under the minimum roll over.</p>
+              {["prefer", "avoid"].flatMap((kind) =>
+                rulesForm[kind].map(([a, b], i) => (
+                  <div key={`${kind}-${i}`} className="summaryRow">
+                    <span>{kind === "prefer" ? "Prefer" : "Never"}: {nameById[a] || a} ↔ {nameById[b] || b}</span>
+                    <button type="button" className="iconButton" onClick={() => removeRule(kind, i)} aria-label="Remove rule">
+                      <UiIcon name="close" />
+                    </button>
+                  </div>
+                ))
+              )}
+              <div className="summaryRow ruleDraft">
+                <select className="appControl" value={ruleDraft.kind} onChange={(e) => setRuleDraft((p) => ({ ...p, kind: e.target.value }))} aria-label="Rule type">
+                  <option value="prefer">Prefer</option>
+                  <option value="avoid">Never</option>
+                </select>
+                {["a", "b"].map((side) => (
+                  <select key={side} className="appControl" value={ruleDraft[side]} onChange={(e) => setRuleDraft((p) => ({ ...p, [side]: e.target.value }))} aria-label={side === "a" ? "First member" : "Second member"}>
+                    {members.map((m) => (
+                      <option key={m.member_id} value={m.member_id}>{m.name}</option>
+                    ))}
+                  </select>
+                ))}
+                <button type="button" className="appButton appButtonSmall" onClick={addRule} disabled={!ruleDraft.a || ruleDraft.a === ruleDraft.b}>Add</button>
+              </div>
+              <label className="summaryRow">
+                <span>Minimum transfer ({groupSettings.currency})</span>
+                <input
+                  className="appControl"
+                  inputMode="decimal"
+                  placeholder="0.00"
+                  value={rulesForm.min_amount}
+                  onChange={(e) => setRulesForm((p) => ({ ...p, min_amount: e.target.value }))}
+                />
+              </label>
+              <div className="summaryRow">
+                <span />
+                <button type="button" className="appButton appButtonSmall appButtonPrimary" onClick={onSaveRules} disabled={rulesSaveState !== "idle"}>
+                  {rulesSaveState === "saving" ? "Saving…" : "Save rules"}
+                </button>
+              </div>
+            </div>
+          )}
           <div className="summaryRows">
             {transfers.length === 0 ? (
-              <div className="emptyState"><span>✓</span><strong>All settled</strong><p>No transfers are needed this month.</p></div>
+              <div className="emptyState"><span>✓</span><strong>All settled</strong><p>{settlement.rolled_over.length ? "What’s left is under the minimum and rolls over." : "No transfers are needed."}</p></div>
             ) : (
               transfers.map((t, i) => (
                 <div key={i} className="summaryRow transferRow">
@@ -1473,7 +2665,149 @@ export default function App() {
                     <span><UiIcon name="chevronRight" /></span>
                     <strong>{nameById[t.to] || t.to}</strong>
                   </div>
-                  <div className="transferAmount">${Number(t.amount).toFixed(2)}</div>
+                  <div className="transferAmount">{money(t.amount)}</div>
+                  <button
+                    type="button"
+                    className="appButton appButtonSmall markPaidButton"
+                    onClick={() => onMarkPaid(t)}
+                    disabled={!!payingKey}
+                  >
+                    {payingKey === `${t.from}>${t.to}` ? "Saving…" : "Mark paid"}
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+          {(settlement.rolled_over.length > 0 || settlement.violations.length > 0) && (
+            <div className="settleNotes">
+              {settlement.rolled_over.length > 0 && (
+                <p>{settlement.rolled_over.length} small transfer{settlement.rolled_over.length === 1 ? "" : "s"} under {money(settlement.rules.min_amount)} roll over.</p>
+              )}
+              {settlement.violations.map((t, i) => (
+                <p key={i} className="settleWarning">
+                  {nameById[t.from] || t.from} → {nameById[t.to] || t.to} breaks a “never” rule; there was no other way to settle.
+                </p>
+              ))}
+            </div>
+          )}
+          {payments.length > 0 && (
+            <div className="summaryRows paymentRows">
+              <div className="paymentRowsTitle">Recorded payments</div>
+              {payments.map((p) => (
+                <div key={p.payment_id} className={`summaryRow transferRow paymentRow${p.voided_at ? " isVoided" : ""}`}>
+                  <div>
+                    <strong>{nameById[p.from_member_id] || p.from_member_id}</strong>
+                    <span><UiIcon name="chevronRight" /></span>
+                    <strong>{nameById[p.to_member_id] || p.to_member_id}</strong>
+                    <small>{p.date}{p.method ? ` · ${p.method}` : ""}{p.voided_at ? " · voided" : ""}</small>
+                  </div>
+                  <div className="transferAmount">{money(p.amount)}</div>
+                  {!p.voided_at && (
+                    <button type="button" className="iconButton" onClick={() => onVoidPayment(p.payment_id)} aria-label="Void payment">
+                      <UiIcon name="close" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </article>
+
+        <article className="summaryCard sharedExpensesCard">
+          <header className="summaryCardHeader">
+            <span className="summaryIcon"><UiIcon name="users" /></span>
+            <div><h2>Shared expenses</h2><p>Costs the whole carpool splits</p></div>
+            <button type="button" className="appButton appButtonSmall openingToggle" onClick={toggleSharedForm}>
+              {sharedOpen ? "Close" : "Add expense"}
+            </button>
+          </header>
+          {sharedOpen && sharedForm && (
+            <div className="summaryRows openingForm sharedExpenseForm">
+              <div className="summaryRow ruleDraft">
+                <input
+                  className="appControl"
+                  placeholder="What was it for?"
+                  value={sharedForm.description}
+                  onChange={(e) => setSharedForm((p) => ({ ...p, description: e.target.value }))}
+                />
+                <input
+                  className="appControl"
+                  inputMode="decimal"
+                  placeholder="0.00"
+                  value={sharedForm.amount}
+                  onChange={(e) => setSharedForm((p) => ({ ...p, amount: e.target.value }))}
+                  aria-label="Amount"
+                />
+              </div>
+              <div className="summaryRow ruleDraft">
+                <input
+                  type="date"
+                  className="appControl"
+                  value={sharedForm.date}
+                  onChange={(e) => setSharedForm((p) => ({ ...p, date: e.target.value }))}
+                  aria-label="Date"
+                />
+                <select className="appControl" value={sharedForm.payer_id} onChange={(e) => setSharedForm((p) => ({ ...p, payer_id: e.target.value }))} aria-label="Paid by">
+                  {members.map((m) => (
+                    <option key={m.member_id} value={m.member_id}>Paid by {m.name}</option>
+                  ))}
+                </select>
+                <div className="tripSelector">
+                  <button type="button" className={`tripPill${!sharedForm.weighted ? " isActive" : ""}`} onClick={() => setSharedForm((p) => ({ ...p, weighted: false }))}>
+                    Equal
+                  </button>
+                  <button type="button" className={`tripPill${sharedForm.weighted ? " isActive" : ""}`} onClick={() => setSharedForm((p) => ({ ...p, weighted: true }))}>
+                    Weighted
+                  </button>
+                </div>
+              </div>
+              {members.map((m) => {
+                const sharing = sharedForm.member_ids.includes(m.member_id);
+                return (
+                  <label key={m.member_id} className="summaryRow">
+                    <span>
+                      <input type="checkbox" checked={sharing} onChange={() => toggleSharer(m.member_id)} /> {m.name}
+                    </span>
+                    {sharedForm.weighted && sharing && (
+                      <input
+                        className="appControl"
+                        inputMode="decimal"
+                        placeholder="1"
+                        value={sharedForm.weights[m.member_id] ?? ""}
+                        onChange={(e) => setSharedForm((p) => ({ ...p, weights: { ...p.weights, [m.member_id]: e.target.value } }))}
+                        aria-label={`Weight for ${m.name}`}
+                      />
+                    )}
+                  </label>
+                );
+              })}
+              <div className="summaryRow">
+                <span>{sharedForm.member_ids.length} sharing</span>
+                <button type="button" className="appButton appButtonSmall appButtonPrimary" onClick={onSaveSharedExpense} disabled={sharedSaveState !== "idle" || !sharedForm.member_ids.length}>
+                  {sharedSaveState === "saving" ? "Saving…" : "Save"}
+                </button>
+              </div>
+            </div>
+          )}
+          <div className="summaryRows paymentRows">
+            {sharedExpenses.length === 0 ? (
+              <div className="emptyState"><span>+</span><strong>Nothing shared yet</strong><p>Parking passes, car washes and toll top-ups paid for everyone go here.</p></div>
+            ) : (
+              sharedExpenses.map((x) => (
+                <div key={x.expense_id} className={`summaryRow transferRow paymentRow${x.voided_at ? " isVoided" : ""}`}>
+                  <div>
+                    <strong>{x.description || "Shared expense"}</strong>
+                    <small>
+                      {x.date} · paid by {nameById[x.payer_id] || x.payer_id} · split {x.member_ids.length} ways
+                      {x.voided_at ? " · voided" : ""}
+                    </small>
+                  </div>
+                  <div className="transferAmount">{money(x.amount)}</div>
+                  {!x.voided_at && (
+                    <button type="button" className="iconButton" onClick={() => onVoidSharedExpense(x.expense_id)} aria-label="Void shared expense">
+                      <UiIcon name="close" />
+                    </button>
+                  )}
                 </div>
               ))
             )}
@@ -1490,7 +2824,7 @@ export default function App() {
             <div className="modalHeader">
               <div>
                 <span className="sectionKicker">Ride details</span>
-                <h2>{activeDay ? activeDay.toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric" }) : ""}</h2>
+                <h2>{activeDay ? activeDay.toLocaleDateString(groupSettings.locale, { weekday: "long", month: "long", day: "numeric" }) : ""}</h2>
               </div>
               <button className="iconButton modalClose" type="button" onClick={closeTripModal} aria-label="Close ride details">
                 <UiIcon name="close" />
@@ -1498,9 +2832,53 @@ export default function App() {
             </div>
 
             <div className="modalBody">
+            {activeDayRides.length > 0 && (
+              <section className="formSection">
+                <div className="formSectionHeader"><strong>Rides this day</strong><span>Pick a ride to edit, or add another leg.</span></div>
+                <div className="rideTabs" role="tablist" aria-label="Rides on this day">
+                  {activeDayRides.map((ride) => (
+                    <button
+                      key={ride.entry_id}
+                      type="button"
+                      role="tab"
+                      aria-selected={ride.entry_id === activeEntryId}
+                      className={`rideTab${ride.entry_id === activeEntryId ? " isActive" : ""}`}
+                      onClick={() => fillRideForm(ride, activeDayRides)}
+                    >
+                      <small>{LEG_OPTIONS.find((o) => o.value === (ride.leg || ""))?.label}</small>
+                      <strong>{rideDriverNames(ride)}</strong>
+                    </button>
+                  ))}
+                  <button
+                    type="button"
+                    role="tab"
+                    aria-selected={!activeEntryId}
+                    className={`rideTab rideTabAdd${!activeEntryId ? " isActive" : ""}`}
+                    onClick={() => fillRideForm(null, activeDayRides)}
+                  >
+                    <small>New</small>
+                    <strong>+ Add ride</strong>
+                  </button>
+                </div>
+              </section>
+            )}
+
+            {activeDayRides.some((r) => r.entry_id === activeEntryId && r.planned) && (
+              <p className="modalIntro">Planned from the weekly template. Check who rode and save to confirm it; until then it doesn’t count toward balances.</p>
+            )}
+
             <section className="formSection">
-              <div className="formSectionHeader"><strong>Trip setup</strong><span>Choose the driver and trip rates.</span></div>
-              <label className="appLabel" htmlFor="driver-select">Driver</label>
+              <div className="formSectionHeader"><strong>Trip setup</strong><span>Choose the leg, driver and trip rates.</span></div>
+              <div className="appLabel">Leg</div>
+              <div className="tripSelector legSelector">
+                {LEG_OPTIONS.map((o) => (
+                  <button key={o.value || "day"} type="button" className={`tripPill${leg === o.value ? " isActive" : ""}`} onClick={() => setLeg(o.value)}>
+                    {o.label}
+                  </button>
+                ))}
+              </div>
+
+              <label className="appLabel appLabelSpaced" htmlFor="driver-select">{extraDrivers.length ? "Car 1 driver" : "Driver"}</label>
               <div className="selectControl">
                 <select
                   id="driver-select"
@@ -1509,11 +2887,7 @@ export default function App() {
                   onChange={(e) => {
                     const id = e.target.value;
                     setDriverId(id);
-                    const dObj = memberById.get(id);
-                    setDriverRatesForm({
-                      one_way_total: String(dObj?.one_way_total ?? ""),
-                      two_way_total: String(dObj?.two_way_total ?? ""),
-                    });
+                    editRatesFor(id);
                   }}
                 >
                   <option value="">None</option>
@@ -1526,56 +2900,199 @@ export default function App() {
                 <UiIcon name="chevronRight" />
               </div>
 
-              <div className="appLabel appLabelSpaced">Driver rates</div>
-              <div className="rateRow">
-                <div className="rateInputWrapper">
-                  <input
-                    className="rateInput"
-                    inputMode="decimal"
-                    placeholder=" "
-                    value={driverRatesForm.two_way_total}
-                    onChange={(e) => {
-                      const val = e.target.value;
-                      setDriverRatesForm((p) => ({
-                        ...p,
-                        two_way_total: val,
-                        // Auto-calculate one-way as half of two-way
-                        one_way_total: val ? String((Number(val) / 2).toFixed(2)) : "",
-                      }));
-                    }}
-                  />
-                  <span className="rateLabel">Two-way total ($)</span>
+              {extraDrivers.map((id, i) => (
+                <div key={i} className="extraCar">
+                  <label className="appLabel appLabelSpaced" htmlFor={`car-driver-${i}`}>Car {i + 2} driver</label>
+                  <div className="extraCarRow">
+                    <div className="selectControl">
+                      <select id={`car-driver-${i}`} className="appControl" value={id} onChange={(e) => setExtraDriver(i, e.target.value)}>
+                        {members
+                          .filter((m) => m.member_id === id || !carDrivers.includes(m.member_id))
+                          .map((m) => (
+                            <option key={m.member_id} value={m.member_id}>
+                              {m.name}
+                            </option>
+                          ))}
+                      </select>
+                      <UiIcon name="chevronRight" />
+                    </div>
+                    <button type="button" className="iconButton" onClick={() => removeCar(i)} aria-label={`Remove car ${i + 2}`}>
+                      <UiIcon name="close" />
+                    </button>
+                  </div>
                 </div>
-                <div className="rateInputWrapper">
-                  <input
-                    className="rateInput"
-                    inputMode="decimal"
-                    placeholder=" "
-                    value={driverRatesForm.one_way_total}
-                    onChange={(e) => setDriverRatesForm((p) => ({ ...p, one_way_total: e.target.value }))}
-                  />
-                  <span className="rateLabel">One-way total ($)</span>
+              ))}
+              {carDrivers.length > 0 && members.length > carDrivers.length && (
+                <button type="button" className="appButton appButtonSmall addCarButton" onClick={addCar}>
+                  + Add car
+                </button>
+              )}
+
+              <div className="appLabel appLabelSpaced">{distancePricing ? "Driver vehicle" : "Driver rates"}</div>
+              {carDrivers.length > 1 && (
+                <div className="tripSelector ratesDriverSelector">
+                  {carDrivers.map((id) => (
+                    <button key={id} type="button" className={`tripPill${ratesDriverId === id ? " isActive" : ""}`} onClick={() => editRatesFor(id)}>
+                      {nameById[id] || id}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {distancePricing ? (
+                <>
+                  <div className="rateRow">
+                    <div className="rateInputWrapper">
+                      <input
+                        className="rateInput"
+                        inputMode="decimal"
+                        placeholder=" "
+                        value={vehicleMpg}
+                        onChange={(e) => setVehicleMpg(e.target.value)}
+                      />
+                      <span className="rateLabel">Miles per gallon (or kWh)</span>
+                    </div>
+                  </div>
+                  <div className="inlineAction">
+                    <button type="button" className={`appButton appButtonSmall actionStateButton${rateSaveState === "success" ? " isSuccess" : ""}`} onClick={onUpdateVehicleMpg} disabled={rateSaveState !== "idle"}>
+                      {rateSaveState === "saving" && <i className="actionSpinner" aria-hidden="true" />}
+                      {rateSaveState === "success" && <UiIcon name="check" />}
+                      {rateSaveState === "saving" ? "Saving…" : rateSaveState === "success" ? "Saved" : "Save vehicle"}
+                    </button>
+                    <span>
+                      {groupSettings.route_miles} mi each way at {money(groupSettings.fuel_price)} per gallon
+                      {groupSettings.wear_per_mile ? ` + ${money(groupSettings.wear_per_mile)}/mi wear` : ""}.
+                    </span>
+                  </div>
+                </>
+              ) : (
+                <>
+                <div className="rateRow rateRowDated">
+                  <div className="rateInputWrapper">
+                    <input
+                      type="date"
+                      className="rateInput"
+                      placeholder=" "
+                      value={driverRatesForm.effective_from}
+                      onChange={(e) => setDriverRatesForm((p) => ({ ...p, effective_from: e.target.value }))}
+                    />
+                    <span className="rateLabel">Effective from</span>
+                  </div>
+                  <div className="rateInputWrapper">
+                    <input
+                      className="rateInput"
+                      inputMode="decimal"
+                      placeholder=" "
+                      value={driverRatesForm.two_way_total}
+                      onChange={(e) => {
+                        const val = e.target.value;
+                        setDriverRatesForm((p) => ({
+                          ...p,
+                          two_way_total: val,
+                          // Auto-calculate one-way as half of two-way
+                          one_way_total: val ? String((Number(val) / 2).toFixed(2)) : "",
+                        }));
+                      }}
+                    />
+                    <span className="rateLabel">Two-way total ({groupSettings.currency})</span>
+                  </div>
+                  <div className="rateInputWrapper">
+                    <input
+                      className="rateInput"
+                      inputMode="decimal"
+                      placeholder=" "
+                      value={driverRatesForm.one_way_total}
+                      onChange={(e) => setDriverRatesForm((p) => ({ ...p, one_way_total: e.target.value }))}
+                    />
+                    <span className="rateLabel">One-way total ({groupSettings.currency})</span>
+                  </div>
                 </div>
-              </div>
 
-              <div className="inlineAction">
-                <button type="button" className={`appButton appButtonSmall actionStateButton${rateSaveState === "success" ? " isSuccess" : ""}`} onClick={onUpdateRates} disabled={rateSaveState !== "idle"}>
-                  {rateSaveState === "saving" && <i className="actionSpinner" aria-hidden="true" />}
-                  {rateSaveState === "success" && <UiIcon name="check" />}
-                  {rateSaveState === "saving" ? "Saving…" : rateSaveState === "success" ? "Saved" : "Save rates"}
-                </button>
-                <span>Saved for future trips with this driver.</span>
-              </div>
+                <div className="inlineAction">
+                  <button type="button" className={`appButton appButtonSmall actionStateButton${rateSaveState === "success" ? " isSuccess" : ""}`} onClick={onUpdateRates} disabled={rateSaveState !== "idle"}>
+                    {rateSaveState === "saving" && <i className="actionSpinner" aria-hidden="true" />}
+                    {rateSaveState === "success" && <UiIcon name="check" />}
+                    {rateSaveState === "saving" ? "Saving…" : rateSaveState === "success" ? "Saved" : "Save rates"}
+                  </button>
+                  <span>
+                    {driverRatesForm.effective_from
+                      ? `Applies to rides from ${driverRatesForm.effective_from} on.`
+                      : "Applies to rides before this driver’s first dated rate."}
+                  </span>
+                </div>
+
+                {ratesHistory.length > 1 && (
+                  <div className="rateHistory">
+                    {ratesHistory.map((r) => (
+                      <div
+                        key={r.effective_from || "initial"}
+                        className={`rateHistoryRow${r.effective_from === driverRatesForm.effective_from ? " isActive" : ""}`}
+                      >
+                        <button type="button" className="rateHistoryPick" onClick={() => editRate(r)}>
+                          <strong>{r.effective_from ? `From ${r.effective_from}` : "Initial rate"}</strong>
+                          <span>{r.two_way_total ? `${money(r.two_way_total)} two-way · ${money(r.one_way_total)} one-way` : "Not set"}</span>
+                        </button>
+                        {r.effective_from === ratesInEffect.effective_from && <span className="legTag">This ride</span>}
+                        {r.effective_from && (
+                          <button type="button" className="iconButton" onClick={() => onDeleteRate(r.effective_from)} aria-label={`Remove rate from ${r.effective_from}`}>
+                            <UiIcon name="close" />
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                </>
+              )}
             </section>
 
             <section className="formSection">
               <div className="formSectionHeader"><strong>Riders</strong><span>Set each person’s trip type.</span></div>
+              <label className="appLabel" htmlFor="split-strategy">Split</label>
+              <div className="selectControl splitStrategyControl">
+                <select id="split-strategy" className="appControl" value={splitStrategy} onChange={(e) => changeSplitStrategy(e.target.value)}>
+                  {Object.entries(SPLIT_STRATEGIES).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}{value === groupSettings.split_strategy ? " (group default)" : ""}
+                    </option>
+                  ))}
+                </select>
+                <UiIcon name="chevronRight" />
+              </div>
               <div className="ridersBoxTight ridersBox">
                 {members.map((m) => {
                   const v = riderTrip[m.member_id] || "none";
+                  const isCarDriver = carDrivers.includes(m.member_id);
                   return (
                     <div key={m.member_id} className="riderRow">
-                      <div className="riderName"><span>{m.name?.slice(0, 1)?.toUpperCase()}</span><strong>{m.name}</strong></div>
+                      <div className="riderName">
+                        <span>{m.name?.slice(0, 1)?.toUpperCase()}</span><strong>{m.name}</strong>
+                        {awayOnActiveDay.has(m.member_id) && <small className="awayTag">Away</small>}
+                      </div>
+                      {carDrivers.length > 1 && v !== "none" && (
+                        <select
+                          className="riderCarSelect"
+                          value={carOf(m.member_id)}
+                          disabled={isCarDriver}
+                          onChange={(e) => setRiderCar((p) => ({ ...p, [m.member_id]: e.target.value }))}
+                          aria-label={`Car for ${m.name}`}
+                        >
+                          {carDrivers.map((id) => (
+                            <option key={id} value={id}>
+                              {nameById[id] || id}’s car
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      {SHARE_INPUTS[splitStrategy] && v !== "none" && !(splitStrategy === "fixed_fee" && isCarDriver) && (
+                        <input
+                          className="riderShareInput"
+                          inputMode="decimal"
+                          placeholder={splitStrategy === "custom_weights" ? String(v === "one_way" ? 1 : 2) : "0"}
+                          value={riderShare[m.member_id] ?? ""}
+                          onChange={(e) => setRiderShare((p) => ({ ...p, [m.member_id]: e.target.value }))}
+                          aria-label={`${SHARE_INPUTS[splitStrategy].label} for ${m.name}`}
+                        />
+                      )}
                       <div className="tripSelector">
                         <button type="button" className={`tripPill${v === "none" ? " isActive" : ""}`} onClick={() => setTrip(m.member_id, "none")}>
                           None
@@ -1590,7 +3107,115 @@ export default function App() {
                     </div>
                   );
                 })}
+                {guests.map((g, i) => {
+                  const guestId = `guest_${i + 1}`;
+                  return (
+                    <div key={guestId} className="riderRow guestRow">
+                      <input
+                        className="riderShareInput guestNameInput"
+                        placeholder="Guest name"
+                        value={g.guest_name}
+                        onChange={(e) => setGuestField(i, "guest_name", e.target.value)}
+                        aria-label="Guest name"
+                      />
+                      {carDrivers.length > 1 && (
+                        <select className="riderCarSelect" value={guestCar(g)} onChange={(e) => setGuestField(i, "car", e.target.value)} aria-label="Guest's car">
+                          {carDrivers.map((id) => (
+                            <option key={id} value={id}>
+                              {nameById[id] || id}’s car
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      <select className="riderCarSelect" value={g.sponsor_id} onChange={(e) => setGuestField(i, "sponsor_id", e.target.value)} aria-label="Who pays for the guest">
+                        <option value="">Paid driver cash</option>
+                        {members.map((m) => (
+                          <option key={m.member_id} value={m.member_id}>Billed to {m.name}</option>
+                        ))}
+                      </select>
+                      {SHARE_INPUTS[splitStrategy] && (
+                        <input
+                          className="riderShareInput"
+                          inputMode="decimal"
+                          placeholder={splitStrategy === "custom_weights" ? String(g.trip_type === "one_way" ? 1 : 2) : "0"}
+                          value={riderShare[guestId] ?? ""}
+                          onChange={(e) => setRiderShare((p) => ({ ...p, [guestId]: e.target.value }))}
+                          aria-label={`${SHARE_INPUTS[splitStrategy].label} for ${g.guest_name || "guest"}`}
+                        />
+                      )}
+                      <div className="tripSelector">
+                        <button type="button" className={`tripPill${g.trip_type === "one_way" ? " isActive" : ""}`} onClick={() => setGuestField(i, "trip_type", "one_way")}>
+                          One-way
+                        </button>
+                        <button type="button" className={`tripPill${g.trip_type === "two_way" ? " isActive" : ""}`} onClick={() => setGuestField(i, "trip_type", "two_way")}>
+                          Two-way
+                        </button>
+                      </div>
+                      <button type="button" className="iconButton" onClick={() => removeGuest(i)} aria-label="Remove guest">
+                        <UiIcon name="close" />
+                      </button>
+                    </div>
+                  );
+                })}
               </div>
+              {carDrivers.length > 0 && (
+                <button type="button" className="appButton appButtonSmall addCarButton" onClick={addGuest}>
+                  + Add guest
+                </button>
+              )}
+            </section>
+
+            <section className="formSection">
+              <div className="formSectionHeader"><strong>Expenses</strong><span>Tolls, parking or fuel someone paid for on this ride.</span></div>
+              {expenses.map((x, i) => (
+                <div key={i} className="expenseRow">
+                  <div className="expenseFields">
+                    <select className="riderCarSelect" value={x.category} onChange={(e) => setExpenseField(i, "category", e.target.value)} aria-label="Expense category">
+                      {Object.entries(EXPENSE_CATEGORIES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <input
+                      className="riderShareInput"
+                      inputMode="decimal"
+                      placeholder="0.00"
+                      value={x.amount}
+                      onChange={(e) => setExpenseField(i, "amount", e.target.value)}
+                      aria-label="Expense amount"
+                    />
+                    <select className="riderCarSelect" value={x.payer_id} onChange={(e) => setExpenseField(i, "payer_id", e.target.value)} aria-label="Paid by">
+                      {members.map((m) => (
+                        <option key={m.member_id} value={m.member_id}>Paid by {m.name}</option>
+                      ))}
+                    </select>
+                    <select className="riderCarSelect" value={x.split} onChange={(e) => setExpenseField(i, "split", e.target.value)} aria-label="Shared">
+                      {Object.entries(EXPENSE_SPLITS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <button type="button" className="iconButton" onClick={() => removeExpense(i)} aria-label="Remove expense">
+                      <UiIcon name="close" />
+                    </button>
+                  </div>
+                  {x.split === "riders" && (
+                    <div className="tripSelector expenseSharers">
+                      {members.filter((m) => (riderTrip[m.member_id] || "none") !== "none").map((m) => (
+                        <button
+                          key={m.member_id}
+                          type="button"
+                          className={`tripPill${x.member_ids.includes(m.member_id) ? " isActive" : ""}`}
+                          onClick={() => toggleExpenseSharer(i, m.member_id)}
+                        >
+                          {m.name}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+              <button type="button" className="appButton appButtonSmall addCarButton" onClick={addExpense}>
+                + Add expense
+              </button>
             </section>
 
             <section className="formSection formSectionCompact">
@@ -1599,21 +3224,40 @@ export default function App() {
             </section>
 
             <section className="formSection splitSection">
-              <div className="formSectionHeader"><strong>Split preview</strong><span>Calculated from the selected rider trips.</span></div>
+              <div className="formSectionHeader"><strong>Split preview</strong><span>{SPLIT_STRATEGIES[splitStrategy]}, from the selected rider trips.</span></div>
               <div className="previewBoxTight previewBox">
-                {computedPreview.riders.length === 0 ? (
+                {computedPreview.error ? (
+                  <div className="previewEmpty">{computedPreview.error}</div>
+                ) : computedPreview.riders.length === 0 ? (
                   <div className="previewEmpty">Select riders to see their charges.</div>
                 ) : (
-                  computedPreview.riders.map((r) => (
-                    <div key={r.member_id} className="previewRow">
-                      <div><strong>{r.name}</strong><span>{r.trip_type.replace("_", " ")}</span></div>
-                      <strong>{r.charge}</strong>
-                    </div>
+                  computedPreview.cars.map((car) => (
+                    <Fragment key={car.driver_id}>
+                      {computedPreview.cars.length > 1 && (
+                        <div className="previewCar">
+                          <span>{nameById[car.driver_id] || car.driver_id}’s car</span>
+                          <strong>{money(car.total)}</strong>
+                        </div>
+                      )}
+                      {car.riders.map((r) => (
+                        <div key={r.member_id} className="previewRow">
+                          <div>
+                            <strong>{r.name}</strong>
+                            <span>
+                              {r.trip_type.replace("_", " ")}
+                              {r.guest_name ? ` · guest, ${r.sponsor_id ? `billed to ${nameById[r.sponsor_id] || r.sponsor_id}` : "pays cash"}` : ""}
+                              {r.expense_share ? ` · incl. ${money(r.expense_share)} expenses` : ""}
+                            </span>
+                          </div>
+                          <strong>{r.charge}</strong>
+                        </div>
+                      ))}
+                    </Fragment>
                   ))
                 )}
                 <div className="previewTotal">
                   <span>Total</span>
-                  <strong>${computedPreview.total}</strong>
+                  <strong>{money(computedPreview.total)}</strong>
                 </div>
               </div>
             </section>
@@ -1622,7 +3266,7 @@ export default function App() {
             <div className="modalFooter">
               <button type="button" className="appButton appButtonDanger" onClick={onClear} disabled={rideSaveState !== "idle"}>
                 <UiIcon name="trash" />
-                Clear day
+                Remove ride
               </button>
               <span className="modalFooterSpacer" />
               <button type="button" className="appButton" onClick={closeTripModal} disabled={rideSaveState === "saving"}>
@@ -1703,6 +3347,744 @@ export default function App() {
           </div>
         </div>
       )}
+      {/* Re-price rides modal */}
+      {repriceOpen && (
+        <div className={`modalBackdrop${repriceModalClosing ? " isClosing" : ""}`} onClick={closeRepriceModal}>
+          <div className="modal memberModal repriceModal" onClick={(e) => e.stopPropagation()}>
+            <div className="modalDragHandle" aria-hidden="true" />
+            <div className="modalHeader">
+              <div><span className="sectionKicker">Re-price rides</span></div>
+              <button className="iconButton modalClose" type="button" onClick={closeRepriceModal} aria-label="Close re-price form"><UiIcon name="close" /></button>
+            </div>
+
+            <div className="modalBody">
+            <p className="modalIntro">Recalculate a driver’s past rides at the rates now on file. Preview the changes first; nothing is saved until you apply them.</p>
+            {repriceErr && <div className="appError" role="alert">{repriceErr}</div>}
+
+            <div className="formSection formSectionCompact">
+              <label className="appLabel" htmlFor="reprice-driver">Driver</label>
+              <div className="selectControl">
+                <select id="reprice-driver" className="appControl" value={repriceForm.driver_id} onChange={(e) => setRepriceField("driver_id", e.target.value)}>
+                  {members.map((m) => (
+                    <option key={m.member_id} value={m.member_id}>
+                      {m.name}
+                    </option>
+                  ))}
+                </select>
+                <UiIcon name="chevronRight" />
+              </div>
+            </div>
+
+            <div className="formSection formSectionCompact">
+              <div className="rateRow">
+                <div className="rateInputWrapper">
+                  <input type="date" className="rateInput" value={repriceForm.from} onChange={(e) => setRepriceField("from", e.target.value)} />
+                  <span className="rateLabel">From</span>
+                </div>
+                <div className="rateInputWrapper">
+                  <input type="date" className="rateInput" value={repriceForm.to} onChange={(e) => setRepriceField("to", e.target.value)} />
+                  <span className="rateLabel">To</span>
+                </div>
+              </div>
+            </div>
+
+            {repricePreview && (
+              <section className="formSection splitSection">
+                <div className="formSectionHeader">
+                  <strong>Changes</strong>
+                  <span>{repricePreview.changes.length ? `${repricePreview.changes.length} ride${repricePreview.changes.length === 1 ? "" : "s"} would change.` : "Every ride already matches the current rates."}</span>
+                </div>
+                <div className="previewBoxTight previewBox">
+                  {repricePreview.changes.map((c) => (
+                    <Fragment key={c.entry_id}>
+                      <div className="previewCar">
+                        <span>{c.date}{c.leg ? ` · ${c.leg}` : ""}</span>
+                        <strong>{money(c.old_day_total)} → {money(c.new_day_total)}</strong>
+                      </div>
+                      {c.riders.map((r) => (
+                        <div key={r.member_id} className="previewRow">
+                          <div><strong>{r.guest_name ? `${r.guest_name} (guest)` : nameById[r.member_id] || r.member_id}</strong></div>
+                          <strong>{r.old_charge} → {r.new_charge}</strong>
+                        </div>
+                      ))}
+                    </Fragment>
+                  ))}
+                  {repricePreview.skipped.map((x) => (
+                    <div key={x.entry_id} className="previewRow">
+                      <div><strong>{x.date}{x.leg ? ` · ${x.leg}` : ""}</strong><span>Skipped</span></div>
+                      <small>{x.error}</small>
+                    </div>
+                  ))}
+                  {repricePreview.balance_impact.length > 0 && <div className="previewCar"><span>Balance impact</span></div>}
+                  {repricePreview.balance_impact.map((b) => (
+                    <div key={b.member_id} className="previewRow">
+                      <div><strong>{nameById[b.member_id] || b.member_id}</strong></div>
+                      <strong className={`balanceAmount ${b.amount >= 0 ? "isPositive" : "isNegative"}`}>
+                        {b.amount >= 0 ? "+" : "−"}{money(Math.abs(b.amount))}
+                      </strong>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+            </div>
+
+            <div className="modalFooter">
+              <span className="modalFooterSpacer" />
+              <button type="button" className="appButton" onClick={closeRepriceModal} disabled={repriceState === "applying"}>
+                Cancel
+              </button>
+              {!repricePreview ? (
+                <button type="button" className="appButton appButtonPrimary actionStateButton" onClick={onPreviewReprice} disabled={repriceState !== "idle" || !repriceForm.driver_id}>
+                  {repriceState === "previewing" && <i className="actionSpinner" aria-hidden="true" />}
+                  {repriceState === "previewing" ? "Checking…" : "Preview changes"}
+                </button>
+              ) : (
+                <button type="button" className={`appButton appButtonPrimary actionStateButton${repriceState === "success" ? " isSuccess" : ""}`} onClick={onApplyReprice} disabled={repriceState !== "idle" || !repricePreview.changes.length}>
+                  {repriceState === "applying" && <i className="actionSpinner" aria-hidden="true" />}
+                  {repriceState === "success" && <UiIcon name="check" />}
+                  {repriceState === "applying" ? "Applying…" : repriceState === "success" ? "Applied" : "Apply changes"}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+      {templateOpen && (
+        <div className={`modalBackdrop${templateModalClosing ? " isClosing" : ""}`} onClick={closeTemplateModal}>
+          <div className="modal memberModal templateModal" onClick={(e) => e.stopPropagation()}>
+            <div className="modalDragHandle" aria-hidden="true" />
+            <div className="modalHeader">
+              <div><span className="sectionKicker">Weekly template</span></div>
+              <button className="iconButton modalClose" type="button" onClick={closeTemplateModal} aria-label="Close weekly template"><UiIcon name="close" /></button>
+            </div>
+
+            <div className="modalBody">
+            <p className="modalIntro">Set who usually drives and rides on each riding day, then fill {monthDisplay} with planned rides. Holidays, days that already have a ride and days the driver is away are skipped; planned rides don’t count toward balances until they’re saved.</p>
+            {templateErr && <div className="appError" role="alert">{templateErr}</div>}
+
+            {weekColumns(groupSettings.weekdays).map((weekday) => {
+              const day = templateDays[weekday] || { driver_id: "", trips: {} };
+              return (
+                <section key={weekday} className="formSection formSectionCompact">
+                  <label className="appLabel" htmlFor={`template-driver-${weekday}`}>{weekdayLabel(weekday, groupSettings.locale)}</label>
+                  <div className="selectControl">
+                    <select id={`template-driver-${weekday}`} className="appControl" value={day.driver_id} onChange={(e) => setTemplateDriver(weekday, e.target.value)}>
+                      <option value="">No ride</option>
+                      {members.filter((m) => m.active).map((m) => (
+                        <option key={m.member_id} value={m.member_id}>
+                          {m.name} drives
+                        </option>
+                      ))}
+                    </select>
+                    <UiIcon name="chevronRight" />
+                  </div>
+                  {day.driver_id && (
+                    <div className="ridersBoxTight ridersBox">
+                      {members.filter((m) => m.active).map((m) => {
+                        const v = day.trips[m.member_id] || "none";
+                        return (
+                          <div key={m.member_id} className="riderRow">
+                            <div className="riderName">
+                              <span>{m.name?.slice(0, 1)?.toUpperCase()}</span><strong>{m.name}</strong>
+                            </div>
+                            <div className="tripSelector">
+                              <button type="button" className={`tripPill${v === "none" ? " isActive" : ""}`} onClick={() => setTemplateTrip(weekday, m.member_id, "none")}>
+                                None
+                              </button>
+                              <button type="button" className={`tripPill${v === "one_way" ? " isActive" : ""}`} onClick={() => setTemplateTrip(weekday, m.member_id, "one_way")}>
+                                One-way
+                              </button>
+                              <button type="button" className={`tripPill${v === "two_way" ? " isActive" : ""}`} onClick={() => setTemplateTrip(weekday, m.member_id, "two_way")}>
+                                Two-way
+                              </button>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                </section>
+              );
+            })}
+
+            {templatePreview && (
+              <section className="formSection splitSection">
+                <div className="formSectionHeader">
+                  <strong>{monthDisplay}</strong>
+                  <span>{templatePreview.planned.length ? `${templatePreview.planned.length} ride${templatePreview.planned.length === 1 ? "" : "s"} would be planned.` : "Nothing to plan this month."}</span>
+                </div>
+                <div className="previewBoxTight previewBox">
+                  {templatePreview.planned.map((p) => (
+                    <div key={p.date} className="previewRow">
+                      <div>
+                        <strong>{p.date} · {nameById[p.driver_id] || p.driver_id}</strong>
+                        <span>{p.riders.length} rider{p.riders.length === 1 ? "" : "s"}{p.away.length ? ` · ${p.away.map((id) => nameById[id] || id).join(", ")} away` : ""}</span>
+                      </div>
+                      <strong>{money(p.total_amount)}</strong>
+                    </div>
+                  ))}
+                  {templatePreview.skipped.map((x) => (
+                    <div key={x.date} className="previewRow">
+                      <div><strong>{x.date}</strong><span>Skipped</span></div>
+                      <small>{x.reason}</small>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+            </div>
+
+            <div className="modalFooter">
+              <span className="modalFooterSpacer" />
+              <button type="button" className="appButton" onClick={closeTemplateModal} disabled={templateState === "filling"}>
+                Cancel
+              </button>
+              {!templatePreview ? (
+                <button type="button" className="appButton appButtonPrimary actionStateButton" onClick={onPreviewTemplateFill} disabled={templateState !== "idle"}>
+                  {templateState === "previewing" && <i className="actionSpinner" aria-hidden="true" />}
+                  {templateState === "previewing" ? "Checking…" : `Preview ${monthDisplay}`}
+                </button>
+              ) : (
+                <button type="button" className={`appButton appButtonPrimary actionStateButton${templateState === "success" ? " isSuccess" : ""}`} onClick={onApplyTemplateFill} disabled={templateState !== "idle" || !templatePreview.planned.length}>
+                  {templateState === "filling" && <i className="actionSpinner" aria-hidden="true" />}
+                  {templateState === "success" && <UiIcon name="check" />}
+                  {templateState === "filling" ? "Filling…" : templateState === "success" ? "Filled" : "Fill month"}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+      {/* Members modal */}
+      {membersOpen && (
+        <div className={`modalBackdrop${membersModalClosing ? " isClosing" : ""}`} onClick={closeMembersModal}>
+          <div className="modal memberModal" onClick={(e) => e.stopPropagation()}>
+            <div className="modalDragHandle" aria-hidden="true" />
+            <div className="modalHeader">
+              <div><span className="sectionKicker">Members</span></div>
+              <button className="iconButton modalClose" type="button" onClick={closeMembersModal} aria-label="Close members"><UiIcon name="close" /></button>
+            </div>
+
+            <div className="modalBody">
+            <p className="modalIntro">Edit contact details, merge a duplicate into the right member, or deactivate someone who has left. Inactive members keep their history but no longer appear on new rides.</p>
+            {membersErr && <div className="appError" role="alert">{membersErr}</div>}
+
+            <div className="summaryRows memberList">
+              {allMembers
+                .slice()
+                .sort((a, b) => Number(b.active) - Number(a.active))
+                .map((m) => (
+                <Fragment key={m.member_id}>
+                  <button
+                    type="button"
+                    className={`summaryRow memberListRow${m.active ? "" : " isInactive"}${editingMemberId === m.member_id ? " isSelected" : ""}`}
+                    onClick={() => toggleMemberEditor(m)}
+                  >
+                    <div className="memberIdentity">
+                      <span>{m.name?.slice(0, 1)?.toUpperCase()}</span>
+                      <div><strong>{m.name}</strong><small>{m.active ? m.phone || "No phone" : "Inactive"}</small></div>
+                    </div>
+                    <UiIcon name="chevronRight" />
+                  </button>
+                  {editingMemberId === m.member_id && (
+                    <div className="memberEditor">
+                      <div className="formSection formSectionCompact">
+                        <label className="appLabel" htmlFor="edit-member-name">Full name</label>
+                        <input
+                          id="edit-member-name"
+                          className="appControl"
+                          value={memberEditForm.name}
+                          onChange={(e) => setMemberEditForm((p) => ({ ...p, name: e.target.value }))}
+                        />
+                      </div>
+                      <div className="formSection formSectionCompact">
+                        <label className="appLabel" htmlFor="edit-member-phone">Mobile number</label>
+                        <input
+                          id="edit-member-phone"
+                          className="appControl"
+                          inputMode="tel"
+                          placeholder="+15550000000"
+                          value={memberEditForm.phone}
+                          onChange={(e) => setMemberEditForm((p) => ({ ...p, phone: e.target.value }))}
+                        />
+                      </div>
+                      <div className="memberEditorActions">
+                        <button type="button" className="appButton appButtonSmall appButtonDanger" onClick={onRemoveMember} disabled={memberEditState !== "idle"}>
+                          {memberEditState === "checking" ? "Checking…" : "Remove"}
+                        </button>
+                        {!m.active && (
+                          <button type="button" className="appButton appButtonSmall" onClick={() => saveMemberPatch({ active: true }, `${m.name} reactivated`)} disabled={memberEditState !== "idle"}>
+                            Reactivate
+                          </button>
+                        )}
+                        <label className="appButton appButtonSmall fileButton" title="Add days off from an .ics calendar file">
+                          Import days off
+                          <input
+                            type="file"
+                            accept=".ics,text/calendar"
+                            hidden
+                            disabled={memberEditState !== "idle"}
+                            onChange={(e) => onImportDaysOff(e, m)}
+                          />
+                        </label>
+                        <span className="modalFooterSpacer" />
+                        <button
+                          type="button"
+                          className="appButton appButtonSmall appButtonPrimary"
+                          onClick={() => saveMemberPatch(memberEditForm, "Member saved")}
+                          disabled={memberEditState !== "idle" || !memberEditForm.name.trim()}
+                        >
+                          {memberEditState === "saving" ? "Saving…" : "Save"}
+                        </button>
+                      </div>
+
+                      <div className="daysOffSection">
+                        <div className="appLabel">Away</div>
+                        {memberDaysOff.length > 0 && (
+                          <div className="summaryRows">
+                            {memberDaysOff.map((o) => (
+                              <div key={o.days_off_id} className="summaryRow">
+                                <span>
+                                  <strong>{o.from === o.to ? o.from : `${o.from} – ${o.to}`}</strong> {o.name}
+                                </span>
+                                <button
+                                  type="button"
+                                  className="iconButton"
+                                  aria-label={`Remove ${o.name}`}
+                                  onClick={() => changeDaysOff(m.member_id, () => deleteDaysOff(o.days_off_id), "Days off removed")}
+                                  disabled={memberEditState !== "idle"}
+                                >
+                                  <UiIcon name="close" />
+                                </button>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        <div className="daysOffForm">
+                          <input
+                            type="date"
+                            className="appControl"
+                            aria-label="First day away"
+                            value={daysOffForm.from}
+                            onChange={(e) => setDaysOffForm((p) => ({ ...p, from: e.target.value }))}
+                          />
+                          <input
+                            type="date"
+                            className="appControl"
+                            aria-label="Last day away"
+                            min={daysOffForm.from}
+                            value={daysOffForm.to}
+                            onChange={(e) => setDaysOffForm((p) => ({ ...p, to: e.target.value }))}
+                          />
+                          <input
+                            className="appControl"
+                            placeholder="Reason"
+                            aria-label="Reason"
+                            value={daysOffForm.name}
+                            onChange={(e) => setDaysOffForm((p) => ({ ...p, name: e.target.value }))}
+                          />
+                          <button
+                            type="button"
+                            className="appButton appButtonSmall"
+                            onClick={() => onAddDaysOff(m)}
+                            disabled={memberEditState !== "idle" || !daysOffForm.from}
+                          >
+                            Add
+                          </button>
+                        </div>
+                      </div>
+
+                      <div className="memberMergeRow">
+                        <div className="selectControl">
+                          <select
+                            className="appControl"
+                            aria-label="Merge into"
+                            value={mergeInto}
+                            onChange={(e) => {
+                              setMergeInto(e.target.value);
+                              setMergePreview(null);
+                            }}
+                          >
+                            <option value="">Merge into…</option>
+                            {allMembers
+                              .filter((x) => x.member_id !== m.member_id)
+                              .map((x) => (
+                                <option key={x.member_id} value={x.member_id}>
+                                  {x.name}{x.active ? "" : " (inactive)"}
+                                </option>
+                              ))}
+                          </select>
+                          <UiIcon name="chevronRight" />
+                        </div>
+                        <button type="button" className="appButton appButtonSmall" onClick={() => onMergeMember(false)} disabled={!mergeInto || memberEditState !== "idle"}>
+                          Preview merge
+                        </button>
+                      </div>
+
+                      {mergePreview?.from === m.member_id && (
+                        <div className="departurePanel">
+                          <p>
+                            {mergePreview.rides.length} ride{mergePreview.rides.length === 1 ? "" : "s"}, {mergePreview.payments} payment{mergePreview.payments === 1 ? "" : "s"}, {mergePreview.shared_expenses} shared expense{mergePreview.shared_expenses === 1 ? "" : "s"} and {mergePreview.rates.length} dated rate{mergePreview.rates.length === 1 ? "" : "s"} move from {m.name} to {nameById[mergePreview.into]}; {m.name} is then deactivated.
+                          </p>
+                          {mergePreview.conflicts.length > 0 && (
+                            <div className="settleNotes">
+                              {mergePreview.conflicts.map((c) => (
+                                <p key={c.entry_id} className="settleWarning">{c.date}{c.leg ? ` ${c.leg.toUpperCase()}` : ""}: {c.error}. Edit this ride before merging.</p>
+                              ))}
+                            </div>
+                          )}
+                          {mergePreview.rides.length > 0 && (
+                            <div className="summaryRows">
+                              {mergePreview.rides.map((r) => (
+                                <div key={r.entry_id} className="summaryRow">
+                                  <span>{r.date}{r.leg ? ` ${r.leg.toUpperCase()}` : ""}</span>
+                                  <small>{r.roles.join(", ")}</small>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                          {mergePreview.balance_changes.length > 0 && (
+                            <div className="summaryRows">
+                              {mergePreview.balance_changes.map((b) => (
+                                <div key={b.member_id} className="summaryRow">
+                                  <span>{nameById[b.member_id] || b.member_id}</span>
+                                  <span>
+                                    {money(b.old_balance)} → <strong className={`balanceAmount ${b.new_balance >= 0 ? "isPositive" : "isNegative"}`}>{money(b.new_balance)}</strong>
+                                  </span>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                          <button
+                            type="button"
+                            className="appButton appButtonSmall appButtonPrimary"
+                            onClick={() => onMergeMember(true)}
+                            disabled={memberEditState !== "idle" || mergePreview.conflicts.length > 0}
+                          >
+                            {memberEditState === "merging" ? "Merging…" : `Merge into ${nameById[mergePreview.into]}`}
+                          </button>
+                        </div>
+                      )}
+
+                      {departure?.member.member_id === m.member_id && (
+                        <div className="departurePanel">
+                          {departure.has_history ? (
+                            <>
+                              <p>
+                                {m.name} has {departure.history.rides} ride{departure.history.rides === 1 ? "" : "s"}, {departure.history.payments} payment{departure.history.payments === 1 ? "" : "s"} and {departure.history.shared_expenses} shared expense{departure.history.shared_expenses === 1 ? "" : "s"} on record, so they can’t be deleted.
+                                {m.active && " Settle up below, then deactivate them."}
+                              </p>
+                              <div className="summaryRows">
+                                <div className="summaryRow">
+                                  <span>Balance today</span>
+                                  <div className={`balanceAmount ${departure.closing >= 0 ? "isPositive" : "isNegative"}`}>
+                                    {departure.closing >= 0 ? "+" : "−"}{money(Math.abs(departure.closing))}
+                                  </div>
+                                </div>
+                                {departure.transfers.map((t, i) => (
+                                  <div key={i} className="summaryRow transferRow">
+                                    <div>
+                                      <strong>{nameById[t.from] || t.from}</strong>
+                                      <span><UiIcon name="chevronRight" /></span>
+                                      <strong>{nameById[t.to] || t.to}</strong>
+                                    </div>
+                                    <div className="transferAmount">{money(t.amount)}</div>
+                                    <button
+                                      type="button"
+                                      className="appButton appButtonSmall markPaidButton"
+                                      onClick={() => onPayDeparture(t)}
+                                      disabled={!!payingKey}
+                                    >
+                                      {payingKey === `${t.from}>${t.to}` ? "Saving…" : "Mark paid"}
+                                    </button>
+                                  </div>
+                                ))}
+                              </div>
+                              {m.active && (
+                                <button type="button" className="appButton appButtonSmall appButtonPrimary" onClick={() => saveMemberPatch({ active: false }, `${m.name} deactivated`)} disabled={memberEditState !== "idle"}>
+                                  {departure.transfers.length ? "Deactivate anyway" : "Deactivate"}
+                                </button>
+                              )}
+                            </>
+                          ) : (
+                            <>
+                              <p>{m.name} has no rides, payments or expenses yet and can be deleted for good.</p>
+                              <button type="button" className="appButton appButtonSmall appButtonDanger" onClick={onDeleteMember} disabled={memberEditState !== "idle"}>
+                                Delete {m.name}
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </Fragment>
+              ))}
+            </div>
+            </div>
+
+            <div className="modalFooter">
+              <span className="modalFooterSpacer" />
+              <button type="button" className="appButton" onClick={closeMembersModal}>
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+      {/* Group settings modal */}
+      {settingsOpen && (
+        <div className={`modalBackdrop${settingsModalClosing ? " isClosing" : ""}`} onClick={closeSettingsModal}>
+          <div className="modal memberModal" onClick={(e) => e.stopPropagation()}>
+            <div className="modalDragHandle" aria-hidden="true" />
+            <div className="modalHeader">
+              <div><span className="sectionKicker">Group settings</span></div>
+              <button className="iconButton modalClose" type="button" onClick={closeSettingsModal} aria-label="Close group settings"><UiIcon name="close" /></button>
+            </div>
+
+            <div className="modalBody">
+            <p className="modalIntro">Defaults for everyone in the group. Saved rides keep the settings they were priced with.</p>
+            {settingsErr && <div className="appError" role="alert">{settingsErr}</div>}
+
+            <div className="formSection formSectionCompact">
+              <label className="appLabel" htmlFor="settings-split">Default split</label>
+              <div className="selectControl">
+                <select
+                  id="settings-split"
+                  className="appControl"
+                  value={settingsForm.split_strategy}
+                  onChange={(e) => setSettingsForm((p) => ({ ...p, split_strategy: e.target.value }))}
+                >
+                  {Object.entries(SPLIT_STRATEGIES).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <UiIcon name="chevronRight" />
+              </div>
+              <div className="fieldHint">New rides start with this split; it can be changed on each ride.</div>
+            </div>
+
+            <div className="formSection formSectionCompact">
+              <label className="appLabel" htmlFor="settings-pricing">Ride pricing</label>
+              <div className="selectControl">
+                <select
+                  id="settings-pricing"
+                  className="appControl"
+                  value={settingsForm.pricing_mode}
+                  onChange={(e) => setSettingsForm((p) => ({ ...p, pricing_mode: e.target.value }))}
+                >
+                  {Object.entries(PRICING_MODES).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <UiIcon name="chevronRight" />
+              </div>
+              {settingsForm.pricing_mode === "distance" && (
+                <div className="rateRow rateRowDated settingsDistanceRow">
+                  {[
+                    ["route_miles", "Route miles (one way)"],
+                    ["fuel_price", `Fuel price (${groupSettings.currency}/gal or kWh)`],
+                    ["wear_per_mile", `Wear (${groupSettings.currency}/mile)`],
+                  ].map(([key, label]) => (
+                    <div key={key} className="rateInputWrapper">
+                      <input
+                        className="rateInput"
+                        inputMode="decimal"
+                        placeholder=" "
+                        value={settingsForm[key] || ""}
+                        onChange={(e) => setSettingsForm((p) => ({ ...p, [key]: e.target.value }))}
+                      />
+                      <span className="rateLabel">{label}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div className="fieldHint">
+                {settingsForm.pricing_mode === "distance"
+                  ? "Each car costs its miles ÷ the driver’s MPG × the fuel price, plus wear per mile."
+                  : "Each driver sets their own one-way and two-way totals."}
+              </div>
+            </div>
+
+            <div className="formSection formSectionCompact">
+              <div className="appLabel">Money and dates</div>
+              <div className="rateRow rateRowDated settingsLocaleRow">
+                <div className="rateInputWrapper">
+                  <input
+                    className="rateInput"
+                    placeholder=" "
+                    maxLength={3}
+                    value={settingsForm.currency || ""}
+                    onChange={(e) => setSettingsForm((p) => ({ ...p, currency: e.target.value.toUpperCase() }))}
+                  />
+                  <span className="rateLabel">Currency</span>
+                </div>
+                <div className="rateInputWrapper">
+                  <input
+                    className="rateInput"
+                    placeholder=" "
+                    value={settingsForm.locale || ""}
+                    onChange={(e) => setSettingsForm((p) => ({ ...p, locale: e.target.value }))}
+                  />
+                  <span className="rateLabel">Locale</span>
+                </div>
+                <div className="rateInputWrapper">
+                  <input
+                    className="rateInput"
+                    placeholder=" "
+                    list="settings-time-zones"
+                    value={settingsForm.timezone || ""}
+                    onChange={(e) => setSettingsForm((p) => ({ ...p, timezone: e.target.value }))}
+                  />
+                  <span className="rateLabel">Time zone</span>
+                  <datalist id="settings-time-zones">
+                    {TIME_ZONES.map((zone) => <option key={zone} value={zone} />)}
+                  </datalist>
+                </div>
+              </div>
+              <div className="fieldHint">
+                {isCurrencyCode(settingsForm.currency) && isLocale(settingsForm.locale)
+                  ? `Amounts look like ${formatMoney(1234.5, settingsForm)}; “today” follows the time zone.`
+                  : "Use a currency code such as USD or INR and a locale such as en-US or en-IN."}
+              </div>
+            </div>
+
+            <div className="formSection formSectionCompact">
+              <div className="appLabel">Riding days</div>
+              <div className="tripSelector settingsWeekdays">
+                {weekColumns(WEEKDAYS).map((day) => {
+                  const on = (settingsForm.weekdays || []).includes(day);
+                  return (
+                    <button
+                      key={day}
+                      type="button"
+                      className={`tripPill${on ? " isActive" : ""}`}
+                      aria-pressed={on}
+                      onClick={() =>
+                        setSettingsForm((p) => ({
+                          ...p,
+                          weekdays: on ? p.weekdays.filter((d) => d !== day) : [...p.weekdays, day].sort((a, b) => a - b),
+                        }))
+                      }
+                    >
+                      {weekdayLabel(day, groupSettings.locale)}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+
+            <div className="formSection formSectionCompact settingsSelectRow">
+              <div>
+                <label className="appLabel" htmlFor="settings-holidays">Holidays</label>
+                <div className="selectControl">
+                  <select
+                    id="settings-holidays"
+                    className="appControl"
+                    value={settingsForm.holiday_calendar}
+                    onChange={(e) => setSettingsForm((p) => ({ ...p, holiday_calendar: e.target.value }))}
+                  >
+                    {Object.entries(HOLIDAY_CALENDARS).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <UiIcon name="chevronRight" />
+                </div>
+              </div>
+              <div>
+                <label className="appLabel" htmlFor="settings-trip-type">New riders</label>
+                <div className="selectControl">
+                  <select
+                    id="settings-trip-type"
+                    className="appControl"
+                    value={settingsForm.default_trip_type}
+                    onChange={(e) => setSettingsForm((p) => ({ ...p, default_trip_type: e.target.value }))}
+                  >
+                    {Object.entries(TRIP_TYPES).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <UiIcon name="chevronRight" />
+                </div>
+              </div>
+            </div>
+
+            <div className="formSection formSectionCompact">
+              <div className="appLabel">Company holidays</div>
+              {customHolidays.length > 0 && (
+                <div className="summaryRows customHolidayList">
+                  {customHolidays.map((h) => (
+                    <div key={h.date} className="summaryRow">
+                      <span><strong>{h.date}</strong> {h.name}</span>
+                      <button
+                        type="button"
+                        className="iconButton"
+                        aria-label={`Remove ${h.name}`}
+                        onClick={() => changeCustomHolidays(() => deleteCustomHoliday(h.date), "Holiday removed")}
+                        disabled={customHolidayState !== "idle"}
+                      >
+                        <UiIcon name="close" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div className="customHolidayForm">
+                <input
+                  type="date"
+                  className="appControl"
+                  aria-label="Holiday date"
+                  value={customHolidayForm.date}
+                  onChange={(e) => setCustomHolidayForm((p) => ({ ...p, date: e.target.value }))}
+                />
+                <input
+                  className="appControl"
+                  placeholder="Name"
+                  aria-label="Holiday name"
+                  value={customHolidayForm.name}
+                  onChange={(e) => setCustomHolidayForm((p) => ({ ...p, name: e.target.value }))}
+                />
+                <button
+                  type="button"
+                  className="appButton appButtonSmall"
+                  onClick={onAddCustomHoliday}
+                  disabled={customHolidayState !== "idle" || !customHolidayForm.date || !customHolidayForm.name.trim()}
+                >
+                  Add
+                </button>
+                <label className="appButton appButtonSmall fileButton" title="Add every event in an .ics calendar file">
+                  Import .ics
+                  <input type="file" accept=".ics,text/calendar" hidden disabled={customHolidayState !== "idle"} onChange={onImportHolidays} />
+                </label>
+              </div>
+              <div className="fieldHint">Days off only your group takes, added here or imported from an .ics file. They show on the calendar alongside the holiday calendar above.</div>
+            </div>
+            </div>
+
+            <div className="modalFooter">
+              <span className="modalFooterSpacer" />
+              <button type="button" className="appButton" onClick={closeSettingsModal} disabled={settingsSaveState === "saving"}>
+                Cancel
+              </button>
+              <button type="button" className={`appButton appButtonPrimary actionStateButton${settingsSaveState === "success" ? " isSuccess" : ""}`} onClick={onSaveSettings} disabled={settingsSaveState !== "idle"}>
+                {settingsSaveState === "idle" && <UiIcon name="save" />}
+                {settingsSaveState === "saving" && <i className="actionSpinner" aria-hidden="true" />}
+                {settingsSaveState === "success" && <UiIcon name="check" />}
+                {settingsSaveState === "saving" ? "Saving…" : settingsSaveState === "success" ? "Saved" : "Save settings"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </main>
   );
 }
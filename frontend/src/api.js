@@ -1,10 +1,8 @@
 const API_BASE = import.meta.env.VITE_API_BASE || "http://localhost:4000";
 
 function authHeaders() {
-  return {
-    "x-group-id": localStorage.getItem("group_id") || "",
-    "x-join-code": localStorage.getItem("join_code") || "",
-  };
+  const token = localStorage.getItem("session_token") || "";
+  return token ? { Authorization: `Bearer ${token}` } : {};
 }
 
 async function handle(res) {
@@ -90,6 +88,18 @@ async function request(path, { method = "GET", body } = {}) {
 }
 
 // ----- Auth / group -----
+// The browser's zone goes along so a group that has none yet takes it on
+export async function login(groupId, joinCode) {
+  return request("/login", {
+    method: "POST",
+    body: { group_id: groupId, join_code: joinCode, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone },
+  });
+}
+
+export async function createGroup(payload) {
+  return request("/groups", { method: "POST", body: payload });
+}
+
 export async function groupCheck() {
   return request("/group_check");
 }
@@ -106,10 +116,30 @@ export async function createMember(payload) {
   return data.member;
 }
 
+export async function updateMember(memberId, patch) {
+  const data = await request(`/members/${encodeURIComponent(memberId)}`, { method: "PATCH", body: patch });
+  return data.member;
+}
+
+export async function deleteMember(memberId) {
+  return request(`/members/${encodeURIComponent(memberId)}`, { method: "DELETE" });
+}
+// History and final settlement for a member who is leaving
+export async function getMemberDeparture(memberId) {
+  return request(`/members/${encodeURIComponent(memberId)}/departure`);
+}
+// Dry run unless apply is true; the result lists the rides and balances that change
+export async function mergeMember(memberId, into, apply = false) {
+  return request(`/members/${encodeURIComponent(memberId)}/merge`, { method: "POST", body: { into, apply } });
+}
 export async function updateMemberRates(payload) {
   return request("/member_rates", { method: "POST", body: payload });
 }
 
+export async function deleteMemberRate(memberId, effectiveFrom) {
+  return request(`/member_rates/${encodeURIComponent(memberId)}/${encodeURIComponent(effectiveFrom)}`, { method: "DELETE" });
+}
+
 // ----- Entries -----
 export async function getEntries(month) {
   const data = await request(`/entries?month=${encodeURIComponent(month)}`);
@@ -121,19 +151,138 @@ export async function saveEntry(payload) {
   return data.entry;
 }
 
-export async function deleteEntry(date) {
-  console.log("deleteEntry called with date:", date);
-  const data = await request(`/entries/${encodeURIComponent(date)}`, { method: "DELETE" });
+// Dry run unless payload.apply is true
+export async function repriceEntries(payload) {
+  return request("/entries/reprice", { method: "POST", body: payload });
+}
+
+export async function deleteEntry(entryId) {
+  console.log("deleteEntry called with entryId:", entryId);
+  const data = await request(`/entries/${encodeURIComponent(entryId)}`, { method: "DELETE" });
   console.log("deleteEntry result:", data);
   return data;
 }
 
+// ----- Payments -----
+export async function getPayments(month) {
+  const data = await request(`/payments?month=${encodeURIComponent(month)}`);
+  return data.payments || [];
+}
+
+export async function createPayment(payload) {
+  const data = await request("/payments", { method: "POST", body: payload });
+  return data.payment;
+}
+
+export async function voidPayment(paymentId) {
+  const data = await request(`/payments/${encodeURIComponent(paymentId)}/void`, { method: "POST" });
+  return data.payment;
+}
+
+// ----- Shared expenses -----
+export async function getSharedExpenses(month) {
+  const data = await request(`/shared_expenses?month=${encodeURIComponent(month)}`);
+  return data.expenses || [];
+}
+
+export async function createSharedExpense(payload) {
+  const data = await request("/shared_expenses", { method: "POST", body: payload });
+  return data.expense;
+}
+
+export async function voidSharedExpense(expenseId) {
+  const data = await request(`/shared_expenses/${encodeURIComponent(expenseId)}/void`, { method: "POST" });
+  return data.expense;
+}
+
+// ----- Balances -----
+// Balances for the month plus the transfers that settle everything owed by its end
+export async function getSettlements(month) {
+  return request(`/settlements?month=${encodeURIComponent(month)}`);
+}
+
+// Replaces the group's rules: { prefer: [[a, b]], avoid: [[a, b]], min_amount }
+export async function saveSettlementRules(rules) {
+  const data = await request("/settlement_rules", { method: "PUT", body: rules });
+  return data.rules;
+}
+
+export async function setOpeningBalances(balances) {
+  return request("/opening_balances", { method: "PUT", body: { balances } });
+}
+
+// ----- Weekly template -----
+export async function getTemplate() {
+  const data = await request("/template");
+  return data.days || [];
+}
+
+export async function saveTemplate(days) {
+  const data = await request("/template", { method: "PUT", body: { days } });
+  return data.days || [];
+}
+
+// Dry run unless `apply`: the rides the template would plan for `month` and the days it skips
+export async function fillMonthFromTemplate(month, apply = false) {
+  return request("/template/fill", { method: "POST", body: { month, apply } });
+}
+
+// ----- Settings -----
+export async function getSettings() {
+  const data = await request("/settings");
+  return data.settings || {};
+}
+
+// Partial update: only the settings in `patch` change
+export async function saveSettings(patch) {
+  const data = await request("/settings", { method: "PUT", body: patch });
+  return data.settings;
+}
+
 // ----- Holidays -----
 export async function getHolidays(month) {
   const data = await request(`/holidays?month=${encodeURIComponent(month)}`);
   return data.holidays || [];
 }
 
+// The group's own holidays, on top of its holiday calendar
+export async function getCustomHolidays() {
+  const data = await request("/custom_holidays");
+  return data.holidays || [];
+}
+
+export async function addCustomHoliday(date, name) {
+  const data = await request("/custom_holidays", { method: "POST", body: { date, name } });
+  return data.holiday;
+}
+
+export async function deleteCustomHoliday(date) {
+  return request(`/custom_holidays/${encodeURIComponent(date)}`, { method: "DELETE" });
+}
+
+// ----- Days off -----
+// `params`: member_id, from, to (all optional)
+export async function getDaysOff(params = {}) {
+  const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v)).toString();
+  const data = await request(`/days_off${query ? `?${query}` : ""}`);
+  return data.days_off || [];
+}
+
+export async function addDaysOff(payload) {
+  const data = await request("/days_off", { method: "POST", body: payload });
+  return data.days_off;
+}
+
+export async function deleteDaysOff(daysOffId) {
+  return request(`/days_off/${encodeURIComponent(daysOffId)}`, { method: "DELETE" });
+}
+
+// Save an .ics file's events as company holidays (target "holidays") or as
+// one member's days off (target "days_off" with member_id)
+export async function importIcs(payload) {
+  return request("/ics_import", { method: "POST", body: payload });
+}
+
 // ----- Notify (optional) -----
 export async function notify(payload) {
   return request("/notify", { method: "POST", body: payload || {} });
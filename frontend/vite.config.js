@@ -4,4 +4,6 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The app imports the pricing engine it shares with the API from ../shared
+  server: { fs: { allow: ['..'] } },
 })
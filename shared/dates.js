@@ -0,0 +1,67 @@
+// Calendar dates and timestamps on a group's wall clock. The API and the web
+// app may run in different zones from the group (and from each other), so
+// neither should read "today" off its own clock. No dependencies beyond Intl.
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// Wall-clock parts of `instant` in `timeZone` (the runtime's zone when unset)
+function wallClock(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+/** The date (YYYY-MM-DD) it is at `instant` in `timeZone`. */
+export function dateIn(instant, timeZone) {
+  const { year, month, day } = wallClock(instant, timeZone);
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
+/** Today's date (YYYY-MM-DD) in `timeZone`. */
+export function todayIn(timeZone) {
+  return dateIn(new Date(), timeZone);
+}
+
+/**
+ * `instant` as an ISO 8601 timestamp in `timeZone` with its UTC offset,
+ * e.g. "2026-10-19T21:05:09.120-04:00".
+ */
+export function isoIn(instant, timeZone) {
+  const t = wallClock(instant, timeZone);
+  const ms = instant.getTime() % 1000;
+  const wallMs = Date.UTC(t.year, t.month - 1, t.day, t.hour, t.minute, t.second, ms);
+  const offset = Math.round((wallMs - instant.getTime()) / 60000);
+  const sign = offset < 0 ? "-" : "+";
+  const abs = Math.abs(offset);
+  return (
+    `${t.year}-${pad2(t.month)}-${pad2(t.day)}T${pad2(t.hour)}:${pad2(t.minute)}:${pad2(t.second)}` +
+    `.${String(ms).padStart(3, "0")}${sign}${pad2(Math.floor(abs / 60))}:${pad2(abs % 60)}`
+  );
+}
+
+/** The current time as an ISO 8601 timestamp in `timeZone` with its UTC offset. */
+export function nowIn(timeZone) {
+  return isoIn(new Date(), timeZone);
+}
+
+/** The day of the week of a YYYY-MM-DD date as a Date#getDay number (0 is Sunday). */
+export function weekdayOf(date) {
+  const [y, m, d] = String(date).split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
@@ -0,0 +1,209 @@
+// Ride pricing shared by the API, which stores the charges, and the web app,
+// which previews them, so both always agree to the cent. No dependencies.
+
+export const round2 = (x) => Math.round(Number(x) * 100) / 100;
+
+/** How a car's total is divided between the people in it, with labels for the UI. */
+export const SPLIT_STRATEGIES = {
+  weighted: "Weighted (two-way counts double)",
+  driver_free: "Driver rides free",
+  equal: "Equal per head",
+  custom_weights: "Custom weights",
+  fixed_fee: "Fixed fee per rider",
+};
+
+export const DEFAULT_SPLIT_STRATEGY = "weighted";
+
+export function unitsForTrip(tripType) {
+  if (tripType === "one_way") return 1;
+  if (tripType === "two_way") return 2;
+  return 0;
+}
+
+/** A car is a two-way day if anyone in it rode both ways. */
+export function carDayType(riders) {
+  return riders.some((r) => r.trip_type === "two_way") ? "two_way" : "one_way";
+}
+
+/**
+ * The totals a member charged on `date`: their latest dated rate starting on
+ * or before it, else the undated totals on the member. `effective_from` is ""
+ * for those.
+ */
+export function rateOn(member, date) {
+  let rate = { effective_from: "", one_way_total: member?.one_way_total, two_way_total: member?.two_way_total };
+  for (const r of member?.rates || []) {
+    if (r.effective_from <= date) rate = r;
+  }
+  return rate;
+}
+
+/** Where a car's day total comes from, with labels for the UI. */
+export const PRICING_MODES = {
+  flat: "Driver's flat totals",
+  distance: "Distance and fuel",
+};
+
+export const DEFAULT_PRICING_MODE = "flat";
+
+/**
+ * A car's total for a day of `dayType` on `date`. Flat pricing uses the
+ * driver's totals (see rateOn). Distance pricing uses the group's one-way
+ * `route_miles` (doubled for two-way), the driver's `vehicle_mpg` (miles per
+ * gallon, or per kWh with a per-kWh `fuel_price`) and `wear_per_mile`.
+ *
+ * Returns `{ total, inputs }`; inputs are the distance figures used, or null
+ * for flat pricing. total is 0 when the driver has no rate or efficiency set.
+ */
+export function carDayTotal({ driver, date, dayType, settings }) {
+  if (settings?.pricing_mode !== "distance") {
+    const rate = rateOn(driver, date);
+    return { total: Number((dayType === "one_way" ? rate.one_way_total : rate.two_way_total) || 0), inputs: null };
+  }
+
+  const miles = round2(Number(settings.route_miles || 0) * (dayType === "one_way" ? 1 : 2));
+  const mpg = Number(driver?.vehicle_mpg || 0);
+  const fuel_price = Number(settings.fuel_price || 0);
+  const wear_per_mile = Number(settings.wear_per_mile || 0);
+  const total = mpg > 0 ? round2((miles / mpg) * fuel_price + miles * wear_per_mile) : 0;
+  return { total, inputs: { miles, mpg, fuel_price, wear_per_mile } };
+}
+
+// Share of the car total each rider carries under a weight-based strategy
+function riderWeight(strategy, rider, driverId) {
+  if (strategy === "equal") return 1;
+  if (strategy === "driver_free") return rider.member_id === driverId ? 0 : unitsForTrip(rider.trip_type);
+  if (strategy === "custom_weights") return Number(rider.weight ?? unitsForTrip(rider.trip_type));
+  return unitsForTrip(rider.trip_type);
+}
+
+/**
+ * Split one car's `total` between its `riders` (`{ member_id, trip_type }`,
+ * plus `weight` for custom_weights or `fee` for fixed_fee).
+ *
+ * Weight-based strategies share the total in proportion to each rider's
+ * weight; rounding drift goes to the driver, or to the heaviest rider if the
+ * driver carries no weight. fixed_fee ignores the total: each rider other
+ * than the driver pays their own fee.
+ *
+ * Returns `{ riders: [{ member_id, trip_type, units, charge }] }`, where units
+ * is the weight used, or `{ error }` with a client-facing message.
+ */
+export function splitCar({ total, driverId, riders, strategy = DEFAULT_SPLIT_STRATEGY }) {
+  if (!SPLIT_STRATEGIES[strategy]) return { error: `Unknown split strategy "${strategy}"` };
+  for (const r of riders) {
+    if (!r.member_id) return { error: "Missing member_id in riders" };
+    if (!["one_way", "two_way"].includes(r.trip_type)) {
+      return { error: "riders.trip_type must be one_way or two_way" };
+    }
+  }
+
+  if (strategy === "fixed_fee") {
+    const priced = [];
+    for (const r of riders) {
+      const fee = r.member_id === driverId ? 0 : Number(r.fee);
+      if (!Number.isFinite(fee) || fee < 0) return { error: "Each rider needs a fee of zero or more" };
+      priced.push({ member_id: r.member_id, trip_type: r.trip_type, units: unitsForTrip(r.trip_type), charge: round2(fee) });
+    }
+    return { riders: priced };
+  }
+
+  const weighted = riders.map((r) => ({
+    member_id: r.member_id,
+    trip_type: r.trip_type,
+    units: riderWeight(strategy, r, driverId),
+  }));
+  if (weighted.some((r) => !Number.isFinite(r.units) || r.units < 0)) {
+    return { error: "Weights must be zero or more" };
+  }
+
+  const totalUnits = weighted.reduce((s, r) => s + r.units, 0);
+  if (totalUnits <= 0) {
+    // Only weightless riders (e.g. the driver alone on a driver-free split): nobody pays
+    if (strategy === "driver_free") return { riders: weighted.map((r) => ({ ...r, charge: 0 })) };
+    return { error: "No valid riders/units" };
+  }
+
+  const priced = weighted.map((r) => ({ ...r, charge: round2(total * (r.units / totalUnits)) }));
+  const drift = round2(total - priced.reduce((s, r) => s + r.charge, 0));
+  if (Math.abs(drift) >= 0.01) {
+    const driver = priced.find((r) => r.member_id === driverId && r.units > 0);
+    const target = driver || priced.reduce((a, b) => (b.units > a.units ? b : a));
+    target.charge = round2(target.charge + drift);
+  }
+  return { riders: priced };
+}
+
+/** How an expense line is shared between the people on a ride, with labels for the UI. */
+export const EXPENSE_SPLITS = {
+  all: "Everyone equally",
+  riders: "Chosen riders",
+  units: "By trip units",
+};
+
+export const EXPENSE_CATEGORIES = {
+  toll: "Toll",
+  parking: "Parking",
+  fuel: "Fuel top-up",
+  other: "Other",
+};
+
+/**
+ * Each rider's part of one expense line `{ amount, payer_id, split, member_ids }`
+ * among the ride's `riders` (every car). "riders" shares it equally between
+ * `member_ids`. Rounding drift goes to the payer if they share it, otherwise
+ * to the first sharer.
+ *
+ * Returns `{ shares: { member_id: amount } }`, or `{ error }` with a
+ * client-facing message.
+ */
+export function splitExpense(expense, riders) {
+  const amount = Number(expense.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return { error: "Expense amounts must be positive" };
+  if (!EXPENSE_SPLITS[expense.split]) return { error: `Unknown expense split "${expense.split}"` };
+
+  let sharers = riders.map((r) => ({
+    member_id: r.member_id,
+    weight: expense.split === "units" ? unitsForTrip(r.trip_type) : 1,
+  }));
+  if (expense.split === "riders") {
+    const chosen = new Set(expense.member_ids || []);
+    sharers = sharers.filter((r) => chosen.has(r.member_id));
+    if (sharers.length !== chosen.size) return { error: "Expenses can only be shared by riders on the ride" };
+  }
+
+  const totalWeight = sharers.reduce((s, r) => s + r.weight, 0);
+  if (totalWeight <= 0) return { error: "Each expense needs at least one rider to share it" };
+
+  const shares = {};
+  for (const r of sharers) shares[r.member_id] = round2(amount * (r.weight / totalWeight));
+  const drift = round2(amount - Object.values(shares).reduce((s, x) => s + x, 0));
+  if (Math.abs(drift) >= 0.01) {
+    const target = shares[expense.payer_id] !== undefined ? expense.payer_id : sharers[0].member_id;
+    shares[target] = round2(shares[target] + drift);
+  }
+  return { shares };
+}
+
+/**
+ * Add a ride's expense lines to its priced `riders`: each rider gets an
+ * `expense_share` (their part of every line), which is also added to their
+ * `charge`. Returns `{ riders }` or `{ error }`.
+ */
+export function addExpenseShares(riders, expenses = []) {
+  const totals = {};
+  for (const expense of expenses) {
+    const split = splitExpense(expense, riders);
+    if (split.error) return { error: split.error };
+    for (const [memberId, amount] of Object.entries(split.shares)) {
+      totals[memberId] = round2((totals[memberId] || 0) + amount);
+    }
+  }
+  return {
+    riders: riders.map((r) => ({
+      ...r,
+      charge: round2(r.charge + (totals[r.member_id] || 0)),
+      expense_share: totals[r.member_id] || 0,
+    })),
+  };
+}
@@ -0,0 +1,67 @@
+// Group preferences that aren't about pricing: how money and dates are shown,
+// which weekdays the group rides, whose holidays apply and the trip type new
+// riders start with. The API validates and defaults them; the web app follows
+// them. No dependencies beyond Intl.
+
+export const DEFAULT_CURRENCY = "USD";
+export const DEFAULT_LOCALE = "en-US";
+
+/** Days of the week as Date#getDay numbers: 0 is Sunday, 6 is Saturday. */
+export const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+export const DEFAULT_WEEKDAYS = [1, 2, 3, 4, 5];
+
+/** Holiday calendars a group can follow, with labels for the UI. */
+export const HOLIDAY_CALENDARS = {
+  us_federal: "US federal",
+  us_ca: "US: California",
+  us_ma: "US: Massachusetts",
+  us_ny: "US: New York",
+  gb_eaw: "UK: England and Wales",
+  gb_sct: "UK: Scotland",
+  ca_federal: "Canada federal",
+  in_national: "India national",
+  none: "None",
+};
+
+export const DEFAULT_HOLIDAY_CALENDAR = "us_federal";
+
+export const TRIP_TYPES = {
+  two_way: "Two-way",
+  one_way: "One-way",
+};
+
+export const DEFAULT_TRIP_TYPE = "two_way";
+
+export function isCurrencyCode(code) {
+  if (!/^[A-Z]{3}$/.test(String(code))) return false;
+  try {
+    new Intl.NumberFormat("en", { style: "currency", currency: code });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function isLocale(tag) {
+  try {
+    return Intl.getCanonicalLocales(String(tag)).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+/** True for IANA zone names such as "America/Chicago" or "Asia/Kolkata". */
+export function isTimeZone(zone) {
+  if (!zone) return false;
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: String(zone) });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** `amount` in the group's currency, e.g. "$12.50" for USD in en-US or "₹12.50" for INR in en-IN. */
+export function formatMoney(amount, { currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE } = {}) {
+  return new Intl.NumberFormat(locale, { style: "currency", currency }).format(Number(amount || 0));
+}